@@ -1,9 +1,12 @@
 import test from '@interactjs/_dev/test/test'
 import { ActionName } from '@interactjs/core/scope'
 import * as helpers from '@interactjs/core/tests/_helpers'
+import { restrict } from '@interactjs/modifiers'
+import modifiersBase from '@interactjs/modifiers/base'
 import { extend } from '@interactjs/utils'
-import pointerUtils from '@interactjs/utils/pointerUtils'
+import pointerUtils, { MockCoords } from '@interactjs/utils/pointerUtils'
 import drag from './drag'
+import drop from './drop'
 
 test('drag action init', (t) => {
   const scope = helpers.mockScope()
@@ -175,3 +178,89 @@ test('drag axis', (t) => {
     }
   }
 })
+
+test('drag followers', (t) => {
+  const scope: Interact.Scope = helpers.mockScope()
+
+  // modifiers are installed before actions in the bundle
+  scope.usePlugin(modifiersBase)
+  scope.usePlugin(drag)
+  scope.usePlugin(drop)
+
+  const { document: doc } = scope
+  const rects = new Map<Element, Interact.Rect>()
+  const [leader, follower1, follower2, dropElement] = [
+    { left: 0, top: 0, right: 10, bottom: 10 },
+    { left: 20, top: 0, right: 30, bottom: 10 },
+    { left: 0, top: 20, right: 10, bottom: 30 },
+    { left: 0, top: 0, right: 100, bottom: 100 },
+  ].map((rect) => {
+    const element = doc.createElement('div')
+
+    rects.set(element, rect)
+    doc.body.appendChild(element)
+
+    return element
+  })
+
+  const coords = pointerUtils.newCoords() as MockCoords
+  const event = pointerUtils.coordsToEvent(coords)
+  const events = []
+  const dropEvents = []
+  const interactable = scope.interactables.new(leader).draggable({
+    followers: () => [follower1, follower2, leader],
+    modifiers: [
+      restrict({
+        restriction: { left: 0, top: 0, right: 100, bottom: 100 },
+        elementRect: { left: 0, top: 0, right: 1, bottom: 1 },
+      }),
+    ],
+    listeners: { move: (e) => events.push(e) },
+  })
+  const dropzone = scope.interactables.new(dropElement).dropzone({
+    ondrop: (e) => dropEvents.push(e),
+  })
+  const interaction = scope.interactions.new({})
+
+  for (const i of [interactable, dropzone]) {
+    i.rectChecker((element) => ({ ...rects.get(element) }))
+  }
+
+  coords.page = { x: 5, y: 5 }
+  coords.client = { x: 5, y: 5 }
+  interaction.pointerDown(event, event, leader)
+  interaction.start({ name: 'drag' }, interactable, leader)
+
+  t.deepEqual(interaction.followers, [follower1, follower2], 'followers are set without the target element')
+  t.deepEqual(
+    interaction.rect,
+    { left: 0, top: 0, right: 30, bottom: 30, width: 30, height: 30 },
+    'interaction rect is the bounding rect of the group')
+
+  coords.page = { x: 95, y: 50 }
+  coords.client = { x: 95, y: 50 }
+  interaction.pointerMove(event, event, leader)
+
+  t.deepEqual(
+    events.map((e) => [e.target, e.dx, e.dy]),
+    [[leader, 70, 45], [follower1, 70, 45], [follower2, 70, 45]],
+    'move events are fired for the followers with the same restricted delta')
+
+  interaction.pointerUp(event, event, leader, leader)
+
+  t.deepEqual(
+    dropEvents.map((e) => e.relatedTargets),
+    [[leader, follower1, follower2]],
+    'drop events have all the elements in the group')
+
+  t.deepEqual(interaction.followers, [], 'followers are cleared on stop')
+
+  for (const element of rects.keys()) {
+    doc.body.removeChild(element)
+  }
+
+  interactable.unset()
+  dropzone.unset()
+
+  t.end()
+})
@@ -1,6 +1,7 @@
 import { ActionName, Scope } from '@interactjs/core/scope'
 import * as arr from '@interactjs/utils/arr'
 import * as is from '@interactjs/utils/is'
+import { applyToRect } from '@interactjs/utils/matrix'
 
 declare module '@interactjs/core/Interactable' {
   interface Interactable {
@@ -8,6 +9,15 @@ declare module '@interactjs/core/Interactable' {
   }
 }
 
+declare module '@interactjs/core/Interaction' {
+  interface Interaction {
+    dragData?: {
+      data: any        // the draggable's `data` option evaluated at drag start
+      types: string[]  // the draggable's `dataType`s
+    }
+  }
+}
+
 declare module '@interactjs/core/defaultOptions' {
   interface ActionDefaults {
     drag: Interact.DraggableOptions
@@ -39,6 +49,8 @@ function install (scope: Scope) {
     defaults,
   } = scope
 
+  // the group rect is set before modifiers are started
+  interactions.signals.on('prepare-action', start)
   interactions.signals.on('before-action-move', beforeMove)
   interactions.signals.on('action-resume', beforeMove)
 
@@ -54,6 +66,8 @@ function install (scope: Scope) {
     'dragmove',
     'draginertiastart',
     'dragresume',
+    'dragrevertstart',
+    'dragrevertend',
     'dragend',
   ])
   actions.methodDict.drag = 'draggable'
@@ -61,6 +75,61 @@ function install (scope: Scope) {
   defaults.actions.drag = drag.defaults
 }
 
+function start ({ interaction }: Interact.SignalArg) {
+  if (interaction.prepared.name !== 'drag') { return }
+
+  const { rect, localTransform } = interaction
+
+  interaction.dragData = getDragData(interaction)
+
+  const followers = interaction.followers = getFollowers(interaction)
+
+  if (!rect || !followers.length) { return }
+
+  // modifiers are applied to the bounding rect of the whole group
+  for (const follower of followers) {
+    let followerRect = interaction.interactable.getRect(follower)
+
+    if (!followerRect) { continue }
+
+    if (localTransform) {
+      followerRect = applyToRect(localTransform.inverse, followerRect)
+    }
+
+    rect.left   = Math.min(rect.left, followerRect.left)
+    rect.top    = Math.min(rect.top, followerRect.top)
+    rect.right  = Math.max(rect.right, followerRect.right)
+    rect.bottom = Math.max(rect.bottom, followerRect.bottom)
+  }
+
+  rect.width  = rect.right - rect.left
+  rect.height = rect.bottom - rect.top
+}
+
+function getFollowers (interaction: Interact.Interaction): Element[] {
+  const { interactable, element } = interaction
+  const option = interactable.options.drag.followers
+  const followers = is.func(option)
+    ? option(interaction, element)
+    : is.string(option)
+      ? interactable._context.querySelectorAll(option)
+      : option
+
+  return followers
+    ? arr.from(followers).filter((follower: Element) => follower !== element && is.element(follower))
+    : []
+}
+
+function getDragData (interaction: Interact.Interaction) {
+  const { interactable, element } = interaction
+  const { data, dataType } = interactable.options.drag
+
+  return {
+    data: is.func(data) ? data(interaction, element) : data,
+    types: is.string(dataType) ? [dataType] : dataType ? arr.from(dataType) : [],
+  }
+}
+
 function beforeMove ({ interaction }) {
   if (interaction.prepared.name !== 'drag') { return }
 
@@ -119,7 +188,29 @@ function move ({ iEvent, interaction }) {
  *
  *     // max number of drags that can target the same element+Interactable
  *     // 1 by default
- *     maxPerElement: 2
+ *     maxPerElement: 2,
+ *
+ *     // other elements to drag with the target. Drag events are also fired
+ *     // with each follower as the target. An array of elements, a CSS
+ *     // selector or a function which returns an array
+ *     followers: (interaction, element) => selectedElements,
+ *
+ *     // move a clone or another element instead of the target and remove it
+ *     // when the drag ends. `true` or an object with the `element` to move and
+ *     // the `container` to append it to
+ *     preview: { element: 'clone', container: document.body },
+ *
+ *     // animate back to the start position if the drag ends without a drop.
+ *     // requires the inertia plugin
+ *     revert: { duration: 300, allowResume: true },
+ *
+ *     // a value or a function evaluated at drag start which is given to
+ *     // dropzones as `event.data` and to their `accept` functions
+ *     data: (interaction, element) => ({ id: element.dataset.id }),
+ *
+ *     // the types of the data which dropzones can accept with
+ *     // `accept: { types: [...] }`
+ *     dataType: 'card',
  * })
  *
  * var isDraggable = interact('element').draggable(); // true
@@ -147,6 +238,10 @@ const draggable: DraggableMethod = function draggable (this: Interact.Interactab
     if (/^(xy|x|y)$/.test(options.startAxis)) {
       this.options.drag.startAxis = options.startAxis
     }
+    // data objects are kept as they are instead of being copied
+    if ('data' in options) {
+      this.options.drag.data = options.data
+    }
 
     return this
   }
@@ -169,6 +264,10 @@ const drag: Interact.Plugin = {
   defaults: {
     startAxis : 'xy',
     lockAxis  : 'xy',
+    followers : null,
+    preview   : null,
+    data      : null,
+    dataType  : null,
   } as Interact.DropzoneOptions,
 
   checker (_pointer, _event, interactable) {
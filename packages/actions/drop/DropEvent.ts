@@ -10,17 +10,26 @@ class DropEvent extends BaseEvent {
   dropzone: Interactable
   dragEvent: InteractEvent<ActionName.Drag>
   relatedTarget: Element
+  relatedTargets: Element[]
   draggable: Interactable
+  data: any
+  dataTransfer: DataTransfer
   timeStamp: number
+  _dropState: Interaction['dropState']
   propagationStopped = false
   immediatePropagationStopped = false
 
   /**
    * Class of events fired on dropzones during drags with acceptable targets.
+   * For native HTML5 drags, `dragEvent` is null and the `dropState` has the
+   * native event.
    */
   constructor (dropState: Interaction['dropState'], dragEvent: InteractEvent, type: string) {
-    super(dragEvent._interaction)
+    super(dragEvent && dragEvent._interaction)
 
+    const { native } = dropState
+    const source = dragEvent ? dragEvent.target as Element : native.source
+    const followers = (this._interaction && this._interaction.followers) || []
     const { element, dropzone } = type === 'dragleave'
       ? dropState.prev
       : dropState.cur
@@ -30,9 +39,13 @@ class DropEvent extends BaseEvent {
     this.currentTarget = element
     this.dropzone      = dropzone
     this.dragEvent     = dragEvent
-    this.relatedTarget = dragEvent.target
-    this.draggable     = dragEvent.interactable
-    this.timeStamp     = dragEvent.timeStamp
+    this.relatedTarget = source
+    this.relatedTargets = source ? [source].concat(followers) : []
+    this.draggable     = dragEvent && dragEvent.interactable
+    this.data          = getData(this._interaction)
+    this.dataTransfer  = native ? native.event.dataTransfer : null
+    this.timeStamp     = dragEvent ? dragEvent.timeStamp : native.event.timeStamp
+    this._dropState    = dropState
   }
 
   /**
@@ -43,7 +56,7 @@ class DropEvent extends BaseEvent {
    * dropzone element and more.
    */
   reject () {
-    const { dropState } = this._interaction
+    const dropState = this._interaction ? this._interaction.dropState : this._dropState
 
     if (
       (this.type !== 'dropactivate') && (
@@ -70,6 +83,8 @@ class DropEvent extends BaseEvent {
         ...activeDrops.slice(0, index),
         ...activeDrops.slice(index + 1),
       ]
+      // the rect index is rebuilt for the remaining drops
+      dropState.index = null
 
       const deactivateEvent = new DropEvent(dropState, this.dragEvent, 'dropdeactivate')
 
@@ -94,4 +109,10 @@ class DropEvent extends BaseEvent {
   }
 }
 
+function getData (interaction: Interaction) {
+  const dragData = interaction && interaction.dragData
+
+  return dragData ? dragData.data : null
+}
+
 export default DropEvent
@@ -1,6 +1,6 @@
 import test from '@interactjs/_dev/test/test'
 import * as helpers from '@interactjs/core/tests/_helpers'
-import pointerUtils from '@interactjs/utils/pointerUtils'
+import pointerUtils, { MockCoords } from '@interactjs/utils/pointerUtils'
 import drag from '../drag'
 import drop from '../drop'
 
@@ -66,3 +66,294 @@ test('actions/drop start', (t) => {
 
   t.end()
 })
+
+test('actions/drop data', (t) => {
+  const scope: Interact.Scope = helpers.mockScope()
+
+  scope.usePlugin(drag)
+  scope.usePlugin(drop)
+
+  const { document: doc } = scope
+  const [dragElement, cardZone, fileZone, funcZone] = [0, 1, 2, 3].map(() => {
+    const element = doc.createElement('div')
+
+    doc.body.appendChild(element)
+
+    return element
+  })
+  const card = { id: 1 }
+  const dataFuncArgs = []
+  const acceptArgs = []
+  const activated = []
+  const draggable = scope.interactables.new(dragElement).draggable({
+    data: (interaction, element) => {
+      dataFuncArgs.push([interaction, element])
+      return card
+    },
+    dataType: ['card', 'text'],
+  })
+  const dropzones = [
+    scope.interactables.new(cardZone).dropzone({ accept: { types: ['card'] } }),
+    scope.interactables.new(fileZone).dropzone({ accept: { types: ['file'] } }),
+    scope.interactables.new(funcZone).dropzone({
+      accept: (arg) => {
+        acceptArgs.push(arg)
+        return arg.data.id === 1
+      },
+    }),
+  ]
+
+  for (const dropzone of dropzones) {
+    dropzone.on('dropactivate', (e) => activated.push([e.target, e.data]))
+  }
+
+  const event = pointerUtils.coordsToEvent(pointerUtils.newCoords())
+  const interaction = scope.interactions.new({})
+
+  interaction.pointerDown(event, event, dragElement)
+  interaction.start({ name: 'drag' }, draggable, dragElement)
+
+  t.deepEqual(dataFuncArgs, [[interaction, dragElement]], 'data function is called with the interaction and element')
+  t.deepEqual(interaction.dragData, { data: card, types: ['card', 'text'] }, 'data is stored on the interaction')
+  t.deepEqual(
+    activated,
+    [[cardZone, card], [funcZone, card]],
+    'dropzones accept by data type or function and events have the data')
+  t.deepEqual(
+    acceptArgs,
+    [{ dropzone: dropzones[2], draggableElement: dragElement, data: card, dataTransfer: null }],
+    'accept function is called with the data')
+
+  interaction.stop()
+
+  // plain data values and a single type
+  const value = { id: 2 }
+
+  draggable.draggable({ data: value, dataType: 'file' })
+  activated.splice(0)
+  interaction.pointerDown(event, event, dragElement)
+  interaction.start({ name: 'drag' }, draggable, dragElement)
+
+  t.equal(draggable.options.drag.data, value, 'data object option is not copied')
+  t.deepEqual(activated, [[fileZone, value]], 'single dataType is accepted')
+
+  interaction.stop()
+
+  for (const interactable of dropzones.concat(draggable)) {
+    interactable.unset()
+  }
+
+  for (const element of [dragElement, cardZone, fileZone, funcZone]) {
+    doc.body.removeChild(element)
+  }
+
+  t.end()
+})
+
+test('actions/drop spatial index benchmark', (t) => {
+  const scope: Interact.Scope = helpers.mockScope()
+
+  scope.usePlugin(drag)
+  scope.usePlugin(drop)
+
+  const { document: doc } = scope
+  const dragElement = doc.createElement('div')
+  const draggable = scope.interactables.new(dragElement).draggable({})
+  const cellSize = 20
+  const checksPerMove = []
+  const durations = []
+
+  const coords = pointerUtils.newCoords() as MockCoords
+  const event = pointerUtils.coordsToEvent(coords)
+
+  doc.body.appendChild(dragElement)
+  // the dragged element is under the pointer
+  draggable.rectChecker(() => {
+    const { x, y } = coords.page
+
+    return { left: x - 5, top: y - 5, right: x + 5, bottom: y + 5, width: 10, height: 10 }
+  })
+
+  for (const size of [10, 30, 60]) {
+    const container = doc.createElement('div')
+    const dropped = []
+    let checks = 0
+
+    for (let i = 0; i < size * size; i++) {
+      const cell = doc.createElement('div')
+
+      cell.className = `bench-cell-${size}`
+      cell.setAttribute('data-index', `${i}`)
+      container.appendChild(cell)
+    }
+
+    doc.body.appendChild(container)
+
+    const dropzone = scope.interactables.new(`.bench-cell-${size}`).dropzone({})
+    const { dropCheck } = dropzone
+
+    dropzone.rectChecker((el) => {
+      const i = Number(el.getAttribute('data-index'))
+      const left = (i % size) * cellSize
+      const top = Math.floor(i / size) * cellSize
+
+      return { left, top, right: left + cellSize, bottom: top + cellSize, width: cellSize, height: cellSize }
+    })
+    dropzone.dropCheck = function (...args) {
+      checks++
+      return dropCheck.apply(this, args)
+    }
+    dropzone.on('drop', (e) => dropped.push(e.target))
+
+    const interaction = scope.interactions.new({})
+    const moves = 50
+
+    coords.page = coords.client = { x: 5, y: 5 }
+    interaction.pointerDown(event, event, dragElement)
+    interaction.start({ name: 'drag' }, draggable, dragElement)
+
+    const startTime = Date.now()
+
+    for (let m = 1; m <= moves; m++) {
+      coords.page = coords.client = { x: 5 + m * 3, y: 5 + m * 3 }
+      interaction.pointerMove(event, event, dragElement)
+    }
+
+    checksPerMove.push(checks / moves)
+    durations.push((Date.now() - startTime) / moves)
+
+    interaction.pointerUp(event, event, dragElement, dragElement)
+
+    // the pointer is at (155, 155) in cell (7, 7)
+    t.deepEqual(
+      dropped.map((el) => el.getAttribute('data-index')),
+      [`${7 * size + 7}`],
+      `the dropzone under the pointer is found with ${size * size} dropzones`)
+
+    dropzone.unset()
+    doc.body.removeChild(container)
+  }
+
+  t.comment(`dropzone checks per move: ${checksPerMove.join(', ')}`)
+  t.comment(`ms per move: ${durations.join(', ')}`)
+
+  t.ok(
+    checksPerMove.every((checks) => checks <= checksPerMove[0]),
+    'dropzone checks per move don\'t grow with the number of dropzones')
+  t.ok(checksPerMove[2] < 10, 'only the dropzones near the drag are checked')
+
+  draggable.unset()
+  doc.body.removeChild(dragElement)
+
+  t.end()
+})
+
+test('actions/drop nested dropzones', (t) => {
+  const scope: Interact.Scope = helpers.mockScope()
+
+  scope.usePlugin(drag)
+  scope.usePlugin(drop)
+
+  const { document: doc } = scope
+  const dragElement = doc.createElement('div')
+  const outerElement = doc.createElement('div')
+  const innerElement = doc.createElement('div')
+
+  outerElement.id = 'outer'
+  innerElement.id = 'inner'
+  outerElement.appendChild(innerElement)
+  doc.body.appendChild(outerElement)
+  doc.body.appendChild(dragElement)
+
+  const draggable = scope.interactables.new(dragElement).draggable({})
+  const outer = scope.interactables.new(outerElement).dropzone({})
+  const inner = scope.interactables.new(innerElement).dropzone({})
+  const events = []
+
+  outer.rectChecker(() => ({ left: 0, top: 0, right: 200, bottom: 200, width: 200, height: 200 }))
+  inner.rectChecker(() => ({ left: 50, top: 50, right: 150, bottom: 150, width: 100, height: 100 }))
+
+  for (const dropzone of [outer, inner]) {
+    dropzone.on('dragenter dragleave drop', (e) => events.push(`${e.type} ${e.target.id}`))
+  }
+
+  const coords = pointerUtils.newCoords() as MockCoords
+  const event = pointerUtils.coordsToEvent(coords)
+  const interaction = scope.interactions.new({})
+
+  // drag from outside through the outer zone into the inner zone, back out to
+  // the outer zone and drop in the inner zone
+  function dragThrough () {
+    events.splice(0)
+    coords.page = coords.client = { x: 300, y: 300 }
+    interaction.pointerDown(event, event, dragElement)
+    interaction.start({ name: 'drag' }, draggable, dragElement)
+
+    for (const x of [25, 100, 25, 100]) {
+      coords.page = coords.client = { x, y: 100 }
+      interaction.pointerMove(event, event, dragElement)
+      events.push('|')
+    }
+
+    interaction.pointerUp(event, event, dragElement, dragElement)
+
+    return events.join(', ')
+  }
+
+  t.equal(
+    dragThrough(),
+    'dragenter outer, |, dragleave outer, dragenter inner, |, dragleave inner, dragenter outer, |, ' +
+    'dragleave outer, dragenter inner, |, drop inner',
+    'the deepest zone is the target by default and the previous zone is left before the next is entered')
+
+  outer.dropzone({ nestedEvents: true })
+
+  t.equal(
+    dragThrough(),
+    'dragenter outer, |, dragenter inner, |, dragleave inner, |, dragenter inner, |, drop inner, drop outer',
+    'with nestedEvents, ancestor zones aren\'t left for nested zones and also get drop events')
+
+  outer.dropzone({ nestedEvents: false, nested: 'shallowest' })
+
+  t.equal(
+    dragThrough(),
+    'dragenter outer, |, |, |, |, drop outer',
+    'shallowest zone is the target with the "shallowest" policy')
+
+  outer.dropzone({ nested: 'priority', priority: 1 })
+  inner.dropzone({ priority: 2 })
+
+  t.equal(
+    dragThrough(),
+    'dragenter outer, |, dragleave outer, dragenter inner, |, dragleave inner, dragenter outer, |, ' +
+    'dragleave outer, dragenter inner, |, drop inner',
+    'zone with the highest priority is the target with the "priority" policy')
+
+  inner.dropzone({ priority: 0 })
+
+  t.equal(
+    dragThrough(),
+    'dragenter outer, |, |, |, |, drop outer',
+    'lower priority nested zones aren\'t targets')
+
+  const resolverArgs = []
+
+  outer.dropzone({
+    nested: (drops) => {
+      resolverArgs.push(drops.map(({ element }) => element.id))
+      return drops.find(({ dropzone }) => dropzone === outer)
+    },
+  })
+
+  t.equal(dragThrough(), 'dragenter outer, |, |, |, |, drop outer', 'custom resolver chooses the target')
+  t.deepEqual(resolverArgs[1], ['outer', 'inner'], 'resolver is called with the valid drops')
+
+  for (const interactable of [draggable, outer, inner]) {
+    interactable.unset()
+  }
+
+  doc.body.removeChild(outerElement)
+  doc.body.removeChild(dragElement)
+
+  t.end()
+})
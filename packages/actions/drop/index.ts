@@ -4,6 +4,29 @@ import { Scope } from '@interactjs/core/scope'
 import * as utils from '@interactjs/utils'
 import drag from '../drag'
 import DropEvent from './DropEvent'
+import * as spatialIndex from './spatialIndex'
+
+// the dragged element and data that dropzones are checked against
+export interface DropSource {
+  element: Element            // the dragged element
+  followers: Element[]        // elements dragged with it which can't be drop targets
+  data: any                   // the draggable's `data`
+  types: string[]             // the data types that can be accepted
+  dataTransfer?: DataTransfer // set for native HTML5 drags
+}
+
+export interface ActiveDrop {
+  dropzone: Interactable
+  element: Element
+  rect: Interact.Rect
+}
+
+// a dropzone element that a drag is over
+export interface DropTarget {
+  dropzone: Interactable
+  element: Element
+  ancestors?: DropTarget[] // outer zones with `nestedEvents` from the innermost out
+}
 
 export interface DropzoneMethod {
   (options: Interact.DropzoneOptions | boolean): Interact.Interactable
@@ -27,21 +50,16 @@ declare module '@interactjs/core/Interactable' {
 declare module '@interactjs/core/Interaction' {
   interface Interaction {
     dropState?: {
-      cur: {
-        dropzone: Interactable,   // the dropzone a drag target might be dropped into
-        element: Element,         // the element at the time of checking
-      },
-      prev: {
-        dropzone: Interactable,   // the dropzone that was recently dragged away from
-        element: Element,         // the element at the time of checking
-      },
+      cur: DropTarget,            // the dropzone a drag target might be dropped into
+      prev: DropTarget,           // the dropzone that was recently dragged away from
       rejected: boolean,          // wheather the potential drop was rejected from a listener
       events: any,                // the drop events related to the current drag event
-      activeDrops: Array<{
-        dropzone: Interactable
-        element: Element
-        rect: Interact.Rect
-      }>,
+      activeDrops: ActiveDrop[],
+      index?: spatialIndex.SpatialIndex, // grid of the activeDrops rects
+      native?: {                  // set for native HTML5 drags instead of an interaction
+        event: DragEvent,         // the latest native drag event
+        source: Element,          // the dragged element if it's in a known document
+      },
     }
   }
 }
@@ -84,14 +102,17 @@ function install (scope: Scope) {
       cur: {
         dropzone: null,
         element: null,
+        ancestors: [],
       },
       prev: {
         dropzone: null,
         element: null,
+        ancestors: [],
       },
       rejected: null,
       events: null,
       activeDrops: null,
+      index: null,
     }
   })
 
@@ -103,7 +124,7 @@ function install (scope: Scope) {
     // reset active dropzones
     dropState.activeDrops = null
     dropState.events = null
-    dropState.activeDrops = getActiveDrops(scope, interaction.element)
+    setActiveDrops(dropState, getActiveDrops(scope, getDropSource(interaction)))
     dropState.events = getDropEvents(interaction, event, dragEvent)
 
     if (dropState.events.activate) {
@@ -134,12 +155,14 @@ function install (scope: Scope) {
     const { dropState } = interaction
 
     if (dropState) {
-      dropState.activeDrops = null
+      setActiveDrops(dropState, null)
       dropState.events = null
       dropState.cur.dropzone = null
       dropState.cur.element = null
+      dropState.cur.ancestors = []
       dropState.prev.dropzone = null
       dropState.prev.element = null
+      dropState.prev.ancestors = []
       dropState.rejected = false
     }
   })
@@ -167,6 +190,10 @@ function install (scope: Scope) {
    *
    *  - **an Element** - only that element can be dropped into this dropzone.
    *  - **a string**, - the element being dragged must match it as a CSS selector.
+   *  - **an object with `types`** - the draggable's `dataType` must be one of
+   *  the types. For native drags, the `dataTransfer.types` are used.
+   *  - **a function** - called with `{ dropzone, draggableElement, data,
+   *  dataTransfer }` and returns `true` if the drag is accepted.
    *  - **`null`** - accept options is cleared - it accepts any element.
    *
    * Use the `overlap` option to set how drops are checked for. The allowed
@@ -181,6 +208,24 @@ function install (scope: Scope) {
    * Use the `checker` option to specify a function to check if a dragged element
    * is over this Interactable.
    *
+   * When a drag is over nested dropzones, the `nested` option of the outermost
+   * one chooses the drop target. The allowed values are:
+   *
+   *   - `'deepest'`, the most nested dropzone (default)
+   *   - `'shallowest'`, the outermost dropzone
+   *   - `'priority'`, the dropzone with the highest `priority` number
+   *   - a function which is given the array of `{ dropzone, element, rect }`
+   *   drops that the drag is over and returns one of them
+   *
+   * With `nestedEvents: true`, a dropzone also receives events while the drag
+   * is over one of its nested dropzones.
+   *
+   * Set the `native` option to `true` to also fire drop events for native HTML5
+   * drags like files dragged from the desktop. The events have the
+   * `dataTransfer` of the native event. The `overlap` is checked with the rect
+   * of elements dragged within the page and the pointer of other drags. The
+   * `checker` isn't called for native drags.
+   *
    * @param {boolean | object | null} [options] The new options to be set.
    * @return {boolean | Interactable} The current setting or this Interactable
    */
@@ -243,20 +288,14 @@ function install (scope: Scope) {
   defaults.actions.drop = drop.defaults
 }
 
-function collectDrops ({ interactables }, draggableElement) {
+function collectDrops ({ interactables }, source: DropSource) {
   const drops = []
 
   // collect all dropzones and their elements which qualify for a drop
   for (const dropzone of interactables.list) {
-    if (!dropzone.options.drop.enabled) { continue }
-
-    const accept = dropzone.options.drop.accept
-
-    // test the draggable draggableElement against the dropzone's accept setting
-    if ((utils.is.element(accept) && accept !== draggableElement) ||
-        (utils.is.string(accept) &&
-        !utils.dom.matchesSelector(draggableElement, accept)) ||
-        (utils.is.func(accept) && !accept({ dropzone, draggableElement }))) {
+    if (!dropzone.options.drop.enabled ||
+        (source.dataTransfer && !dropzone.options.drop.native) ||
+        !isAccepted(dropzone, source)) {
       continue
     }
 
@@ -266,7 +305,7 @@ function collectDrops ({ interactables }, draggableElement) {
       : utils.is.array(dropzone.target) ? dropzone.target : [dropzone.target]
 
     for (const dropzoneElement of dropElements) {
-      if (dropzoneElement !== draggableElement) {
+      if (dropzoneElement !== source.element && !utils.arr.contains(source.followers, dropzoneElement)) {
         drops.push({
           dropzone,
           element: dropzoneElement,
@@ -278,6 +317,39 @@ function collectDrops ({ interactables }, draggableElement) {
   return drops
 }
 
+// test the drag source against the dropzone's accept setting
+function isAccepted (dropzone: Interact.Interactable, source: DropSource) {
+  const { accept } = dropzone.options.drop
+  const { element: draggableElement, data, dataTransfer } = source
+
+  if (utils.is.element(accept)) {
+    return accept === draggableElement
+  }
+  if (utils.is.string(accept)) {
+    return !!draggableElement && utils.dom.matchesSelector(draggableElement, accept)
+  }
+  if (utils.is.func(accept)) {
+    return !!accept({ dropzone, draggableElement, data, dataTransfer })
+  }
+  if (utils.is.plainObject(accept) && accept.types) {
+    return source.types.some((type) => utils.arr.contains(accept.types, type))
+  }
+
+  return true
+}
+
+function getDropSource (interaction: Interact.Interaction): DropSource {
+  const { dragData } = interaction
+
+  return {
+    element: interaction.element,
+    followers: interaction.followers,
+    data: dragData && dragData.data,
+    types: (dragData && dragData.types) || [],
+    dataTransfer: null,
+  }
+}
+
 function fireActivationEvents (activeDrops, event) {
   // loop through all active dropzones and trigger event
   for (const { dropzone, element } of activeDrops) {
@@ -293,9 +365,9 @@ function fireActivationEvents (activeDrops, event) {
 // return a new array of possible drops. getActiveDrops should always be
 // called when a drag has just started or a drag event happens while
 // dynamicDrop is true
-function getActiveDrops (scope: Scope, dragElement: Element) {
+function getActiveDrops (scope: Scope, source: DropSource) {
   // get dropzones and their elements that could receive the draggable
-  const activeDrops = collectDrops(scope, dragElement)
+  const activeDrops = collectDrops(scope, source)
 
   for (const activeDrop of activeDrops) {
     activeDrop.rect = activeDrop.dropzone.getRect(activeDrop.element)
@@ -304,20 +376,118 @@ function getActiveDrops (scope: Scope, dragElement: Element) {
   return activeDrops
 }
 
+// index the dropzone rects so that each move checks only the nearby dropzones
+function setActiveDrops (dropState: Interact.Interaction['dropState'], activeDrops: Interact.Interaction['dropState']['activeDrops']) {
+  dropState.activeDrops = activeDrops
+  dropState.index = activeDrops && spatialIndex.create(
+    activeDrops.map(({ rect }) => rect),
+    // dropzones with a checker or a zero overlap can accept drags anywhere
+    (i) => {
+      const { checker, overlap } = activeDrops[i].dropzone.options.drop
+
+      return !!checker || (utils.is.number(overlap) && overlap <= 0)
+    })
+}
+
+// get the indices of the active drops which the drag may be over
+function getDropCandidates (dropState: Interact.Interaction['dropState'], bounds: Interact.Rect) {
+  if (!dropState.index) {
+    setActiveDrops(dropState, dropState.activeDrops)
+  }
+
+  return spatialIndex.query(dropState.index, bounds)
+}
+
 function getDrop ({ dropState, interactable: draggable, element: dragElement }: Partial<Interact.Interaction>, dragEvent, pointerEvent) {
-  const validDrops = []
+  const { activeDrops } = dropState
+  const candidates = getDropCandidates(dropState, getDragBounds(dragEvent, draggable, dragElement))
+  const validDrops: ActiveDrop[] = []
 
   // collect all dropzones and their elements which qualify for a drop
-  for (const { dropzone, element: dropzoneElement, rect } of dropState.activeDrops) {
-    validDrops.push(dropzone.dropCheck(dragEvent, pointerEvent, draggable, dragElement, dropzoneElement, rect)
-      ? dropzoneElement
-      : null)
+  for (const i of candidates) {
+    const activeDrop = activeDrops[i]
+    const { dropzone, element: dropzoneElement, rect } = activeDrop
+
+    if (dropzone.dropCheck(dragEvent, pointerEvent, draggable, dragElement, dropzoneElement, rect)) {
+      validDrops.push(activeDrop)
+    }
+  }
+
+  return getDropTarget(validDrops)
+}
+
+/**
+ * Choose the drop target from the drops that a drag is over with the `nested`
+ * option of the outermost dropzone and find its ancestor zones which have
+ * `nestedEvents` enabled.
+ */
+function getDropTarget (validDrops: ActiveDrop[]): DropTarget {
+  if (!validDrops.length) { return null }
+
+  const outermost = validDrops[indexOfShallowestDrop(validDrops)]
+  const { nested } = outermost.dropzone.options.drop
+  let drop: DropTarget
+
+  if (utils.is.func(nested)) {
+    drop = nested(validDrops.slice())
+  }
+  else if (nested === 'shallowest') {
+    drop = outermost
   }
+  else if (nested === 'priority') {
+    const maxPriority = Math.max(...validDrops.map(getPriority))
 
-  // get the most appropriate dropzone based on DOM depth and order
-  const dropIndex = utils.dom.indexOfDeepestElement(validDrops)
+    drop = getDeepestDrop(validDrops.filter((d) => getPriority(d) === maxPriority))
+  }
+  else {
+    drop = getDeepestDrop(validDrops)
+  }
+
+  if (!drop) { return null }
+
+  const ancestors = validDrops
+    .filter(({ dropzone, element }) =>
+      dropzone.options.drop.nestedEvents &&
+      element !== drop.element &&
+      utils.dom.nodeContains(element, drop.element))
+    .map(({ dropzone, element }) => ({ dropzone, element, depth: getDepth(element) }))
+    // from the innermost zone outwards
+    .sort((a, b) => b.depth - a.depth)
+    .map(({ dropzone, element }) => ({ dropzone, element }))
+
+  return { dropzone: drop.dropzone, element: drop.element, ancestors }
+}
+
+function getDeepestDrop (drops: ActiveDrop[]) {
+  return drops[utils.dom.indexOfDeepestElement(drops.map(({ element }) => element))] || null
+}
+
+// get the index of the least nested drop. Drops at the same depth are ordered
+// like with indexOfDeepestElement
+function indexOfShallowestDrop (drops: ActiveDrop[]) {
+  const depths = drops.map(({ element }) => getDepth(element))
+  const minDepth = Math.min(...depths)
+  const indices = []
+
+  depths.forEach((depth, i) => {
+    if (depth === minDepth) { indices.push(i) }
+  })
 
-  return dropState.activeDrops[dropIndex] || null
+  return indices[utils.dom.indexOfDeepestElement(indices.map((i) => drops[i].element))]
+}
+
+function getDepth (element: Node) {
+  let depth = 0
+
+  while ((element = utils.dom.parentNode(element))) {
+    depth++
+  }
+
+  return depth
+}
+
+function getPriority ({ dropzone }: ActiveDrop) {
+  return dropzone.options.drop.priority || 0
 }
 
 function getDropEvents (interaction: Interact.Interaction, _pointerEvent, dragEvent) {
@@ -344,41 +514,98 @@ function getDropEvents (interaction: Interact.Interaction, _pointerEvent, dragEv
     dropEvents.deactivate.dropzone = null
   }
 
+  const targetEvents = getTargetEvents(dropState, dragEvent, {
+    move: dragEvent.type === 'dragmove',
+    drop: dragEvent.type === 'dragend',
+  })
+
+  if (targetEvents.leave) {
+    dragEvent.dragLeave    = dropState.prev.element
+    dragEvent.prevDropzone = dropState.prev.dropzone
+  }
+  if (targetEvents.enter) {
+    dragEvent.dragEnter = dropState.cur.element
+    dragEvent.dropzone = dropState.cur.dropzone
+  }
+  if (targetEvents.drop) {
+    dragEvent.dropzone = dropState.cur.dropzone
+    dragEvent.relatedTarget = dropState.cur.element
+  }
+  if (targetEvents.move) {
+    targetEvents.move.dragmove = dragEvent
+    dragEvent.dropzone = dropState.cur.dropzone
+  }
+
+  return utils.extend(dropEvents, targetEvents)
+}
+
+/**
+ * Create the dragleave, dragenter, dropmove and drop events of the previous
+ * and current drop targets and their ancestor zones. A zone is only left and
+ * entered when it's not in both the previous and current zones so moving from
+ * an ancestor into a nested zone doesn't leave the ancestor.
+ */
+function getTargetEvents (
+  dropState: Interact.Interaction['dropState'],
+  dragEvent: InteractEvent,
+  { move, drop }: { move?: boolean, drop?: boolean }
+) {
+  const events = {
+    leave: null,
+    enter: null,
+    move: null,
+    drop: null,
+    ancestors: { leave: [], enter: [], move: [], drop: [] },
+  }
+
   if (dropState.rejected) {
-    return dropEvents
+    return events
   }
 
-  if (dropState.cur.element !== dropState.prev.element) {
-    // if there was a previous dropzone, create a dragleave event
-    if (dropState.prev.dropzone) {
-      dropEvents.leave = new DropEvent(dropState, dragEvent, 'dragleave')
+  const { cur, prev } = dropState
+  const prevZones = getZones(prev)
+  const curZones = getZones(cur)
+  const createEvent = (type: string, { dropzone, element }: DropTarget) => {
+    const event = new DropEvent(dropState, dragEvent, type)
 
-      dragEvent.dragLeave    = dropEvents.leave.target   = dropState.prev.element
-      dragEvent.prevDropzone = dropEvents.leave.dropzone = dropState.prev.dropzone
-    }
-    // if dropzone is not null, create a dragenter event
-    if (dropState.cur.dropzone) {
-      dropEvents.enter = new DropEvent(dropState, dragEvent, 'dragenter')
+    event.dropzone = dropzone
+    event.target = event.currentTarget = element
+
+    return event
+  }
+  const addEvents = (type: string, name: string, zones: DropTarget[], target: DropTarget) => {
+    for (const zone of zones) {
+      const event = createEvent(type, zone)
 
-      dragEvent.dragEnter = dropState.cur.element
-      dragEvent.dropzone = dropState.cur.dropzone
+      if (zone === target) {
+        events[name] = event
+      }
+      else {
+        events.ancestors[name].push(event)
+      }
     }
   }
 
-  if (dragEvent.type === 'dragend' && dropState.cur.dropzone) {
-    dropEvents.drop = new DropEvent(dropState, dragEvent, 'drop')
+  addEvents('dragleave', 'leave', prevZones.filter((zone) => !hasZone(curZones, zone)), prev)
+  addEvents('dragenter', 'enter', curZones.filter((zone) => !hasZone(prevZones, zone)).reverse(), cur)
 
-    dragEvent.dropzone = dropState.cur.dropzone
-    dragEvent.relatedTarget = dropState.cur.element
+  if (move) {
+    addEvents('dropmove', 'move', curZones, cur)
   }
-  if (dragEvent.type === 'dragmove' && dropState.cur.dropzone) {
-    dropEvents.move = new DropEvent(dropState, dragEvent, 'dropmove')
-
-    dropEvents.move.dragmove = dragEvent
-    dragEvent.dropzone = dropState.cur.dropzone
+  if (drop) {
+    addEvents('drop', 'drop', curZones, cur)
   }
 
-  return dropEvents
+  return events
+}
+
+// the target and its ancestor zones from the innermost out
+function getZones (target: DropTarget): DropTarget[] {
+  return target.dropzone ? [target].concat(target.ancestors || []) : []
+}
+
+function hasZone (zones: DropTarget[], { dropzone, element }: DropTarget) {
+  return zones.some((zone) => zone.dropzone === dropzone && zone.element === element)
 }
 
 function fireDropEvents (interaction: Interact.Interaction, events) {
@@ -389,10 +616,22 @@ function fireDropEvents (interaction: Interact.Interaction, events) {
     prev,
   } = dropState
 
+  const ancestors = events.ancestors || {}
+  const fireAll = (ancestorEvents: DropEvent[]) => {
+    for (const event of ancestorEvents || []) {
+      event.dropzone.fire(event)
+    }
+  }
+
+  // zones are left from the innermost out and entered from the outermost in
   if (events.leave) { prev.dropzone.fire(events.leave) }
+  fireAll(ancestors.leave)
   if (events.move) { cur.dropzone.fire(events.move) }
+  fireAll(ancestors.move)
+  fireAll(ancestors.enter)
   if (events.enter) { cur.dropzone.fire(events.enter) }
   if (events.drop) { cur.dropzone.fire(events.drop) }
+  fireAll(ancestors.drop)
 
   if (events.deactivate) {
     fireActivationEvents(activeDrops, events.deactivate)
@@ -400,6 +639,7 @@ function fireDropEvents (interaction: Interact.Interaction, events) {
 
   dropState.prev.dropzone  = cur.dropzone
   dropState.prev.element = cur.element
+  dropState.prev.ancestors = cur.ancestors
 }
 
 function onEventCreated ({ interaction, iEvent, event }: Interact.SignalArg, scope) {
@@ -408,7 +648,7 @@ function onEventCreated ({ interaction, iEvent, event }: Interact.SignalArg, sco
   const { dropState } = interaction
 
   if (scope.dynamicDrop) {
-    dropState.activeDrops = getActiveDrops(scope, interaction.element)
+    setActiveDrops(dropState, getActiveDrops(scope, getDropSource(interaction)))
   }
 
   const dragEvent = iEvent
@@ -422,6 +662,7 @@ function onEventCreated ({ interaction, iEvent, event }: Interact.SignalArg, sco
 
   dropState.cur.dropzone  = dropResult && dropResult.dropzone
   dropState.cur.element = dropResult && dropResult.element
+  dropState.cur.ancestors = dropResult ? dropResult.ancestors : []
 
   dropState.events = getDropEvents(interaction, event, dragEvent)
 }
@@ -471,6 +712,18 @@ function dropzoneMethod (interactable: Interact.Interactable, options?: Interact
     if ('checker' in options) {
       interactable.options.drop.checker = options.checker
     }
+    if ('native' in options) {
+      interactable.options.drop.native = !!options.native
+    }
+    if (/^(deepest|shallowest|priority)$/.test(options.nested as string) || utils.is.func(options.nested)) {
+      interactable.options.drop.nested = options.nested
+    }
+    if (utils.is.number(options.priority)) {
+      interactable.options.drop.priority = options.priority
+    }
+    if ('nestedEvents' in options) {
+      interactable.options.drop.nestedEvents = !!options.nestedEvents
+    }
 
     return interactable
   }
@@ -506,19 +759,14 @@ function dropCheckMethod (
   const dropOverlap = interactable.options.drop.overlap
 
   if (dropOverlap === 'pointer') {
-    const origin = utils.getOriginXY(draggable, draggableElement, 'drag')
-    const page = utils.pointer.getPageXY(dragEvent)
-
-    page.x += origin.x
-    page.y += origin.y
-
+    const page = getDragPoint(dragEvent, draggable, draggableElement)
     const horizontal = (page.x > rect.left) && (page.x < rect.right)
     const vertical   = (page.y > rect.top) && (page.y < rect.bottom)
 
     dropped = horizontal && vertical
   }
 
-  const dragRect = draggable.getRect(draggableElement)
+  const dragRect = getDragRect(dragEvent, draggable, draggableElement)
 
   if (dragRect && dropOverlap === 'center') {
     const cx = dragRect.left + dragRect.width  / 2
@@ -543,17 +791,65 @@ function dropCheckMethod (
   return dropped
 }
 
+// the page coords of the drag pointer which are checked with the 'pointer' overlap
+function getDragPoint (dragEvent: InteractEvent, draggable: Interact.Interactable, draggableElement: Element) {
+  const origin = utils.getOriginXY(draggable, draggableElement, 'drag')
+  const { localTransform } = dragEvent._interaction
+  let page = utils.pointer.getPageXY(dragEvent)
+
+  page.x += origin.x
+  page.y += origin.y
+
+  // the event coords are in the interaction's local space
+  if (localTransform) {
+    page = utils.matrix.applyToPoint(localTransform.matrix, page)
+  }
+
+  return page
+}
+
+function getDragRect (dragEvent: InteractEvent, draggable: Interact.Interactable, draggableElement: Element) {
+  const { dragPreview } = dragEvent._interaction
+
+  // the preview is moved instead of the draggable element
+  return draggable.getRect(dragPreview ? dragPreview.element : draggableElement)
+}
+
+// the area which contains the drag pointer and rect
+function getDragBounds (dragEvent: InteractEvent, draggable: Interact.Interactable, draggableElement: Element) {
+  const { x, y } = getDragPoint(dragEvent, draggable, draggableElement)
+  const rect = getDragRect(dragEvent, draggable, draggableElement)
+
+  return rect
+    ? {
+      left: Math.min(x, rect.left),
+      top: Math.min(y, rect.top),
+      right: Math.max(x, rect.right),
+      bottom: Math.max(y, rect.bottom),
+    }
+    : { left: x, top: y, right: x, bottom: y }
+}
+
 const drop = {
   id: 'actions/drop',
   install,
   getActiveDrops,
+  setActiveDrops,
+  getDropCandidates,
+  getDropSource,
   getDrop,
+  getDropTarget,
   getDropEvents,
+  getTargetEvents,
   fireDropEvents,
   defaults: {
     enabled: false,
     accept : null,
     overlap: 'pointer',
+    native : false,
+    nested : 'deepest',
+    priority: 0,
+    nestedEvents: false,
   } as Interact.DropzoneOptions,
 }
 
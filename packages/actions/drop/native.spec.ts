@@ -0,0 +1,184 @@
+import test from '@interactjs/_dev/test/test'
+import * as helpers from '@interactjs/core/tests/_helpers'
+import nativeDrop from './native'
+
+test('native HTML5 drops', (t) => {
+  const scope: Interact.Scope = helpers.mockScope()
+
+  scope.usePlugin(nativeDrop)
+
+  const { document: doc } = scope
+  const [fileZone, interactOnlyZone, textZone, source] = [0, 1, 2, 3].map(() => {
+    const element = doc.createElement('div')
+
+    doc.body.appendChild(element)
+
+    return element
+  })
+  const events = []
+  const logEvent = (e) => events.push([e.type, e.target])
+  const dropzones = [
+    scope.interactables.new(fileZone).dropzone({
+      native: true,
+      accept: ({ dataTransfer }) => !!dataTransfer && dataTransfer.types.indexOf('Files') !== -1,
+    }),
+    scope.interactables.new(interactOnlyZone).dropzone({}),
+    scope.interactables.new(textZone).dropzone({ native: true, accept: '.text-source' }),
+  ]
+
+  dropzones[0].rectChecker(() => ({ left: 0, top: 0, right: 100, bottom: 100 }))
+  dropzones[1].rectChecker(() => ({ left: 100, top: 0, right: 200, bottom: 100 }))
+  dropzones[2].rectChecker(() => ({ left: 200, top: 0, right: 300, bottom: 100 }))
+
+  for (const dropzone of dropzones) {
+    dropzone.on('dropactivate dropdeactivate dragenter dragleave dropmove drop', logEvent)
+  }
+
+  const files = { types: ['Files'] }
+  let lastEvent
+
+  function dispatch (type: string, x: number, dataTransfer: any, target?: Element) {
+    const event = new (scope.window as any).MouseEvent(type, { bubbles: true, cancelable: true, clientX: x, clientY: 50 })
+
+    Object.defineProperties(event, {
+      dataTransfer: { value: dataTransfer },
+      pageX: { value: x },
+      pageY: { value: 50 },
+    })
+
+    const eventTarget = target || doc.body
+
+    eventTarget.dispatchEvent(event)
+    lastEvent = event
+  }
+
+  dispatch('dragenter', 150, files)
+
+  t.deepEqual(events, [['dropactivate', fileZone]], 'only native dropzones which accept the drag are activated')
+
+  events.splice(0)
+  dispatch('dragover', 50, files)
+
+  t.deepEqual(
+    events,
+    [['dropmove', fileZone], ['dragenter', fileZone]],
+    'dragover fires dropmove and dragenter')
+  t.ok(lastEvent.defaultPrevented, 'native dragover is prevented over a dropzone to allow drops')
+
+  events.splice(0)
+  dispatch('dragover', 150, files)
+
+  t.deepEqual(events, [['dragleave', fileZone]], 'dragleave is fired when the pointer leaves the dropzone')
+  t.notOk(lastEvent.defaultPrevented, 'dragover is not prevented outside of dropzones')
+
+  events.splice(0)
+  let dropEvent
+
+  dropzones[0].on('drop', (e) => { dropEvent = e })
+  dispatch('drop', 50, files)
+
+  t.deepEqual(
+    events,
+    [['dragenter', fileZone], ['drop', fileZone], ['dropdeactivate', fileZone]],
+    'native drop fires drop and deactivates the dropzones')
+  t.equal(dropEvent.dataTransfer, files, 'drop event has the dataTransfer')
+  t.equal(dropEvent.dragEvent, null, 'drop event has no dragEvent')
+  t.ok(lastEvent.defaultPrevented, 'native drop is prevented')
+
+  // leaving the document
+  events.splice(0)
+  dispatch('dragenter', 50, files)
+  dispatch('dragleave', 50, files)
+
+  t.deepEqual(
+    events,
+    [['dropactivate', fileZone], ['dragenter', fileZone], ['dragleave', fileZone], ['dropdeactivate', fileZone]],
+    'dropzones are deactivated when the drag leaves the document')
+
+  // checkers are written for interact.js drags
+  events.splice(0)
+  dropzones[0].dropzone({ checker: (dragEvent) => dragEvent.dropzone === null })
+  dispatch('dragenter', 50, files)
+  dispatch('drop', 50, files)
+
+  t.deepEqual(
+    events,
+    [['dropactivate', fileZone], ['dragenter', fileZone], ['drop', fileZone], ['dropdeactivate', fileZone]],
+    'dropzone checker is not called for native drops')
+  dropzones[0].dropzone({ checker: null })
+
+  // rejected by accept
+  events.splice(0)
+  dropzones[0].dropzone({ accept: () => false })
+  dispatch('dragenter', 50, files)
+  dispatch('drop', 50, files)
+
+  t.deepEqual(events, [], 'dropzone accept can reject native drops')
+  t.notOk(lastEvent.defaultPrevented, 'rejected native drop is not prevented')
+
+  // a native drag of an element in the document
+  events.splice(0)
+  source.className = 'text-source'
+  dispatch('dragstart', 0, { types: ['text/plain'] }, source)
+  dispatch('dragenter', 250, { types: ['text/plain'] })
+  dispatch('drop', 250, { types: ['text/plain'] })
+
+  t.deepEqual(
+    events,
+    [['dropactivate', textZone], ['dragenter', textZone], ['drop', textZone], ['dropdeactivate', textZone]],
+    'accept selector is tested against the dragged element')
+
+  // accepting by type
+  events.splice(0)
+  dropzones[2].dropzone({ accept: { types: ['text/plain'] } })
+  dispatch('dragenter', 250, files)
+  dispatch('dragleave', 250, files)
+  dispatch('dragenter', 250, { types: ['text/plain'] })
+  dispatch('drop', 250, { types: ['text/plain'] })
+
+  t.deepEqual(
+    events.filter(([, target]) => target === textZone),
+    [['dropactivate', textZone], ['dragenter', textZone], ['drop', textZone], ['dropdeactivate', textZone]],
+    'accept types are tested against the dataTransfer types')
+  t.equal(dropEvent.data, null, 'native drop events have no data')
+
+  // the source rect is moved with the pointer for the overlap option
+  const text = { types: ['text/plain'] }
+
+  source.getClientRects = () => [{ left: 0, top: 0, right: 100, bottom: 100, width: 100, height: 100 }] as any
+  dropzones[2].dropzone({ overlap: 0.5 })
+  events.splice(0)
+  dispatch('dragstart', 0, text, source)
+  dispatch('dragenter', 140, text)
+
+  t.deepEqual(events, [['dropactivate', textZone]], 'overlap ratio of the moved source rect is checked')
+
+  dispatch('dragover', 150, text)
+  dispatch('drop', 150, text)
+
+  t.deepEqual(
+    events,
+    [['dropactivate', textZone], ['dropmove', textZone], ['dragenter', textZone], ['drop', textZone], ['dropdeactivate', textZone]],
+    'source element can be dropped by overlap without the pointer over the dropzone')
+
+  // external drags only have the pointer
+  events.splice(0)
+  dispatch('dragenter', 150, text)
+  dispatch('dragover', 250, text)
+  dispatch('dragleave', 250, text)
+
+  t.deepEqual(
+    events,
+    [['dropactivate', textZone], ['dropmove', textZone], ['dragenter', textZone], ['dragleave', textZone], ['dropdeactivate', textZone]],
+    'the pointer is checked for drags from outside of the page')
+
+  for (const dropzone of dropzones) {
+    dropzone.unset()
+  }
+
+  for (const element of [fileZone, interactOnlyZone, textZone, source]) {
+    doc.body.removeChild(element)
+  }
+
+  t.end()
+})
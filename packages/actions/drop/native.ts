@@ -0,0 +1,255 @@
+import Interaction from '@interactjs/core/Interaction'
+import { Scope } from '@interactjs/core/scope'
+import * as utils from '@interactjs/utils'
+import DropEvent from './DropEvent'
+import drop, { DropSource } from './index'
+
+type DropState = Interaction['dropState']
+
+declare module '@interactjs/core/scope' {
+  interface Scope {
+    nativeDrop?: {
+      dropState: DropState  // the state of the current native drag or null
+      source: Element       // the element which started a native drag in a known document
+      // the rect of the source and the pointer coords when the drag started
+      sourceRect: Interact.Rect
+      startPage: Interact.Point
+      depth: number         // the number of entered elements which haven't been left
+    }
+  }
+}
+
+function install (scope: Scope) {
+  scope.usePlugin(drop)
+
+  scope.nativeDrop = {
+    dropState: null,
+    source: null,
+    sourceRect: null,
+    startPage: null,
+    depth: 0,
+  }
+
+  const listeners = {
+    dragstart: (event: DragEvent) => {
+      const state = scope.nativeDrop
+
+      state.source = utils.is.element(event.target) ? event.target : null
+      state.sourceRect = state.source && utils.dom.getElementRect(state.source)
+      state.startPage = utils.pointer.getPageXY(event)
+    },
+    dragenter: (event: DragEvent) => {
+      scope.nativeDrop.depth++
+      update(scope, event)
+    },
+    dragover: (event: DragEvent) => update(scope, event),
+    dragleave: (event: DragEvent) => {
+      const state = scope.nativeDrop
+
+      state.depth = Math.max(0, state.depth - 1)
+
+      // the pointer has left the document
+      if (!state.depth && state.dropState) {
+        const { dropState } = state
+
+        dropState.native.event = event
+        dropState.cur = { dropzone: null, element: null, ancestors: [] }
+        fireEvents(dropState, event)
+        end(scope)
+      }
+    },
+    drop: (event: DragEvent) => {
+      const dropState = update(scope, event)
+
+      if (dropState) {
+        drop.fireDropEvents({ dropState } as Interaction, drop.getTargetEvents(dropState, null, { drop: true }))
+      }
+
+      end(scope)
+    },
+    dragend: () => end(scope),
+  }
+
+  scope.signals.on('add-document', ({ doc }) => {
+    for (const type in listeners) {
+      utils.events.add(doc, type, listeners[type])
+    }
+  })
+
+  scope.signals.on('remove-document', ({ doc }) => {
+    for (const type in listeners) {
+      utils.events.remove(doc, type, listeners[type])
+    }
+  })
+}
+
+/**
+ * Update the dropzone that a native drag is over and fire drop events.
+ * Activates the dropzones which accept the drag when it enters the document.
+ */
+function update (scope: Scope, event: DragEvent) {
+  const state = scope.nativeDrop
+  let { dropState } = state
+
+  if (!dropState) {
+    const activeDrops = drop.getActiveDrops(scope, getDropSource(scope, event))
+
+    if (!activeDrops.length) { return null }
+
+    dropState = state.dropState = {
+      cur: { dropzone: null, element: null, ancestors: [] },
+      prev: { dropzone: null, element: null, ancestors: [] },
+      rejected: false,
+      events: {},
+      activeDrops: null,
+      native: { event, source: state.source },
+    }
+
+    drop.setActiveDrops(dropState, activeDrops)
+
+    fireActivation(dropState, 'dropactivate')
+  }
+
+  dropState.native.event = event
+
+  if (scope.dynamicDrop) {
+    drop.setActiveDrops(dropState, drop.getActiveDrops(scope, getDropSource(scope, event)))
+  }
+
+  const dropResult = getDrop(scope, dropState, event)
+
+  dropState.rejected = dropState.rejected &&
+    !!dropResult &&
+    dropResult.dropzone === dropState.cur.dropzone &&
+    dropResult.element === dropState.cur.element
+
+  dropState.cur.dropzone = dropResult && dropResult.dropzone
+  dropState.cur.element = dropResult && dropResult.element
+  dropState.cur.ancestors = dropResult ? dropResult.ancestors : []
+
+  fireEvents(dropState, event)
+
+  // allow the browser to drop into the dropzone
+  if (dropState.cur.dropzone && !dropState.rejected) {
+    event.preventDefault()
+  }
+
+  return dropState
+}
+
+function getDropSource (scope: Scope, event: DragEvent): DropSource {
+  const { dataTransfer } = event
+
+  return {
+    element: scope.nativeDrop.source,
+    followers: [],
+    data: null,
+    types: dataTransfer ? utils.arr.from(dataTransfer.types) : [],
+    dataTransfer,
+  }
+}
+
+/**
+ * Check the active dropzones with their `overlap` option. The rect of an
+ * element dragged within the page is moved with the pointer from where the
+ * drag started. External drags only have the pointer coords. Dropzone
+ * checkers aren't called since there's no dragEvent or draggable
+ */
+function getDrop (scope: Scope, dropState: DropState, event: DragEvent) {
+  const page = utils.pointer.getPageXY(event)
+  const dragRect = getDragRect(scope, page)
+  const { activeDrops } = dropState
+  const candidates = drop.getDropCandidates(dropState, {
+    left: dragRect ? Math.min(page.x, dragRect.left) : page.x,
+    top: dragRect ? Math.min(page.y, dragRect.top) : page.y,
+    right: dragRect ? Math.max(page.x, dragRect.right) : page.x,
+    bottom: dragRect ? Math.max(page.y, dragRect.bottom) : page.y,
+  })
+  const validDrops = []
+
+  for (const i of candidates) {
+    const { dropzone, rect } = activeDrops[i]
+
+    if (rect && isDropped(dropzone.options.drop.overlap, rect, page, dragRect)) {
+      validDrops.push(activeDrops[i])
+    }
+  }
+
+  return drop.getDropTarget(validDrops)
+}
+
+// the rect of the source element at the current pointer coords
+function getDragRect (scope: Scope, page: Interact.Point): Required<Interact.Rect> {
+  const { sourceRect, startPage } = scope.nativeDrop
+
+  if (!sourceRect) { return null }
+
+  const dx = page.x - startPage.x
+  const dy = page.y - startPage.y
+
+  return {
+    left: sourceRect.left + dx,
+    top: sourceRect.top + dy,
+    right: sourceRect.right + dx,
+    bottom: sourceRect.bottom + dy,
+    width: sourceRect.right - sourceRect.left,
+    height: sourceRect.bottom - sourceRect.top,
+  }
+}
+
+function isDropped (
+  overlap: Interact.DropzoneOptions['overlap'],
+  rect: Interact.Rect,
+  page: Interact.Point,
+  dragRect: Required<Interact.Rect>,
+) {
+  if (dragRect && overlap === 'center') {
+    const cx = dragRect.left + dragRect.width  / 2
+    const cy = dragRect.top  + dragRect.height / 2
+
+    return cx >= rect.left && cx <= rect.right && cy >= rect.top && cy <= rect.bottom
+  }
+
+  if (dragRect && utils.is.number(overlap)) {
+    const overlapArea = (Math.max(0, Math.min(rect.right, dragRect.right) - Math.max(rect.left, dragRect.left)) *
+                         Math.max(0, Math.min(rect.bottom, dragRect.bottom) - Math.max(rect.top, dragRect.top)))
+
+    return overlapArea / (dragRect.width * dragRect.height) >= overlap
+  }
+
+  // 'pointer' overlap and drags from outside of the page
+  return page.x > rect.left && page.x < rect.right &&
+    page.y > rect.top && page.y < rect.bottom
+}
+
+function fireEvents (dropState: DropState, event: DragEvent) {
+  const events = dropState.events = drop.getTargetEvents(dropState, null, { move: event.type === 'dragover' })
+
+  drop.fireDropEvents({ dropState } as Interaction, events)
+}
+
+function fireActivation (dropState: DropState, type: string) {
+  for (const { dropzone, element } of dropState.activeDrops) {
+    const event = new DropEvent(dropState, null, type)
+
+    event.dropzone = dropzone
+    event.target = event.currentTarget = element
+    dropzone.fire(event)
+  }
+}
+
+function end (scope: Scope) {
+  const state = scope.nativeDrop
+
+  if (state.dropState) {
+    fireActivation(state.dropState, 'dropdeactivate')
+  }
+
+  state.dropState = state.source = state.sourceRect = state.startPage = null
+  state.depth = 0
+}
+
+export default {
+  id: 'actions/drop/native',
+  install,
+}
@@ -0,0 +1,39 @@
+import test from '@interactjs/_dev/test/test'
+import * as spatialIndex from './spatialIndex'
+
+test('actions/drop/spatialIndex', (t) => {
+  const rect = (left: number, top: number, size = 10) =>
+    ({ left, top, right: left + size, bottom: top + size, width: size, height: size })
+  const rects = [
+    rect(0, 0),
+    rect(100, 0),
+    rect(0, 100),
+    null,
+    rect(100, 100),
+    rect(0, 0, 200),
+    rect(200, 200),
+  ]
+  const index = spatialIndex.create(rects, (i) => i === 6)
+
+  t.deepEqual(
+    spatialIndex.query(index, rect(1, 1, 2)),
+    [0, 3, 5, 6],
+    'returns the items in the query cells, items without rects, large items and always items')
+
+  t.deepEqual(
+    spatialIndex.query(index, { left: 95, top: 5, right: 105, bottom: 105 }),
+    [1, 3, 4, 5, 6],
+    'items are returned once in ascending order')
+
+  t.deepEqual(
+    spatialIndex.query(index, rect(-500, -500, 2000)),
+    [0, 1, 2, 3, 4, 5, 6],
+    'all items are returned for large queries')
+
+  t.deepEqual(
+    spatialIndex.query(index, null),
+    [3, 5, 6],
+    'only the always items are returned without a query rect')
+
+  t.end()
+})
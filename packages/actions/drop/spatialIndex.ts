@@ -0,0 +1,140 @@
+import * as is from '@interactjs/utils/is'
+
+// items which would be added to more cells are always checked instead
+const MAX_ITEM_CELLS = 16
+
+export interface SpatialIndex {
+  cellSize: number
+  cells: { [key: string]: number[] } // indices of the items which overlap each cell
+  always: number[]                   // indices of the items returned by every query
+  length: number                     // the number of indexed items
+}
+
+/**
+ * Create a uniform grid of the indices of rects. The cell size is the average
+ * size of the rects so that most rects are in only a few cells. Items with no
+ * rect or with `always(index)` returning `true` are returned from every query.
+ */
+export function create (rects: Interact.Rect[], always?: (index: number) => boolean): SpatialIndex {
+  const index: SpatialIndex = {
+    cellSize: getCellSize(rects),
+    cells: {},
+    always: [],
+    length: rects.length,
+  }
+
+  for (let i = 0; i < rects.length; i++) {
+    const rect = rects[i]
+    const range = isValidRect(rect) && getCellRange(index, rect)
+
+    if (!range || (always && always(i)) || getCellCount(range) > MAX_ITEM_CELLS) {
+      index.always.push(i)
+      continue
+    }
+
+    for (let row = range.top; row <= range.bottom; row++) {
+      for (let col = range.left; col <= range.right; col++) {
+        const key = `${col},${row}`
+
+        if (index.cells[key]) {
+          index.cells[key].push(i)
+        }
+        else {
+          index.cells[key] = [i]
+        }
+      }
+    }
+  }
+
+  return index
+}
+
+/**
+ * Get the indices of the items which might overlap the rect in ascending order
+ */
+export function query (index: SpatialIndex, rect: Interact.Rect): number[] {
+  if (!isValidRect(rect)) {
+    return index.always.slice()
+  }
+
+  const range = getCellRange(index, rect)
+
+  // checking every item is cheaper than visiting every cell
+  if (!range || getCellCount(range) > index.length) {
+    return getAll(index)
+  }
+
+  const found: { [i: number]: boolean } = {}
+  const result = index.always.slice()
+
+  for (const i of result) {
+    found[i] = true
+  }
+
+  for (let row = range.top; row <= range.bottom; row++) {
+    for (let col = range.left; col <= range.right; col++) {
+      const cell = index.cells[`${col},${row}`]
+
+      if (!cell) { continue }
+
+      for (const i of cell) {
+        if (found[i]) { continue }
+
+        found[i] = true
+        result.push(i)
+      }
+    }
+  }
+
+  return result.sort((a, b) => a - b)
+}
+
+function getAll ({ length }: SpatialIndex) {
+  const result = []
+
+  for (let i = 0; i < length; i++) {
+    result.push(i)
+  }
+
+  return result
+}
+
+function getCellSize (rects: Interact.Rect[]) {
+  let total = 0
+  let count = 0
+
+  for (const rect of rects) {
+    if (!isValidRect(rect)) { continue }
+
+    total += Math.max(rect.right - rect.left, rect.bottom - rect.top)
+    count++
+  }
+
+  return Math.max(1, count ? total / count : 1)
+}
+
+function getCellRange ({ cellSize }: SpatialIndex, rect: Interact.Rect) {
+  const range = {
+    left: Math.floor(rect.left / cellSize),
+    top: Math.floor(rect.top / cellSize),
+    right: Math.floor(rect.right / cellSize),
+    bottom: Math.floor(rect.bottom / cellSize),
+  }
+
+  for (const side in range) {
+    if (!isFinite(range[side])) { return null }
+  }
+
+  return range
+}
+
+function getCellCount ({ left, top, right, bottom }: ReturnType<typeof getCellRange>) {
+  return (right - left + 1) * (bottom - top + 1)
+}
+
+function isValidRect (rect: Interact.Rect) {
+  return !!rect &&
+    is.number(rect.left) && is.number(rect.top) &&
+    is.number(rect.right) && is.number(rect.bottom) &&
+    rect.right >= rect.left && rect.bottom >= rect.top
+}
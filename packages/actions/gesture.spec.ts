@@ -213,3 +213,98 @@ test('Interactable.gesturable method', (t) => {
 
   t.end()
 })
+
+test('gesture parts and pointer counts', (t) => {
+  const scope: Interact.Scope = helpers.mockScope()
+
+  scope.usePlugin(gesture)
+
+  const interaction = scope.interactions.new({})
+  const element = scope.document.body
+  const interactable = scope.interactables.new(element).gesturable(true)
+  const touches = [0, 1, 2, 3].map((pointerId) => {
+    const touch = utils.pointer.coordsToEvent(utils.pointer.newCoords())
+
+    Object.assign(touch.coords, { pointerId, client: touch.page })
+
+    return touch
+  })
+  const events: Interact.GestureEvent[] = []
+
+  interactable.on('gesturestart gesturemove gestureend', (event: Interact.GestureEvent) => {
+    events.push(event)
+  })
+
+  function moveTo (index: number, x: number, y: number) {
+    utils.extend(touches[index].page, { x, y })
+    interaction.pointerMove(touches[index], touches[index], element)
+  }
+
+  function downAll (count: number, points: Array<[number, number]>) {
+    interaction.stop()
+
+    for (const touch of touches) {
+      interaction.pointerUp(touch, touch, element, element)
+    }
+
+    events.splice(0)
+    points.forEach(([x, y], i) => utils.extend(touches[i].page, { x, y }))
+
+    for (let i = 0; i < count; i++) {
+      interaction.pointerDown(touches[i], touches[i], element)
+    }
+  }
+
+  interactable.gesturable({ minPointers: 3, maxPointers: 3 })
+  downAll(2, [[0, 0], [100, 0], [50, 0], [50, 50]])
+
+  t.notOk(gesture.checker(null, null, interactable, element, interaction), 'not allowed with fewer than minPointers')
+
+  interaction.pointerDown(touches[2], touches[2], element)
+  t.ok(gesture.checker(null, null, interactable, element, interaction), 'allowed between minPointers and maxPointers')
+
+  interaction.pointerDown(touches[3], touches[3], element)
+  t.notOk(gesture.checker(null, null, interactable, element, interaction), 'not allowed with more than maxPointers')
+
+  downAll(3, [[0, 0], [100, 0], [50, 0]])
+  interaction.start({ name: ActionName.Gesture }, interactable, element)
+  moveTo(0, -50, 0)
+  moveTo(1, 150, 0)
+
+  t.deepEqual(
+    helpers.getProps(events[events.length - 1], ['distance', 'scale', 'angle', 'pointerCount']),
+    { distance: 400 / 3, scale: 2, angle: 0, pointerCount: 3 },
+    'scale is the change in the average spread of all pointers from their centroid')
+
+  interactable.gesturable({ pinch: false, rotation: { threshold: 30 }, pan: false })
+  downAll(2, [[0, 0], [100, 0]])
+  interaction.start({ name: ActionName.Gesture }, interactable, element)
+  moveTo(1, 100, 20)
+
+  t.deepEqual(
+    getGestureProps(events[1]),
+    { type: 'gesturemove', angle: 0, distance: utils.hypot(100, 20), scale: 1, ds: 0, da: 0 },
+    'rotation below the threshold and locked pinch are not applied')
+
+  moveTo(1, 0, 100)
+
+  t.equal(Math.round(events[2].angle * 1e6) / 1e6, 60, 'rotation past the threshold starts from the threshold')
+  t.deepEqual(
+    events.map((e) => [e.page.x, e.page.y, e.dx, e.dy]),
+    [[50, 0, 0, 0], [50, 0, 0, 0], [50, 0, 0, 0]],
+    'locked pan keeps the event coords at the start')
+
+  interactable.gesturable({ minPointers: 2, maxPointers: 3, pinch: true, rotation: true, pan: true })
+  downAll(2, [[0, 0], [100, 0], [100, 100]])
+  interaction.start({ name: ActionName.Gesture }, interactable, element)
+  interaction.pointerDown(touches[2], touches[2], element)
+  moveTo(2, 100, 100)
+
+  t.deepEqual(
+    helpers.getProps(events[events.length - 1], ['angle', 'da', 'pointerCount']),
+    { angle: 0, da: 0, pointerCount: 3 },
+    'adding a pointer without rotating doesn\'t change the angle')
+
+  interaction.stop()
+  t.end()
+})
@@ -13,9 +13,28 @@ declare module '@interactjs/core/Interaction' {
       startAngle: number,     // angle of line joining two touches
       startDistance: number,  // distance between two touches of touchStart
     }
+    gestureParts?: {
+      pinch: GesturePart,
+      rotate: GesturePart,
+      pan: GesturePart,
+      rotation: number,       // rotation since the start before thresholds
+      pointerAngles: { [pointerId: string]: number }, // around the centroid
+      startCoords: { page: Interact.Point, client: Interact.Point },
+      prevCoords: { page: Interact.Point, client: Interact.Point },
+      panShift: Interact.Point, // from the pointer coords to the event coords
+    }
   }
 }
 
+// the pinch, rotate and pan parts of a gesture are tracked separately so that
+// they can be locked or have their own start thresholds
+interface GesturePart {
+  active: boolean
+  base: number[]    // the raw value when the part was last inactive
+  value: number[]   // the value given to events
+  offset: number[]  // from the raw value to the event value while active
+}
+
 declare module '@interactjs/core/Interactable' {
   interface Interactable {
     gesturable: GesturableMethod
@@ -49,6 +68,7 @@ export interface GestureEvent extends Interact.InteractEvent<ActionName.Gesture>
   ds: number // scale change
   box: Interact.Rect // enclosing box of all points
   touches: Interact.PointerType[]
+  pointerCount: number
 }
 
 export interface GestureSignalArg extends Interact.SignalArg {
@@ -76,6 +96,18 @@ function install (scope: Scope) {
    *     // See the explanation in {@link Interactable.draggable} example
    *     max: Infinity,
    *     maxPerElement: 1,
+   *
+   *     // lock or set a start threshold for each part of the gesture
+   *     pinch: { threshold: 0.1 },      // change in scale
+   *     rotation: { threshold: 15 },    // degrees
+   *     pan: false,
+   *
+   *     // the number of pointers which can start a gesture
+   *     minPointers: 2,
+   *     maxPointers: Infinity,
+   *
+   *     // zoom with ctrl+wheel and trackpad pinch and pan with the wheel
+   *     wheel: { zoomSpeed: 0.005, pan: true },
    * })
    *
    * var isGestureable = interact(element).gesturable()
@@ -118,6 +150,7 @@ function install (scope: Scope) {
       startAngle: 0,
       startDistance: 0,
     }
+    interaction.gestureParts = null
   })
 
   actions[ActionName.Gesture] = gesture
@@ -136,10 +169,19 @@ const gesture = {
   id: 'actions/gesture',
   install,
   defaults: {
-  },
-
-  checker (_pointer, _event, _interactable, _element, interaction: { pointers: { length: number; }; }) {
-    if (interaction.pointers.length >= 2) {
+    pinch: { enabled: true, threshold: 0 },
+    rotation: { enabled: true, threshold: 0 },
+    pan: { enabled: true, threshold: 0 },
+    minPointers: 2,
+    maxPointers: Infinity,
+    wheel: null,
+  } as Interact.GesturableOptions,
+
+  checker (_pointer, _event, interactable, _element, interaction: { pointers: { length: number; }; }) {
+    const { minPointers = 2, maxPointers = Infinity } = interactable.options.gesture
+    const pointerCount = interaction.pointers.length
+
+    if (pointerCount >= Math.max(minPointers, 2) && pointerCount <= maxPointers) {
       return { name: 'gesture' }
     }
 
@@ -157,20 +199,33 @@ function updateGestureProps ({ interaction, iEvent, event, phase }: GestureSigna
   const pointers = interaction.pointers.map((p) => p.pointer)
   const starting = phase === 'start'
   const ending = phase === 'end'
-  const deltaSource = interaction.interactable.options.deltaSource
+  const { deltaSource, gesture: options } = interaction.interactable.options
+  const state = interaction.gesture
 
-  iEvent.touches = [pointers[0], pointers[1]]
+  iEvent.touches = pointers
+  iEvent.pointerCount = pointers.length
 
   if (starting) {
-    iEvent.distance = utils.pointer.touchDistance(pointers, deltaSource)
+    iEvent.distance = getSpread(pointers, deltaSource)
     iEvent.box      = utils.pointer.touchBBox(pointers)
     iEvent.scale    = 1
     iEvent.ds       = 0
     iEvent.angle    = utils.pointer.touchAngle(pointers, deltaSource)
     iEvent.da       = 0
 
-    interaction.gesture.startDistance = iEvent.distance
-    interaction.gesture.startAngle = iEvent.angle
+    state.startDistance = iEvent.distance
+    state.startAngle = iEvent.angle
+
+    interaction.gestureParts = {
+      pinch: newPart(1),
+      rotate: newPart(1),
+      pan: newPart(2),
+      rotation: 0,
+      pointerAngles: getPointerAngles(pointers, deltaSource),
+      startCoords: { page: utils.extend({}, iEvent.page), client: utils.extend({}, iEvent.client) },
+      prevCoords: { page: utils.extend({}, iEvent.page), client: utils.extend({}, iEvent.client) },
+      panShift: { x: 0, y: 0 },
+    }
   }
   else if (ending || event instanceof InteractEvent) {
     const prevEvent = interaction.prevEvent as GestureEvent
@@ -181,15 +236,49 @@ function updateGestureProps ({ interaction, iEvent, event, phase }: GestureSigna
     iEvent.ds       = 0
     iEvent.angle    = prevEvent.angle
     iEvent.da       = 0
+
+    shiftEventCoords(interaction, iEvent)
   }
   else {
-    iEvent.distance = utils.pointer.touchDistance(pointers, deltaSource)
+    const parts = interaction.gestureParts
+    const distance = getSpread(pointers, deltaSource)
+    const pointerAngles = getPointerAngles(pointers, deltaSource)
+
+    // keep the gesture values from jumping when pointers are added
+    if (pointers.length !== (interaction.prevEvent as GestureEvent).pointerCount) {
+      state.startDistance *= distance / state.distance
+
+      for (const coordsType of ['page', 'client']) {
+        parts.startCoords[coordsType].x += iEvent[coordsType].x - parts.prevCoords[coordsType].x
+        parts.startCoords[coordsType].y += iEvent[coordsType].y - parts.prevCoords[coordsType].y
+      }
+    }
+    else {
+      // the previous angles are around the centroid of the previous pointers
+      // so they're only compared when the pointers are the same
+      parts.rotation += getAverageRotation(parts.pointerAngles, pointerAngles)
+    }
+
+    parts.pointerAngles = pointerAngles
+    parts.prevCoords = { page: utils.extend({}, iEvent.page), client: utils.extend({}, iEvent.client) }
+
+    const [scaleChange] = updatePart(parts.pinch, options.pinch, [distance / state.startDistance - 1])
+    const [rotation] = updatePart(parts.rotate, options.rotation, [parts.rotation])
+    const startCoords = parts.startCoords[deltaSource]
+    const rawPan = [iEvent[deltaSource].x - startCoords.x, iEvent[deltaSource].y - startCoords.y]
+    const pan = updatePart(parts.pan, options.pan, rawPan)
+
+    parts.panShift = { x: pan[0] - rawPan[0], y: pan[1] - rawPan[1] }
+
+    iEvent.distance = distance
     iEvent.box      = utils.pointer.touchBBox(pointers)
-    iEvent.scale    = iEvent.distance / interaction.gesture.startDistance
-    iEvent.angle    = utils.pointer.touchAngle(pointers, deltaSource)
+    iEvent.scale    = 1 + scaleChange
+    iEvent.angle    = state.startAngle + rotation
+
+    iEvent.ds = iEvent.scale - state.scale
+    iEvent.da = iEvent.angle - state.angle
 
-    iEvent.ds = iEvent.scale - interaction.gesture.scale
-    iEvent.da = iEvent.angle - interaction.gesture.angle
+    shiftEventCoords(interaction, iEvent)
   }
 
   interaction.gesture.distance = iEvent.distance
@@ -202,4 +291,112 @@ function updateGestureProps ({ interaction, iEvent, event, phase }: GestureSigna
   }
 }
 
+function newPart (length: number): GesturePart {
+  const zeros = () => Array.apply(null, Array(length)).map(() => 0)
+
+  return { active: false, base: zeros(), value: zeros(), offset: zeros() }
+}
+
+/**
+ * Get the event value of a part of the gesture from its raw value. The part
+ * becomes active when it changes by more than its threshold and the threshold
+ * is subtracted from the change so that the value doesn't jump. The value of a
+ * locked part doesn't change.
+ */
+function updatePart (part: GesturePart, option: Interact.GesturePartOptions | boolean, raw: number[]) {
+  const enabled = utils.is.bool(option) ? option : !option || option.enabled !== false
+  const threshold = (!utils.is.bool(option) && option && option.threshold) || 0
+
+  if (!enabled) {
+    part.active = false
+    part.base = raw
+  }
+  else if (!part.active) {
+    const change = raw.map((value, i) => value - part.base[i])
+    const length = utils.hypot.apply(null, change.concat(0))
+
+    if (length > threshold) {
+      part.active = true
+      part.offset = raw.map((_value, i) => part.base[i] + change[i] / length * threshold - part.value[i])
+    }
+  }
+
+  if (part.active) {
+    part.value = raw.map((value, i) => value - part.offset[i])
+  }
+
+  return part.value
+}
+
+// move the event coords of a locked or inactive pan and update the deltas
+function shiftEventCoords (interaction: Interact.Interaction, iEvent: GestureEvent) {
+  const { panShift } = interaction.gestureParts
+  const prevEvent = interaction.prevEvent
+  const deltaSource = interaction.interactable.options.deltaSource
+
+  if (!panShift.x && !panShift.y) { return }
+
+  for (const coordsType of ['page', 'client']) {
+    iEvent[coordsType].x += panShift.x
+    iEvent[coordsType].y += panShift.y
+  }
+
+  iEvent.delta.x = iEvent[deltaSource].x - prevEvent[deltaSource].x
+  iEvent.delta.y = iEvent[deltaSource].y - prevEvent[deltaSource].y
+}
+
+function getCentroid (pointers: Interact.PointerType[], deltaSource: string) {
+  const centroid = { x: 0, y: 0 }
+
+  for (const pointer of pointers) {
+    centroid.x += pointer[deltaSource + 'X'] / pointers.length
+    centroid.y += pointer[deltaSource + 'Y'] / pointers.length
+  }
+
+  return centroid
+}
+
+// twice the average distance of the pointers from their centroid. For two
+// pointers, this is the distance between them
+function getSpread (pointers: Interact.PointerType[], deltaSource: string) {
+  const centroid = getCentroid(pointers, deltaSource)
+  let total = 0
+
+  for (const pointer of pointers) {
+    total += utils.hypot(pointer[deltaSource + 'X'] - centroid.x, pointer[deltaSource + 'Y'] - centroid.y)
+  }
+
+  return 2 * total / pointers.length
+}
+
+function getPointerAngles (pointers: Interact.PointerType[], deltaSource: string) {
+  const centroid = getCentroid(pointers, deltaSource)
+  const angles: { [pointerId: string]: number } = {}
+
+  for (const pointer of pointers) {
+    angles[utils.pointer.getPointerId(pointer)] = 180 * Math.atan2(
+      pointer[deltaSource + 'Y'] - centroid.y,
+      pointer[deltaSource + 'X'] - centroid.x) / Math.PI
+  }
+
+  return angles
+}
+
+// the average change in the angles of the pointers around their centroid
+function getAverageRotation (prevAngles: { [pointerId: string]: number }, angles: { [pointerId: string]: number }) {
+  let total = 0
+  let count = 0
+
+  for (const id in angles) {
+    if (!(id in prevAngles)) { continue }
+
+    const change = angles[id] - prevAngles[id]
+
+    total += change - 360 * Math.round(change / 360)
+    count++
+  }
+
+  return count ? total / count : 0
+}
+
 export default gesture
@@ -1,14 +1,27 @@
 import { Scope } from '@interactjs/core/scope'
 import drag, { DragEvent } from './drag'
 import drop from './drop'
+import nativeDrop from './drop/native'
 import gesture, { GestureEvent } from './gesture'
+import keyboard from './keyboard'
+import preview from './preview'
 import resize, { ResizeEvent } from './resize'
+import rotate, { RotateEvent } from './rotate'
+import select, { SelectEvent } from './select'
+import wheel from './wheel'
 
 function install (scope: Scope) {
   scope.usePlugin(gesture)
   scope.usePlugin(resize)
+  scope.usePlugin(rotate)
   scope.usePlugin(drag)
+  scope.usePlugin(select)
+  // the preview is moved before drops are checked
+  scope.usePlugin(preview)
   scope.usePlugin(drop)
+  scope.usePlugin(nativeDrop)
+  scope.usePlugin(keyboard)
+  scope.usePlugin(wheel)
 }
 
 const id = 'actions'
@@ -20,7 +33,15 @@ export {
   GestureEvent,
   resize,
   ResizeEvent,
+  rotate,
+  RotateEvent,
   drag,
   DragEvent,
+  select,
+  SelectEvent,
   drop,
+  nativeDrop,
+  preview,
+  keyboard,
+  wheel,
 }
@@ -0,0 +1,114 @@
+import test from '@interactjs/_dev/test/test'
+import * as helpers from '@interactjs/core/tests/_helpers'
+import keyboard from './keyboard'
+
+test('actions/keyboard', (t) => {
+  const scope: Interact.Scope = helpers.mockScope()
+  scope.interact = {} as any
+  scope.usePlugin(keyboard)
+
+  const { document: doc } = scope
+  const dragElement = doc.createElement('div')
+  const dropElements = [doc.createElement('div'), doc.createElement('div')]
+
+  doc.body.appendChild(dragElement)
+  dropElements.forEach((el) => doc.body.appendChild(el))
+
+  const events: Interact.InteractEvent[] = []
+  const draggable = scope.interactables.new(dragElement).draggable({
+    keyboard: { step: 5 },
+    listeners: { start: logEvent, move: logEvent, end: logEvent },
+  })
+  const dropzones = dropElements.map((el, i) => {
+    const left = 200 * (i + 1)
+    const dropzone = scope.interactables.new(el).dropzone({ ondrop: logEvent })
+
+    dropzone.rectChecker(() => ({ left, top: 0, right: left + 100, bottom: 100 }))
+
+    return dropzone
+  })
+
+  draggable.rectChecker(() => ({ left: 0, top: 0, right: 100, bottom: 100 }))
+
+  t.deepEqual(
+    scope.defaults.perAction.keyboard,
+    { enabled: false, step: 10, edges: { right: true, bottom: true } },
+    'sets scope.defaults.perAction.keyboard')
+  t.ok(draggable.options.drag.keyboard.enabled, 'keyboard option object enables keyboard mode')
+
+  const keyResults = []
+  const press = (key: string, options = {}) => {
+    const event = new (scope.window as any).KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options })
+    dragElement.dispatchEvent(event)
+    keyResults.push({ key, prevented: event.defaultPrevented })
+  }
+
+  press('a')
+  t.equal(events.length, 0, 'other keys are ignored')
+  t.notOk(keyResults[0].prevented, 'other keys are not prevented')
+
+  press('Enter')
+  t.deepEqual(
+    events.map((e) => [e.type, e.page.x, e.page.y]),
+    [['dragstart', 50, 50]],
+    'Enter starts a drag from the element center')
+  t.ok(keyResults[1].prevented, 'handled keys are prevented')
+
+  press('ArrowRight')
+  press('ArrowDown')
+  t.deepEqual(
+    events.slice(1).map((e) => [e.type, e.dx, e.dy]),
+    [['dragmove', 5, 0], ['dragmove', 0, 5]],
+    'arrow keys move by the step')
+
+  events.splice(0)
+  press('Tab')
+  press('Tab')
+  press('Tab', { shiftKey: true })
+  t.deepEqual(
+    events.map((e) => [e.type, e.page.x, e.page.y]),
+    [['dragmove', 250, 50], ['dragmove', 450, 50], ['dragmove', 250, 50]],
+    'Tab and Shift+Tab move to the next and previous dropzones')
+
+  events.splice(0)
+  press(' ')
+  t.deepEqual(
+    events.map((e) => [e.type, e.target]),
+    [['dragend', dragElement], ['drop', dropElements[0]]],
+    'Space ends the drag and drops onto the current dropzone')
+  t.equal(scope.interactions.list.length, 0, 'keyboard interaction is removed on stop')
+
+  events.splice(0)
+  press('Enter')
+  press('Tab')
+  press('Escape')
+  t.deepEqual(
+    events.map((e) => [e.type, e.page.x, e.page.y]),
+    [['dragstart', 50, 50], ['dragmove', 250, 50], ['dragmove', 50, 50], ['dragend', 50, 50]],
+    'Escape returns to the start position')
+  t.equal(events[3].relatedTarget, null, 'canceled dragend has no drop target')
+
+  dropzones.forEach((dropzone) => dropzone.unset())
+
+  draggable.resizable({ keyboard: true })
+
+  events.splice(0)
+  draggable.on('resizestart resizemove resizeend', logEvent)
+  press('Enter', { shiftKey: true })
+  press('ArrowLeft')
+  press('Enter')
+  t.deepEqual(
+    events.map((e) => [e.type, e.page.x, e.page.y, e.dx]),
+    [['resizestart', 100, 100, 0], ['resizemove', 90, 100, -10], ['resizeend', 90, 100, 0]],
+    'Shift+Enter starts a resize from the keyboard edges')
+
+  draggable.unset()
+  dragElement.remove()
+  dropElements.forEach((el) => el.remove())
+
+  t.end()
+
+  function logEvent (event) {
+    events.push(event)
+  }
+})
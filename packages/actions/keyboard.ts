@@ -0,0 +1,281 @@
+import { ActionProps, Interaction } from '@interactjs/core/Interaction'
+import { ActionName, Scope } from '@interactjs/core/scope'
+import * as utils from '@interactjs/utils'
+import drag from './drag'
+import drop from './drop'
+import resize from './resize'
+
+declare module '@interactjs/core/Interaction' {
+  interface Interaction {
+    keyboard?: {
+      pointer: ReturnType<typeof utils.pointer.coordsToEvent>
+      dropIndex: number
+      canceled: boolean
+    }
+  }
+}
+
+declare module '@interactjs/core/defaultOptions' {
+  interface PerActionDefaults {
+    keyboard?: Interact.KeyboardOption
+  }
+}
+
+const keys = {
+  start: /^(Enter| |Spacebar)$/,
+  cancel: /^(Escape|Esc)$/,
+  arrows: {
+    ArrowLeft : { x: -1, y:  0 },
+    ArrowRight: { x:  1, y:  0 },
+    ArrowUp   : { x:  0, y: -1 },
+    ArrowDown : { x:  0, y:  1 },
+    // legacy key names (IE/Edge)
+    Left      : { x: -1, y:  0 },
+    Right     : { x:  1, y:  0 },
+    Up        : { x:  0, y: -1 },
+    Down      : { x:  0, y:  1 },
+  } as { [key: string]: Interact.Point },
+}
+
+function install (scope: Scope) {
+  const {
+    interactions,
+    defaults,
+  } = scope
+
+  scope.usePlugin(drag)
+  scope.usePlugin(resize)
+  scope.usePlugin(drop)
+
+  interactions.signals.on('new', ({ interaction }) => {
+    interaction.keyboard = null
+  })
+
+  // a canceled keyboard drag never drops. This listener is added after the
+  // drop plugin's so the drop events calculated for the dragend are replaced
+  interactions.signals.on('action-end', ({ interaction, iEvent, event }) => {
+    if (!interaction.keyboard || !interaction.keyboard.canceled || !interaction.dropState) { return }
+
+    const { dropState } = interaction
+
+    dropState.cur.dropzone = null
+    dropState.cur.element = null
+    utils.extend(iEvent, { dropzone: null, relatedTarget: null })
+    dropState.events = drop.getDropEvents(interaction, event, iEvent)
+  })
+
+  interactions.signals.on('stop', ({ interaction }) => {
+    interaction.keyboard = null
+  })
+
+  interactions.eventMap.keydown = (event: KeyboardEvent) => onKeyDown(scope, event)
+
+  defaults.perAction.keyboard = keyboard.defaults
+}
+
+function onKeyDown (scope: Scope, event: KeyboardEvent) {
+  const interaction = utils.arr.find(
+    scope.interactions.list,
+    (i: Interaction) => i.pointerType === 'keyboard' && !!i.keyboard)
+
+  if (interaction) {
+    if (interaction.simulation) { return }
+
+    const handled = onActiveKeyDown(interaction, event)
+
+    if (handled) {
+      event.preventDefault()
+    }
+
+    return
+  }
+
+  if (!keys.start.test(event.key) || !utils.is.element(event.target)) { return }
+
+  const element = event.target as Element
+  const action = scope.interactables.forEachMatch(element, (interactable: Interact.Interactable) => {
+    const actionName = getKeyboardAction(interactable, event.shiftKey)
+
+    return actionName
+      ? { interactable, name: actionName }
+      : undefined
+  })
+
+  if (!action) { return }
+
+  const isInteracting = utils.arr.find(
+    scope.interactions.list,
+    (i: Interaction) => i.interacting() && i.element === element)
+
+  if (isInteracting) { return }
+
+  const started = startKeyboardAction(scope, action.interactable, element, action.name, event)
+
+  if (started) {
+    event.preventDefault()
+  }
+}
+
+function getKeyboardAction (interactable: Interact.Interactable, preferResize: boolean) {
+  const { options } = interactable
+  const canDrag = isKeyboardEnabled(options.drag)
+  const canResize = isKeyboardEnabled(options.resize)
+
+  if (canResize && (preferResize || !canDrag)) {
+    return ActionName.Resize
+  }
+
+  if (canDrag) {
+    return ActionName.Drag
+  }
+
+  return null
+}
+
+function isKeyboardEnabled (actionOptions: Interact.Options) {
+  return !!(actionOptions &&
+    actionOptions.enabled &&
+    actionOptions.keyboard &&
+    actionOptions.keyboard.enabled)
+}
+
+function startKeyboardAction (
+  scope: Scope,
+  interactable: Interact.Interactable,
+  element: Element,
+  actionName: ActionName,
+  event: KeyboardEvent,
+) {
+  const rect = interactable.getRect(element)
+
+  if (!rect) { return false }
+
+  const action: ActionProps = { name: actionName }
+  let page: Interact.Point
+
+  // the drag pointer starts at the center of the element and the resize
+  // pointer starts on the resized edges
+  if (actionName === ActionName.Resize) {
+    const edges = interactable.options.resize.keyboard.edges
+
+    action.edges = utils.extend({}, edges)
+    page = {
+      x: edges.left ? rect.left : edges.right  ? rect.right  : (rect.left + rect.right) / 2,
+      y: edges.top  ? rect.top  : edges.bottom ? rect.bottom : (rect.top + rect.bottom) / 2,
+    }
+  }
+  else {
+    page = {
+      x: (rect.left + rect.right) / 2,
+      y: (rect.top + rect.bottom) / 2,
+    }
+  }
+
+  const interaction = scope.interactions.new({ pointerType: 'keyboard' })
+  const pointer = utils.pointer.coordsToEvent({
+    page,
+    client: { x: 0, y: 0 },
+    timeStamp: scope.now(),
+    pointerType: 'keyboard',
+    target: element,
+  })
+
+  setPointerPage(pointer, page, element)
+
+  interaction.keyboard = {
+    pointer,
+    dropIndex: -1,
+    canceled: false,
+  }
+
+  return interaction.startSynthetic([pointer], event as any, action, interactable, element)
+}
+
+function onActiveKeyDown (interaction: Interaction, event: KeyboardEvent) {
+  const { keyboard: state } = interaction
+  const options = interaction.interactable.options[interaction.prepared.name].keyboard
+  const direction = keys.arrows[event.key]
+
+  if (direction) {
+    const { page } = state.pointer.coords
+
+    moveTo(interaction, event, {
+      x: page.x + direction.x * options.step,
+      y: page.y + direction.y * options.step,
+    })
+
+    return true
+  }
+
+  if (event.key === 'Tab') {
+    const { dropState } = interaction
+    const activeDrops = dropState && dropState.activeDrops
+
+    if (!activeDrops || !activeDrops.length) { return false }
+
+    const count = activeDrops.length
+
+    // move to the next or previous dropzone
+    state.dropIndex = event.shiftKey
+      ? (state.dropIndex <= 0 ? count : state.dropIndex) - 1
+      : (state.dropIndex + 1) % count
+
+    const { dropzone, element: dropElement } = activeDrops[state.dropIndex]
+    const rect = dropzone.getRect(dropElement)
+
+    if (rect) {
+      moveTo(interaction, event, {
+        x: (rect.left + rect.right) / 2,
+        y: (rect.top + rect.bottom) / 2,
+      })
+    }
+
+    return true
+  }
+
+  if (keys.cancel.test(event.key)) {
+    // return to the start position and end without dropping
+    state.canceled = true
+    moveTo(interaction, event, interaction.coords.start.page)
+    endKeyboardAction(interaction, event)
+
+    return true
+  }
+
+  if (keys.start.test(event.key)) {
+    endKeyboardAction(interaction, event)
+
+    return true
+  }
+
+  return false
+}
+
+function moveTo (interaction: Interaction, event: KeyboardEvent, page: Interact.Point) {
+  setPointerPage(interaction.keyboard.pointer, page, interaction.element)
+  interaction.moveSynthetic(event as any)
+}
+
+function endKeyboardAction (interaction: Interaction, event: KeyboardEvent) {
+  interaction.endSynthetic(event as any)
+}
+
+function setPointerPage (pointer: Interaction['keyboard']['pointer'], page: Interact.Point, element: Element) {
+  const scroll = utils.dom.getScrollXY(utils.win.getWindow(element))
+  const { coords } = pointer
+
+  coords.page = { x: page.x, y: page.y }
+  coords.client = { x: page.x - scroll.x, y: page.y - scroll.y }
+}
+
+const keyboard = {
+  id: 'actions/keyboard',
+  install,
+  defaults: {
+    enabled: false,
+    step: 10,
+    edges: { right: true, bottom: true },
+  } as Interact.KeyboardOption,
+}
+
+export default keyboard
@@ -0,0 +1,116 @@
+import test from '@interactjs/_dev/test/test'
+import { ActionName } from '@interactjs/core/scope'
+import * as helpers from '@interactjs/core/tests/_helpers'
+import pointerUtils, { MockCoords } from '@interactjs/utils/pointerUtils'
+import drop from './drop'
+import preview from './preview'
+
+test('drag preview', (t) => {
+  const scope: Interact.Scope = helpers.mockScope()
+
+  scope.usePlugin(preview)
+  scope.usePlugin(drop)
+
+  const { document: doc } = scope
+  const element = doc.createElement('div')
+  const dropElement = doc.createElement('div')
+  const container = doc.createElement('div')
+
+  element.id = 'preview-source'
+  element.innerHTML = '<span>content</span>'
+  container.id = 'preview-container'
+  doc.body.appendChild(element)
+  doc.body.appendChild(dropElement)
+  doc.body.appendChild(container)
+
+  const interactable = scope.interactables.new(element).draggable({ preview: true })
+  const dropzone = scope.interactables.new(dropElement).dropzone({ overlap: 'center' })
+  const coords = pointerUtils.newCoords() as MockCoords
+  const event = pointerUtils.coordsToEvent(coords)
+  const drops = []
+
+  // the preview rect is found from its position and transform
+  interactable.rectChecker((el) => {
+    if (el === element) { return { left: 100, top: 100, right: 150, bottom: 150, width: 50, height: 50 } }
+
+    const [x, y] = ((el as HTMLElement).style.transform.match(/-?[\d.]+/g) || ['0', '0']).map(Number)
+    const left = parseFloat((el as HTMLElement).style.left) + x
+    const top = parseFloat((el as HTMLElement).style.top) + y
+
+    return { left, top, right: left + 50, bottom: top + 50, width: 50, height: 50 }
+  })
+  dropzone.rectChecker(() => ({ left: 300, top: 100, right: 400, bottom: 200 }))
+  dropzone.on('drop', (e) => drops.push(e))
+
+  const interaction = scope.interactions.new({})
+
+  coords.target = element
+  coords.page = coords.client = { x: 110, y: 110 }
+  interaction.pointerDown(event, event, element)
+  interaction.start({ name: ActionName.Drag }, interactable, element)
+
+  const previewElement = interaction.dragPreview.element
+
+  t.notEqual(previewElement, element, 'a clone is used by default')
+  t.equal(previewElement.parentNode, doc.body, 'clone is appended to the body by default')
+  t.equal(previewElement.innerHTML, element.innerHTML, 'clone has the content of the element')
+  t.notOk(previewElement.id, 'id is removed from the clone')
+  t.deepEqual(
+    [previewElement.style.left, previewElement.style.top, previewElement.style.width, previewElement.style.height],
+    ['100px', '100px', '50px', '50px'],
+    'clone is positioned over the element')
+
+  coords.page = coords.client = { x: 340, y: 130 }
+  interaction.pointerMove(event, event, element)
+
+  t.equal(previewElement.style.transform, 'translate(230px, 20px)', 'preview is moved with a transform')
+  t.deepEqual(interaction.dragPreview.offset, { x: 230, y: 20 }, 'preview offset is updated')
+
+  interaction.pointerUp(event, event, element, element)
+
+  t.equal(drops.length, 1, 'dropzone overlap uses the preview rect')
+  t.notOk(previewElement.parentNode, 'preview is removed when the drag ends')
+  t.equal(interaction.dragPreview, null, 'preview state is cleared')
+
+  // custom preview element and container
+  const custom = doc.createElement('div')
+  const createdFor = []
+
+  interactable.draggable({
+    preview: {
+      element: (el) => {
+        createdFor.push(el)
+        return custom
+      },
+      container: '#preview-container',
+    },
+  })
+
+  coords.page = coords.client = { x: 110, y: 110 }
+  interaction.pointerDown(event, event, element)
+  interaction.start({ name: ActionName.Drag }, interactable, element)
+
+  t.deepEqual(createdFor, [element], 'preview function is called with the element')
+  t.equal(custom.parentNode, container, 'preview is appended to the container')
+  t.equal(custom.style.width, '', 'custom preview is not resized')
+
+  interaction.stop()
+
+  t.notOk(custom.parentNode, 'preview is removed when the interaction is stopped')
+
+  interactable.draggable({ preview: false })
+  interaction.pointerDown(event, event, element)
+  interaction.start({ name: ActionName.Drag }, interactable, element)
+
+  t.equal(interaction.dragPreview, null, 'no preview when disabled')
+
+  interaction.stop()
+  interactable.unset()
+  dropzone.unset()
+
+  for (const el of [element, dropElement, container]) {
+    doc.body.removeChild(el)
+  }
+
+  t.end()
+})
@@ -0,0 +1,159 @@
+import { Scope } from '@interactjs/core/scope'
+import * as utils from '@interactjs/utils'
+import drag from './drag'
+
+declare module '@interactjs/core/Interaction' {
+  interface Interaction {
+    dragPreview?: {
+      element: HTMLElement  // the element which is moved instead of the draggable
+      offset: Interact.Point // the displacement of the preview from its start position
+    }
+  }
+}
+
+function install (scope: Scope) {
+  const { interactions } = scope
+
+  scope.usePlugin(drag)
+
+  interactions.signals.on('new', ({ interaction }) => {
+    interaction.dragPreview = null
+  })
+
+  // the preview is created before dragstart is fired so listeners can style it
+  interactions.signals.on('action-start', ({ interaction }) => {
+    if (interaction.prepared.name !== 'drag') { return }
+
+    const options = getOptions(interaction.interactable)
+
+    if (!options) { return }
+
+    const { interactable, element } = interaction
+    const previewElement = createPreview(options, interaction)
+    const rect = interactable.getRect(element)
+
+    if (!previewElement || !rect) { return }
+
+    const container = getContainer(options.container, element)
+    const containerOrigin = getContainerOrigin(container)
+    const { style } = previewElement
+
+    style.position = 'absolute'
+    style.left = `${rect.left - containerOrigin.x}px`
+    style.top = `${rect.top - containerOrigin.y}px`
+    style.margin = '0'
+    // let the pointer reach the elements under the preview
+    style.pointerEvents = 'none'
+
+    container.appendChild(previewElement)
+
+    interaction.dragPreview = {
+      element: previewElement,
+      offset: { x: 0, y: 0 },
+    }
+  })
+
+  interactions.signals.on('action-move', ({ interaction, iEvent }) => {
+    const { dragPreview, localTransform } = interaction
+
+    if (!dragPreview || interaction.prepared.name !== 'drag') { return }
+
+    let offset = { x: iEvent.page.x - iEvent.x0, y: iEvent.page.y - iEvent.y0 }
+
+    // the event coords are in the interaction's local space
+    if (localTransform) {
+      offset = utils.matrix.applyToVector(localTransform.matrix, offset)
+    }
+
+    setOffset(dragPreview, offset)
+  })
+
+  interactions.signals.on('stop', ({ interaction }) => {
+    if (!interaction.dragPreview) { return }
+
+    removePreview(interaction.dragPreview)
+    interaction.dragPreview = null
+  })
+}
+
+// the preview option as an object or null if it's disabled
+function getOptions (interactable: Interact.Interactable): Interact.DragPreviewOptions {
+  const option = interactable.options.drag.preview
+
+  if (utils.is.bool(option)) {
+    return option ? {} : null
+  }
+
+  return utils.is.object(option) && option.enabled !== false ? option : null
+}
+
+function createPreview (options: Interact.DragPreviewOptions, interaction: Interact.Interaction): HTMLElement {
+  const { element: option } = options
+  const { element } = interaction
+
+  if (utils.is.func(option)) {
+    return option(element, interaction) as HTMLElement
+  }
+
+  if (utils.is.element(option)) {
+    return option as HTMLElement
+  }
+
+  const rect = interaction.interactable.getRect(element)
+  const clone = element.cloneNode(true) as HTMLElement
+
+  clone.removeAttribute('id')
+
+  if (rect) {
+    clone.style.boxSizing = 'border-box'
+    clone.style.width = `${rect.right - rect.left}px`
+    clone.style.height = `${rect.bottom - rect.top}px`
+  }
+
+  return clone
+}
+
+function getContainer (value: Interact.DragPreviewOptions['container'], element: Element): Element {
+  const doc = element.ownerDocument
+
+  return (utils.is.string(value) ? doc.querySelector(value) : value) || doc.body
+}
+
+// the page coords of the origin of absolutely positioned children of the container
+function getContainerOrigin (container: Element) {
+  const doc = container.ownerDocument
+
+  if (container === doc.body || container === doc.documentElement) {
+    return { x: 0, y: 0 }
+  }
+
+  const rect = utils.dom.getElementRect(container)
+
+  if (!rect) { return { x: 0, y: 0 } }
+
+  return {
+    x: rect.left + container.clientLeft - container.scrollLeft,
+    y: rect.top + container.clientTop - container.scrollTop,
+  }
+}
+
+function setOffset (dragPreview: Interact.Interaction['dragPreview'], offset: Interact.Point) {
+  dragPreview.offset = offset
+  dragPreview.element.style.transform = `translate(${offset.x}px, ${offset.y}px)`
+}
+
+function removePreview ({ element }: Interact.Interaction['dragPreview']) {
+  if (element.parentNode) {
+    element.parentNode.removeChild(element)
+  }
+}
+
+const preview = {
+  id: 'actions/preview',
+  install,
+  getOptions,
+  setOffset,
+  removePreview,
+}
+
+export default preview
@@ -1,6 +1,8 @@
 import test from '@interactjs/_dev/test/test'
 import * as helpers from '@interactjs/core/tests/_helpers'
-import pointerUtils from '@interactjs/utils/pointerUtils'
+import { restrictEdges } from '@interactjs/modifiers'
+import modifiersBase from '@interactjs/modifiers/base'
+import pointerUtils, { MockCoords } from '@interactjs/utils/pointerUtils'
 import resize from './resize'
 
 test('resize', (t) => {
@@ -57,3 +59,86 @@ test('resize', (t) => {
 
   t.end()
 })
+
+test('resize transformed', (t) => {
+  const scope: Interact.Scope = helpers.mockScope()
+
+  // modifiers are installed before actions in the bundle
+  scope.usePlugin(modifiersBase)
+  scope.usePlugin(resize)
+
+  const element = scope.document.createElement('div') as HTMLElement
+  const coords = pointerUtils.newCoords() as MockCoords
+  const event = pointerUtils.coordsToEvent(coords)
+  const events: Interact.ResizeEvent[] = []
+
+  // a 100x50 element at (0, 0) rotated 90deg clockwise around its center
+  Object.defineProperties(element, {
+    offsetWidth: { value: 100 },
+    offsetHeight: { value: 50 },
+  })
+  element.getClientRects = () => [{ left: 25, top: -25, right: 75, bottom: 75, width: 50, height: 100 }] as any
+  element.style.transform = 'matrix(0, 1, -1, 0, 0, 0)'
+  scope.document.body.appendChild(element)
+
+  const interactable = scope.interactables.new(element).resizable({
+    edges: { left: true, top: true, right: true, bottom: true },
+    margin: 10,
+    transformed: true,
+    modifiers: [restrictEdges({ outer: { right: 110 } })],
+  })
+  const interaction = scope.interactions.new({})
+  const move = (x: number, y: number) => {
+    coords.page = { x, y }
+    coords.client = { x, y }
+    interaction.pointerMove(event, event, element)
+  }
+
+  interactable.on('resizestart resizemove resizeend', (e) => events.push(e))
+
+  // the middle of the untransformed right edge
+  coords.page = { x: 50, y: 74 }
+  coords.client = { x: 50, y: 74 }
+  interaction.pointerDown(event, event, element)
+
+  const action = resize.checker(event, event, interactable, element, interaction, interactable.getRect(element))
+
+  t.deepEqual(
+    action,
+    { name: 'resize', edges: { left: false, top: false, right: true, bottom: false } },
+    'edges are checked on the untransformed rect')
+
+  interaction.start(action, interactable, element)
+
+  t.deepEqual(
+    events[0].rect,
+    { left: 0, top: 0, right: 100, bottom: 50, width: 100, height: 50 },
+    'start rect is the untransformed rect')
+
+  move(50, 80)
+
+  t.deepEqual(
+    [events[1].dx, events[1].dy, events[1].rect.width, events[1].deltaRect.right],
+    [6, 0, 106, 6],
+    'delta and rect are in the local space of the element')
+
+  move(50, 94)
+
+  t.equal(events[2].rect.right, 110, 'modifiers are applied in the local space of the element')
+
+  interaction.pointerUp(event, event, element, element)
+
+  t.equal(interaction.localTransform, null, 'localTransform is cleared on stop')
+
+  interactable.resizable({ transformed: false })
+
+  t.deepEqual(
+    resize.checker(event, event, interactable, element, interaction, interactable.getRect(element)),
+    { name: 'resize', edges: { left: false, top: false, right: false, bottom: true } },
+    'transform is ignored without the transformed option')
+
+  interactable.unset()
+  scope.document.body.removeChild(element)
+
+  t.end()
+})
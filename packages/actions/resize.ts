@@ -69,6 +69,23 @@ function install (scope: Scope) {
     interaction.resizeAxes = 'xy'
   })
 
+  interactions.signals.on('prepare-action', ({ interaction }) => {
+    if (interaction.prepared.name !== 'resize') { return }
+
+    // set before modifiers are started so that they can change the linked edges
+    interaction.prepared._linkedEdges = getLinkedEdges(interaction)
+
+    if (!interaction.interactable.options.resize.transformed) { return }
+
+    const transform = utils.matrix.getElementTransform(interaction.element)
+
+    // resize the untransformed rect of the element in its local space
+    if (transform) {
+      interaction.localTransform = transform
+      interaction.rect = utils.extend({}, transform.rect)
+    }
+  })
+
   interactions.signals.on('action-start', start)
   interactions.signals.on('action-move', move)
 
@@ -106,6 +123,9 @@ function install (scope: Scope) {
    *   // the top and bottom edges and/or swapping the left and right edges
    *   invert: 'none' || 'negate' || 'reposition'
    *
+   *   // resize CSS transformed elements in their local, untransformed space
+   *   transformed: false,
+   *
    *   // limit multiple resizes.
    *   // See the explanation in the {@link Interactable.draggable} example
    *   max: Infinity,
@@ -163,6 +183,10 @@ const resize = {
     // 'reposition' will keep the width/height positive by swapping
     // the top and bottom edges and/or swapping the left and right edges
     invert: 'none',
+
+    // use the element's CSS transform to check edges and to give the event
+    // coords, rect and deltaRect in the element's untransformed space
+    transformed: false,
   } as Interact.ResizableOptions,
 
   checker (
@@ -175,8 +199,15 @@ const resize = {
   ) {
     if (!rect) { return null }
 
-    const page = utils.extend({}, interaction.coords.cur.page)
     const options = interactable.options
+    const transform = options.resize.transformed && utils.matrix.getElementTransform(element)
+    let page = utils.extend({}, interaction.coords.cur.page)
+
+    // check the edges of the untransformed rect
+    if (transform) {
+      rect = transform.rect
+      page = utils.matrix.applyToPoint(transform.inverse, page)
+    }
 
     if (options.resize.enabled) {
       const resizeOptions = options.resize
@@ -353,26 +384,6 @@ function start ({ iEvent, interaction }: Interact.SignalArg) {
   const startRect = interaction.rect
   const resizeOptions = interaction.interactable.options.resize
 
-  /*
-   * When using the `resizable.square` or `resizable.preserveAspectRatio` options, resizing from one edge
-   * will affect another. E.g. with `resizable.square`, resizing to make the right edge larger will make
-   * the bottom edge larger by the same amount. We call these 'linked' edges. Any linked edges will depend
-   * on the active edges and the edge being interacted with.
-   */
-  if (resizeOptions.square || resizeOptions.preserveAspectRatio) {
-    const linkedEdges = utils.extend({}, interaction.prepared.edges)
-
-    linkedEdges.top    = linkedEdges.top    || (linkedEdges.left   && !linkedEdges.bottom)
-    linkedEdges.left   = linkedEdges.left   || (linkedEdges.top    && !linkedEdges.right)
-    linkedEdges.bottom = linkedEdges.bottom || (linkedEdges.right  && !linkedEdges.top)
-    linkedEdges.right  = linkedEdges.right  || (linkedEdges.bottom && !linkedEdges.left)
-
-    interaction.prepared._linkedEdges = linkedEdges
-  }
-  else {
-    interaction.prepared._linkedEdges = null
-  }
-
   // if using `resizable.preserveAspectRatio` option, record aspect ratio at the start of the resize
   if (resizeOptions.preserveAspectRatio) {
     interaction.resizeStartAspectRatio = startRect.width / startRect.height
@@ -405,6 +416,7 @@ function move ({ iEvent, interaction }) {
   const invertible = invert === 'reposition' || invert === 'negate'
 
   let edges = interaction.prepared.edges
+  const linkedEdges = interaction.prepared._linkedEdges
 
   // eslint-disable-next-line no-shadow
   const start      = interaction.resizeRects.start
@@ -422,8 +434,6 @@ function move ({ iEvent, interaction }) {
       ? interaction.resizeStartAspectRatio
       : 1
 
-    edges = interaction.prepared._linkedEdges
-
     if ((originalEdges.left && originalEdges.bottom) ||
         (originalEdges.right && originalEdges.top)) {
       eventDelta.y = -eventDelta.x / startAspectRatio
@@ -432,6 +442,11 @@ function move ({ iEvent, interaction }) {
     else if (originalEdges.top  || originalEdges.bottom) { eventDelta.x = eventDelta.y * startAspectRatio }
   }
 
+  // linked edges move with the edges that are being resized
+  if (linkedEdges) {
+    edges = linkedEdges
+  }
+
   // update the 'current' rect without modifications
   if (edges.top) { current.top    += eventDelta.y }
   if (edges.bottom) { current.bottom += eventDelta.y }
@@ -480,6 +495,29 @@ function move ({ iEvent, interaction }) {
   iEvent.deltaRect = deltaRect
 }
 
+/*
+ * When using the `resizable.square` or `resizable.preserveAspectRatio` options, resizing from one edge
+ * will affect another. E.g. with `resizable.square`, resizing to make the right edge larger will make
+ * the bottom edge larger by the same amount. We call these 'linked' edges. Any linked edges will depend
+ * on the active edges and the edge being interacted with.
+ */
+function getLinkedEdges (interaction: Interact.Interaction) {
+  const resizeOptions = interaction.interactable.options.resize
+
+  if (!interaction.prepared.edges || !(resizeOptions.square || resizeOptions.preserveAspectRatio)) {
+    return null
+  }
+
+  const linkedEdges = utils.extend({}, interaction.prepared.edges)
+
+  linkedEdges.top    = linkedEdges.top    || (linkedEdges.left   && !linkedEdges.bottom)
+  linkedEdges.left   = linkedEdges.left   || (linkedEdges.top    && !linkedEdges.right)
+  linkedEdges.bottom = linkedEdges.bottom || (linkedEdges.right  && !linkedEdges.top)
+  linkedEdges.right  = linkedEdges.right  || (linkedEdges.bottom && !linkedEdges.left)
+
+  return linkedEdges
+}
+
 function updateEventAxes ({ interaction, iEvent, action }) {
   if (action !== 'resize' || !interaction.resizeAxes) { return }
 
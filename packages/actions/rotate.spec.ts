@@ -0,0 +1,94 @@
+import test from '@interactjs/_dev/test/test'
+import { ActionName } from '@interactjs/core/scope'
+import * as helpers from '@interactjs/core/tests/_helpers'
+import pointerUtils, { MockCoords } from '@interactjs/utils/pointerUtils'
+import rotate, { RotateEvent } from './rotate'
+
+test('rotate action init', (t) => {
+  const scope: Interact.Scope = helpers.mockScope()
+
+  scope.usePlugin(rotate)
+
+  t.ok(scope.actions.names.includes(ActionName.Rotate), '"rotate" in actions.names')
+  t.equal(scope.actions.methodDict.rotate, 'rotatable')
+  t.equal(typeof scope.Interactable.prototype.rotatable, 'function')
+
+  t.end()
+})
+
+test('Interactable.rotatable method', (t) => {
+  const scope: Interact.Scope = helpers.mockScope()
+
+  scope.usePlugin(rotate)
+
+  const { document: doc } = scope
+  const element = doc.createElement('div')
+  const handle = doc.createElement('div')
+
+  element.appendChild(handle)
+  doc.body.appendChild(element)
+
+  const interactable = scope.interactables.new(element)
+  const interaction = scope.interactions.new({})
+  const coords = pointerUtils.newCoords() as MockCoords
+  const event = pointerUtils.coordsToEvent(coords)
+  const events: RotateEvent[] = []
+  const check = (target: Element) => {
+    coords.target = target
+
+    return rotate.checker(event, event as any, interactable, element)
+  }
+
+  t.notOk(check(element), 'not allowed when disabled')
+
+  interactable.rotatable({ handle })
+
+  t.deepEqual(interactable.rotatable(), { ...rotate.defaults, ...interactable.options.rotate }, 'options are returned')
+  t.ok(check(handle), 'allowed from handle element')
+  t.notOk(check(element), 'not allowed outside of handle element')
+
+  interactable.rotatable({ handle: null, origin: { x: 100, y: 100 } })
+
+  t.deepEqual(check(element), { name: 'rotate' }, 'allowed anywhere without a handle')
+
+  interactable.on('rotatestart rotatemove rotateend', (e: RotateEvent) => events.push(e))
+
+  coords.target = element
+  coords.page = { x: 200, y: 100 }
+  coords.client = { ...coords.page }
+  interaction.pointerDown(event, event, element)
+  interaction.start({ name: ActionName.Rotate }, interactable, element)
+
+  t.deepEqual(interaction.rotate, {
+    pivot: { x: 100, y: 100 },
+    startAngle: 0,
+    angle: 0,
+  }, 'start state uses the origin as the pivot')
+
+  // move clockwise around the pivot through 270 degrees
+  for (const page of [{ x: 100, y: 200 }, { x: 0, y: 100 }, { x: 100, y: 0 }]) {
+    coords.page = page
+    coords.client = { ...page }
+    interaction.pointerMove(event, event, element)
+  }
+
+  interaction.pointerUp(event, event, element, element)
+
+  t.deepEqual(
+    events.map((e) => [e.type, Math.round(e.angle), Math.round(e.da)]),
+    [
+      ['rotatestart', 0, 0],
+      ['rotatemove', 90, 90],
+      ['rotatemove', 180, 90],
+      ['rotatemove', 270, 90],
+      ['rotateend', 270, 0],
+    ],
+    'angle continues past 180 degrees without wrapping around')
+  t.deepEqual(events[1].pivot, { x: 100, y: 100 }, 'event has the pivot page coords')
+  t.deepEqual(events[1].page, { x: 0, y: 100 }, 'event coords are relative to the pivot')
+
+  interactable.unset()
+  doc.body.removeChild(element)
+
+  t.end()
+})
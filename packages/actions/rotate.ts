@@ -0,0 +1,241 @@
+import { ActionName, Scope } from '@interactjs/core/scope'
+import * as utils from '@interactjs/utils'
+
+export type RotatableMethod = Interact.ActionMethod<Interact.RotatableOptions>
+
+declare module '@interactjs/core/Interaction' {
+  interface Interaction {
+    rotate?: {
+      pivot: Interact.Point,  // page coords of the point to rotate around
+      startAngle: number,     // angle of the pointer around the pivot at the start
+      angle: number,          // rotation since the start
+    }
+  }
+}
+
+declare module '@interactjs/core/Interactable' {
+  interface Interactable {
+    rotatable: RotatableMethod
+  }
+}
+
+declare module '@interactjs/core/defaultOptions' {
+  interface ActionDefaults {
+    rotate: Interact.RotatableOptions
+  }
+}
+
+declare module '@interactjs/core/scope' {
+  interface Actions {
+    [ActionName.Rotate]?: typeof rotate
+  }
+
+  // eslint-disable-next-line no-shadow
+  enum ActionName {
+    Rotate = 'rotate'
+  }
+}
+
+(ActionName as any).Rotate = 'rotate'
+
+export interface RotateEvent extends Interact.InteractEvent<ActionName.Rotate> {
+  angle: number         // rotation in degrees since the start
+  da: number            // angle change since the previous event
+  pivot: Interact.Point // page coords of the point being rotated around
+}
+
+export interface RotateSignalArg extends Interact.SignalArg {
+  iEvent: RotateEvent
+}
+
+function install (scope: Scope) {
+  const {
+    actions,
+    Interactable,
+    interactions,
+    defaults,
+  } = scope
+
+  /**
+   * ```js
+   * interact(element).rotatable({
+   *     onstart: function (event) {},
+   *     onmove : function (event) {
+   *       event.target.style.transform = 'rotate(' + event.angle + 'deg)'
+   *     },
+   *     onend  : function (event) {},
+   *
+   *     // a CSS selector or element which must be pressed to start rotating
+   *     handle: '.rotate-handle',
+   *
+   *     // the point to rotate around. The center of the element by default
+   *     origin: { x: 100, y: 100 },
+   * })
+   *
+   * var isRotatable = interact(element).rotatable()
+   * ```
+   *
+   * Gets or sets whether the target can be rotated with a single pointer
+   * around a pivot point
+   *
+   * @param {boolean | object} [options] true/false or An object with event
+   * listeners to be fired on rotate events (makes the Interactable rotatable)
+   * @return {boolean | Interactable} A boolean indicating if this can be the
+   * target of rotate events, or this Interactable
+   */
+  Interactable.prototype.rotatable = function (this: Interact.Interactable, options: Interact.RotatableOptions | boolean) {
+    if (utils.is.object(options)) {
+      this.options.rotate.enabled = options.enabled !== false
+      this.setPerAction('rotate', options)
+      this.setOnEvents('rotate', options)
+
+      return this
+    }
+
+    if (utils.is.bool(options)) {
+      this.options.rotate.enabled = options
+
+      return this
+    }
+
+    return this.options.rotate as Interact.Options
+  } as RotatableMethod
+
+  interactions.signals.on('new', ({ interaction }) => {
+    interaction.rotate = {
+      pivot: { x: 0, y: 0 },
+      startAngle: 0,
+      angle: 0,
+    }
+  })
+
+  // the pivot is needed by modifiers before the start event is created
+  interactions.signals.on('before-action-start', ({ interaction }) => {
+    if (interaction.prepared.name !== 'rotate') { return }
+
+    const { rotate: state, coords } = interaction
+
+    state.pivot = utils.getOriginXY(interaction.interactable, interaction.element, 'rotate')
+    state.startAngle = getPointerAngle(getLocalPivot(interaction), toLocal(interaction, coords.start.page))
+    state.angle = 0
+  })
+
+  interactions.signals.on('action-start', updateRotateProps)
+  interactions.signals.on('action-move', updateRotateProps)
+  interactions.signals.on('action-end', updateRotateProps)
+
+  actions[ActionName.Rotate] = rotate
+  actions.names.push(ActionName.Rotate)
+  utils.arr.merge(actions.eventTypes, [
+    'rotatestart',
+    'rotatemove',
+    'rotateend',
+  ])
+  actions.methodDict.rotate = 'rotatable'
+
+  defaults.actions.rotate = rotate.defaults
+}
+
+function updateRotateProps ({ interaction, iEvent, phase }: RotateSignalArg) {
+  if (interaction.prepared.name !== 'rotate') { return }
+
+  const state = interaction.rotate
+
+  iEvent.pivot = utils.extend({}, state.pivot)
+
+  if (phase === 'start') {
+    iEvent.angle = 0
+    iEvent.da = 0
+  }
+  else if (phase === 'end') {
+    iEvent.angle = (interaction.prevEvent as RotateEvent).angle
+    iEvent.da = 0
+  }
+  else {
+    iEvent.angle = getRotation(interaction, toLocal(interaction, interaction.coords.cur.page))
+    iEvent.da = iEvent.angle - state.angle
+  }
+
+  state.angle = iEvent.angle
+}
+
+function getPointerAngle (pivot: Interact.Point, coords: Interact.Point) {
+  return Math.atan2(coords.y - pivot.y, coords.x - pivot.x) * 180 / Math.PI
+}
+
+// angles are measured in the interaction's local coordinate space
+function toLocal ({ localTransform }: Interact.Interaction, page: Interact.Point) {
+  return localTransform ? utils.matrix.applyToPoint(localTransform.inverse, page) : page
+}
+
+function getLocalPivot (interaction: Interact.Interaction) {
+  return toLocal(interaction, interaction.rotate.pivot)
+}
+
+/**
+ * Get the rotation in degrees that the local coords would give the rotate
+ * interaction. Rotations past 180 degrees are continued from the interaction's
+ * current angle instead of wrapping around.
+ */
+function getRotation (interaction: Interact.Interaction, coords: Interact.Point) {
+  const { startAngle, angle } = interaction.rotate
+  const pivot = getLocalPivot(interaction)
+  const rotation = getPointerAngle(pivot, coords) - startAngle
+
+  return rotation + 360 * Math.round((angle - rotation) / 360)
+}
+
+/**
+ * Move the local coords around the rotate pivot so that they would give the
+ * interaction the given rotation
+ */
+function setRotation (interaction: Interact.Interaction, coords: Interact.Point, rotation: number) {
+  const { startAngle } = interaction.rotate
+  const pivot = getLocalPivot(interaction)
+  const radius = utils.hypot(coords.x - pivot.x, coords.y - pivot.y)
+  const radians = (startAngle + rotation) * Math.PI / 180
+
+  coords.x = pivot.x + radius * Math.cos(radians)
+  coords.y = pivot.y + radius * Math.sin(radians)
+}
+
+function getElementCenter (element: Element) {
+  const rect = utils.dom.getElementRect(element)
+
+  return rect && {
+    x: (rect.left + rect.right) / 2,
+    y: (rect.top + rect.bottom) / 2,
+  }
+}
+
+const rotate = {
+  id: 'actions/rotate',
+  install,
+  getRotation,
+  setRotation,
+  defaults: {
+    handle: null,
+    origin: getElementCenter,
+  } as Interact.RotatableOptions,
+
+  checker (_pointer, event, interactable, element) {
+    const { enabled, handle } = interactable.options.rotate
+
+    if (!enabled) { return null }
+
+    const target = event.target as Element
+
+    if ((utils.is.string(handle) && !utils.dom.matchesUpTo(target, handle, element)) ||
+        (utils.is.element(handle) && !utils.dom.nodeContains(handle, target))) {
+      return null
+    }
+
+    return { name: 'rotate' }
+  },
+
+  getCursor () {
+    return 'grab'
+  },
+}
+
+export default rotate
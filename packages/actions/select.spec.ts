@@ -0,0 +1,177 @@
+import test from '@interactjs/_dev/test/test'
+import { ActionName } from '@interactjs/core/scope'
+import * as helpers from '@interactjs/core/tests/_helpers'
+import pointerUtils, { MockCoords } from '@interactjs/utils/pointerUtils'
+import select, { SelectEvent } from './select'
+
+test('select action init', (t) => {
+  const scope: Interact.Scope = helpers.mockScope()
+
+  scope.usePlugin(select)
+
+  t.ok(scope.actions.names.includes(ActionName.Select), '"select" in actions.names')
+  t.equal(scope.actions.methodDict.select, 'selectable')
+  t.equal(typeof scope.Interactable.prototype.selectable, 'function')
+
+  t.end()
+})
+
+test('Interactable.selectable method', (t) => {
+  const scope: Interact.Scope = helpers.mockScope()
+
+  scope.usePlugin(select)
+
+  const { document: doc } = scope
+  const container = doc.createElement('div')
+  const rects = new Map<Element, Interact.Rect>()
+
+  // a row of three 100px items with 100px gaps
+  const items = [0, 1, 2].map((i) => {
+    const item = doc.createElement('div')
+    const left = 100 + i * 200
+
+    item.className = 'select-item'
+    container.appendChild(item)
+    rects.set(item, { left, top: 100, right: left + 100, bottom: 200 })
+
+    return item
+  })
+
+  rects.set(container, { left: 0, top: 0, right: 800, bottom: 300 })
+  doc.body.appendChild(container)
+
+  const interactable = scope.interactables.new(container)
+  const coords = pointerUtils.newCoords() as MockCoords
+  const event = pointerUtils.coordsToEvent(coords)
+  const events: SelectEvent[] = []
+  const check = (target: Element) => {
+    coords.target = target
+
+    return select.checker(event, event as any, interactable, container)
+  }
+
+  interactable.rectChecker((element) => ({ ...rects.get(element) }))
+
+  t.notOk(check(container), 'not allowed when disabled')
+
+  interactable.selectable({
+    items: '.select-item',
+    listeners: { start: logEvent, move: logEvent, end: logEvent },
+  })
+
+  t.deepEqual(check(container), { name: 'select' }, 'allowed from empty space')
+  t.notOk(check(items[0]), 'not allowed from an item')
+
+  function run (path: Interact.Point[], downEvent?: any) {
+    const interaction = scope.interactions.new({})
+
+    events.splice(0)
+    coords.target = container
+    coords.page = { ...path[0] }
+    coords.client = { ...path[0] }
+    interaction.pointerDown(event, downEvent || event, container)
+    interaction.start({ name: ActionName.Select }, interactable, container)
+
+    for (const point of path.slice(1)) {
+      coords.page = { ...point }
+      coords.client = { ...point }
+      interaction.pointerMove(event, event, container)
+    }
+
+    interaction.pointerUp(event, event, container, container)
+  }
+
+  const getIds = (elements: Element[]) => elements.map((el) => items.indexOf(el as HTMLDivElement))
+
+  // drag from the top left through the first two items and back
+  run([{ x: 50, y: 50 }, { x: 150, y: 150 }, { x: 350, y: 250 }, { x: 250, y: 250 }])
+
+  t.deepEqual(
+    events.map((e) => [e.type, getIds(e.selected), getIds(e.added), getIds(e.removed)]),
+    [
+      ['selectstart', [], [], []],
+      ['selectmove', [0], [0], []],
+      ['selectmove', [0, 1], [1], []],
+      ['selectmove', [0], [], [1]],
+      ['selectend', [0], [], []],
+    ],
+    'events have the selected, added and removed items')
+  t.deepEqual(
+    events[2].selectionRect,
+    { left: 50, top: 50, right: 350, bottom: 250, width: 300, height: 200 },
+    'event has the selection rect')
+
+  interactable.selectable({ overlap: 'center' })
+  run([{ x: 50, y: 50 }, { x: 120, y: 250 }, { x: 160, y: 250 }])
+
+  t.deepEqual(
+    events.map((e) => getIds(e.selected)),
+    [[], [], [0], [0]],
+    '"center" overlap needs the item center')
+
+  interactable.selectable({ overlap: 0.5 })
+  run([{ x: 50, y: 50 }, { x: 140, y: 250 }, { x: 160, y: 250 }])
+
+  t.deepEqual(
+    events.map((e) => getIds(e.selected)),
+    [[], [], [0], [0]],
+    'number overlap needs the ratio of the item area')
+
+  interactable.selectable({ overlap: 'pointer' })
+  run([{ x: 50, y: 50 }, { x: 150, y: 150 }, { x: 350, y: 150 }, { x: 350, y: 250 }])
+
+  t.deepEqual(
+    events.map((e) => getIds(e.selected)),
+    [[], [0], [1], [], []],
+    '"pointer" overlap needs the pointer over the item')
+
+  // additive selections keep the previous selection
+  items[2].classList.add('selected')
+  interactable.selectable({ overlap: 'touch', selected: '.selected' })
+  run([{ x: 50, y: 50 }, { x: 150, y: 150 }], { ...event, shiftKey: true })
+
+  t.deepEqual(
+    events.map((e) => [e.additive, getIds(e.selected), getIds(e.added)]),
+    [
+      [true, [2], []],
+      [true, [2, 0], [0]],
+      [true, [2, 0], []],
+    ],
+    'selection is added to the selected option with a modifier key')
+
+  run([{ x: 50, y: 50 }, { x: 150, y: 150 }])
+
+  t.deepEqual(
+    events.map((e) => [e.additive, getIds(e.selected)]),
+    [[false, []], [false, [0]], [false, [0]]],
+    'selection replaces the selected option without a modifier key')
+
+  // the start of the selection moves with the scrolled content
+  const interaction = scope.interactions.new({})
+
+  events.splice(0)
+  coords.page = coords.client = { x: 250, y: 150 }
+  interaction.pointerDown(event, event, container)
+  interaction.start({ name: ActionName.Select }, interactable, container)
+  // jsdom has no layout so the scroll position is stubbed
+  Object.defineProperty(container, 'scrollLeft', { value: 100, configurable: true })
+  interaction.move()
+
+  t.deepEqual(
+    [events[1].selectionRect.left, events[1].selectionRect.right],
+    [150, 250],
+    'selection start is moved by the container scroll')
+
+  interaction.stop()
+
+  t.equal(interaction.select, null, 'select state is cleared on stop')
+
+  interactable.unset()
+  doc.body.removeChild(container)
+
+  t.end()
+
+  function logEvent (e: SelectEvent) {
+    events.push(e)
+  }
+})
@@ -0,0 +1,312 @@
+import { ActionName, Scope } from '@interactjs/core/scope'
+import * as utils from '@interactjs/utils'
+
+export type SelectableMethod = Interact.ActionMethod<Interact.SelectableOptions>
+
+declare module '@interactjs/core/Interaction' {
+  interface Interaction {
+    select?: {
+      anchor: Interact.Point    // page coords of the start of the selection
+      startScroll: Interact.Point // scroll position of the container at the start
+      base: Element[]           // the previous selection kept by additive selections
+      selected: Element[]       // the current selection
+      additive: boolean         // whether a modifier key was pressed at the start
+      onScroll: () => void      // updates the selection when the container scrolls
+    }
+  }
+}
+
+declare module '@interactjs/core/Interactable' {
+  interface Interactable {
+    selectable: SelectableMethod
+  }
+}
+
+declare module '@interactjs/core/defaultOptions' {
+  interface ActionDefaults {
+    select: Interact.SelectableOptions
+  }
+}
+
+declare module '@interactjs/core/scope' {
+  interface Actions {
+    [ActionName.Select]?: typeof select
+  }
+
+  // eslint-disable-next-line no-shadow
+  enum ActionName {
+    Select = 'select'
+  }
+}
+
+(ActionName as any).Select = 'select'
+
+export interface SelectEvent extends Interact.InteractEvent<ActionName.Select> {
+  selectionRect: Interact.Rect  // page rect between the start and current pointer coords
+  selected: Element[]           // the selected items
+  added: Element[]              // items selected since the previous event
+  removed: Element[]            // items deselected since the previous event
+  additive: boolean             // whether the previous selection is kept
+}
+
+export interface SelectSignalArg extends Interact.SignalArg {
+  iEvent: SelectEvent
+}
+
+function install (scope: Scope) {
+  const {
+    actions,
+    Interactable,
+    interactions,
+    defaults,
+  } = scope
+
+  /**
+   * ```js
+   * interact(container).selectable({
+   *     // the elements in the container which can be selected
+   *     items: '.item',
+   *     overlap: 'center',
+   *     // the current selection which shift, ctrl or meta selections add to
+   *     selected: '.item.selected',
+   *     autoScroll: { container: container },
+   *
+   *     onmove: function (event) {
+   *       event.added.forEach(el => el.classList.add('selected'))
+   *       event.removed.forEach(el => el.classList.remove('selected'))
+   *     },
+   * })
+   *
+   * var isSelectable = interact(element).selectable()
+   * ```
+   *
+   * Gets or sets whether a rectangle can be dragged out from empty space in the
+   * target to select the `items` that it intersects. `selectstart`,
+   * `selectmove` and `selectend` events list the `selected` elements and the
+   * elements `added` and `removed` since the previous event.
+   *
+   * Use the `overlap` option to set how much of an item the rectangle must
+   * cover. The allowed values are:
+   *
+   *   - `'touch'`, the rectangle touches the item (default)
+   *   - `'pointer'`, the pointer is over the item as with dropzones
+   *   - `'center'`, the rectangle contains the center of the item
+   *   - a number from 0-1 which is the ratio of the item's area which must be
+   *   in the rectangle
+   *
+   * If the shift, ctrl or meta key is pressed when the selection starts, the
+   * elements from the `selected` option stay selected.
+   *
+   * @param {boolean | object} [options] true/false or An object with event
+   * listeners to be fired on select events (makes the Interactable selectable)
+   * @return {boolean | Interactable} A boolean indicating if this can be the
+   * target of select events, or this Interactable
+   */
+  Interactable.prototype.selectable = function (this: Interact.Interactable, options: Interact.SelectableOptions | boolean) {
+    if (utils.is.object(options)) {
+      this.options.select.enabled = options.enabled !== false
+      this.setPerAction('select', options)
+      this.setOnEvents('select', options)
+
+      if (/^(touch|pointer|center)$/.test(options.overlap as string)) {
+        this.options.select.overlap = options.overlap
+      }
+      else if (utils.is.number(options.overlap)) {
+        this.options.select.overlap = Math.max(Math.min(1, options.overlap), 0)
+      }
+
+      return this
+    }
+
+    if (utils.is.bool(options)) {
+      this.options.select.enabled = options
+
+      return this
+    }
+
+    return this.options.select as Interact.Options
+  } as SelectableMethod
+
+  interactions.signals.on('new', ({ interaction }) => {
+    interaction.select = null
+  })
+
+  interactions.signals.on('before-action-start', ({ interaction }) => {
+    if (interaction.prepared.name !== 'select') { return }
+
+    const { interactable, element, downEvent } = interaction
+    const additive = !!downEvent && !!(downEvent.shiftKey || downEvent.ctrlKey || downEvent.metaKey)
+    const base = additive ? getSelected(interactable, element) : []
+    const onScroll = () => interaction.interacting() && interaction.move()
+
+    interaction.select = {
+      anchor: utils.extend({}, interaction.coords.start.page),
+      startScroll: getScroll(element),
+      base,
+      selected: base,
+      additive,
+      onScroll,
+    }
+
+    utils.events.add(element, 'scroll', onScroll)
+  })
+
+  interactions.signals.on('action-start', updateSelectProps)
+  interactions.signals.on('action-move', updateSelectProps)
+  interactions.signals.on('action-end', updateSelectProps)
+
+  interactions.signals.on('stop', ({ interaction }) => {
+    if (!interaction.select) { return }
+
+    utils.events.remove(interaction.element, 'scroll', interaction.select.onScroll)
+    interaction.select = null
+  })
+
+  actions[ActionName.Select] = select
+  actions.names.push(ActionName.Select)
+  utils.arr.merge(actions.eventTypes, [
+    'selectstart',
+    'selectmove',
+    'selectend',
+  ])
+  actions.methodDict.select = 'selectable'
+
+  defaults.actions.select = select.defaults
+}
+
+function updateSelectProps ({ interaction, iEvent, phase }: SelectSignalArg) {
+  if (interaction.prepared.name !== 'select') { return }
+
+  const state = interaction.select
+  const prevSelected = state.selected
+
+  iEvent.selectionRect = getSelectionRect(interaction)
+  iEvent.additive = state.additive
+
+  if (phase !== 'end') {
+    const items = getItems(interaction.interactable, interaction.element)
+      .filter((item) => isSelected(interaction.interactable, item, iEvent.selectionRect, interaction.coords.cur.page))
+
+    state.selected = state.base.concat(items.filter((item) => !utils.arr.contains(state.base, item)))
+  }
+
+  iEvent.selected = state.selected.slice()
+  iEvent.added = phase === 'start'
+    ? state.selected.filter((item) => !utils.arr.contains(state.base, item))
+    : state.selected.filter((item) => !utils.arr.contains(prevSelected, item))
+  iEvent.removed = prevSelected.filter((item) => !utils.arr.contains(state.selected, item))
+}
+
+function getScroll (element: Element) {
+  return { x: element.scrollLeft || 0, y: element.scrollTop || 0 }
+}
+
+/**
+ * Get the page rect between the start of the selection and the current
+ * pointer. The start moves with the content of the container when it's
+ * scrolled.
+ */
+function getSelectionRect (interaction: Interact.Interaction): Interact.Rect {
+  const { anchor, startScroll } = interaction.select
+  const scroll = getScroll(interaction.element)
+  const start = {
+    x: anchor.x - (scroll.x - startScroll.x),
+    y: anchor.y - (scroll.y - startScroll.y),
+  }
+  const cur = interaction.coords.cur.page
+  const left = Math.min(start.x, cur.x)
+  const top = Math.min(start.y, cur.y)
+  const right = Math.max(start.x, cur.x)
+  const bottom = Math.max(start.y, cur.y)
+
+  return { left, top, right, bottom, width: right - left, height: bottom - top }
+}
+
+function getItems (interactable: Interact.Interactable, element: Element): Element[] {
+  const { items } = interactable.options.select
+
+  return items ? utils.arr.from(element.querySelectorAll(items)) : []
+}
+
+function getSelected (interactable: Interact.Interactable, element: Element): Element[] {
+  const { selected } = interactable.options.select
+  const value = utils.is.func(selected) ? selected(interactable, element) : selected
+
+  if (utils.is.string(value)) {
+    return utils.arr.from(element.querySelectorAll(value))
+  }
+
+  return utils.is.array(value) ? value.filter(utils.is.element) : []
+}
+
+/**
+ * Check if an item is selected by the selection rect or the pointer page
+ * coords using the `overlap` option
+ */
+function isSelected (
+  interactable: Interact.Interactable,
+  item: Element,
+  selectionRect: Interact.Rect,
+  pointer: Interact.Point,
+) {
+  const rect = interactable.getRect(item)
+
+  if (!rect) { return false }
+
+  const { overlap } = interactable.options.select
+
+  if (overlap === 'pointer') {
+    return pointer.x >= rect.left && pointer.x <= rect.right &&
+      pointer.y >= rect.top && pointer.y <= rect.bottom
+  }
+
+  if (overlap === 'center') {
+    const cx = (rect.left + rect.right) / 2
+    const cy = (rect.top + rect.bottom) / 2
+
+    return cx >= selectionRect.left && cx <= selectionRect.right &&
+      cy >= selectionRect.top && cy <= selectionRect.bottom
+  }
+
+  const overlapWidth = Math.min(rect.right, selectionRect.right) - Math.max(rect.left, selectionRect.left)
+  const overlapHeight = Math.min(rect.bottom, selectionRect.bottom) - Math.max(rect.top, selectionRect.top)
+
+  if (utils.is.number(overlap)) {
+    const area = (rect.right - rect.left) * (rect.bottom - rect.top)
+
+    return area > 0 && Math.max(0, overlapWidth) * Math.max(0, overlapHeight) / area >= overlap
+  }
+
+  return overlapWidth >= 0 && overlapHeight >= 0
+}
+
+const select = {
+  id: 'actions/select',
+  install,
+  getSelectionRect,
+  isSelected,
+  defaults: {
+    items: null,
+    overlap: 'touch',
+    selected: null,
+  } as Interact.SelectableOptions,
+
+  checker (_pointer, event, interactable, element) {
+    const { enabled, items } = interactable.options.select
+
+    if (!enabled) { return null }
+
+    // selections start from empty space in the container
+    if (items && utils.dom.matchesUpTo(event.target as Element, items, element)) {
+      return null
+    }
+
+    return { name: 'select' }
+  },
+
+  getCursor () {
+    return 'crosshair'
+  },
+}
+
+export default select
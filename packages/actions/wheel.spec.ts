@@ -0,0 +1,99 @@
+import test from '@interactjs/_dev/test/test'
+import * as helpers from '@interactjs/core/tests/_helpers'
+import wheel from './wheel'
+
+test('actions/wheel', (t) => {
+  const scope: Interact.Scope = helpers.mockScope()
+  scope.usePlugin(wheel)
+
+  const { document: doc } = scope
+  const element = doc.createElement('div')
+  const child = doc.createElement('div')
+
+  element.appendChild(child)
+  doc.body.appendChild(element)
+
+  const events: Interact.GestureEvent[] = []
+  const interactable = scope.interactables.new(element).gesturable({
+    listeners: { start: logEvent, move: logEvent, end: logEvent },
+  })
+
+  interactable.rectChecker(() => ({ left: 0, top: 0, right: 100, bottom: 100 }))
+
+  const dispatch = (target: Element, type: string, props: any) => {
+    const window = scope.window as any
+    const event = type === 'wheel'
+      ? new window.WheelEvent(type, { bubbles: true, cancelable: true, ...props })
+      // Safari's GestureEvent
+      : Object.assign(new window.Event(type, { bubbles: true, cancelable: true }), props)
+
+    target.dispatchEvent(event)
+    return event.defaultPrevented
+  }
+  const roll = (props: any) => dispatch(child, 'wheel', { clientX: 50, clientY: 50, ...props })
+
+  t.notOk(roll({ deltaY: 10, ctrlKey: true }), 'wheel events are ignored without the wheel option')
+  t.equal(events.length, 0, 'no gesture without the wheel option')
+
+  interactable.gesturable({ wheel: { endDelay: 0 } })
+
+  t.ok(roll({ deltaY: -100, ctrlKey: true }), 'ctrl+wheel is prevented')
+  roll({ deltaY: 100, ctrlKey: true })
+
+  t.deepEqual(
+    events.map((e) => [e.type, e.scale.toFixed(3), e.ds.toFixed(3), e.page.x, e.page.y]),
+    [
+      ['gesturestart', '1.000', '0.000', 50, 50],
+      ['gesturemove', Math.exp(0.5).toFixed(3), (Math.exp(0.5) - 1).toFixed(3), 50, 50],
+      ['gesturemove', '1.000', (1 - Math.exp(0.5)).toFixed(3), 50, 50],
+    ],
+    'ctrl+wheel starts a gesture and changes its scale')
+
+  setTimeout(() => {
+    t.deepEqual(events.slice(3).map((e) => e.type), ['gestureend'], 'gesture ends after the endDelay')
+    t.equal(scope.interactions.list.length, 0, 'wheel interaction is removed')
+
+    events.splice(0)
+    roll({ deltaX: 10, deltaY: 20 })
+    roll({ deltaY: 1, deltaMode: 1 })
+
+    t.deepEqual(
+      events.map((e) => [e.type, e.scale, e.dx, e.dy]),
+      [
+        ['gesturestart', 1, 0, 0],
+        ['gesturemove', 1, -10, -20],
+        ['gesturemove', 1, 0, -16],
+      ],
+      'plain wheel events pan the gesture')
+
+    setTimeout(() => {
+      interactable.gesturable({ wheel: { pan: false } })
+      events.splice(0)
+
+      t.notOk(roll({ deltaY: 20 }), 'plain wheel events are not prevented with pan: false')
+      t.equal(events.length, 0, 'pan: false ignores plain wheel events')
+
+      dispatch(child, 'gesturestart', { clientX: 50, clientY: 50 })
+      dispatch(child, 'gesturechange', { clientX: 50, clientY: 50, scale: 2, rotation: 90 })
+      dispatch(child, 'gestureend', {})
+
+      t.deepEqual(
+        events.map((e) => [e.type, e.scale.toFixed(3), e.da.toFixed(3), e.page.x, e.page.y]),
+        [
+          ['gesturestart', '1.000', '0.000', 50, 50],
+          ['gesturemove', '2.000', '90.000', 50, 50],
+          ['gestureend', '2.000', '0.000', 50, 50],
+        ],
+        'Safari gesture events set the scale and rotation')
+
+      interactable.unset()
+      doc.body.removeChild(element)
+
+      t.end()
+    }, 10)
+  }, 10)
+
+  function logEvent (event: Interact.GestureEvent) {
+    events.push(event)
+  }
+})
@@ -0,0 +1,289 @@
+import { Interaction } from '@interactjs/core/Interaction'
+import { ActionName, Scope } from '@interactjs/core/scope'
+import * as utils from '@interactjs/utils'
+import gesture from './gesture'
+
+type WheelPointer = ReturnType<typeof utils.pointer.coordsToEvent>
+
+declare module '@interactjs/core/Interaction' {
+  interface Interaction {
+    wheel?: {
+      pointers: WheelPointer[]
+      center: Interact.Point  // client coords of the virtual pointers' centroid
+      scale: number
+      rotation: number
+      // a Safari gesture is active and the values when it started
+      safari: boolean
+      startScale: number
+      startRotation: number
+      event: Event
+      timeout: any
+    }
+  }
+}
+
+// Safari's trackpad pinch events
+interface SafariGestureEvent extends UIEvent {
+  scale: number
+  rotation: number
+  clientX: number
+  clientY: number
+}
+
+const wheelDefaults = {
+  enabled: true,
+  zoomSpeed: 0.005, // the change in log scale per pixel of ctrl+wheel delta
+  pan: true,        // plain wheel events move the gesture
+  endDelay: 200,    // time without input before the gesture is ended
+}
+
+// half the distance between the two virtual pointers at a scale of 1
+const RADIUS = 50
+// approximate pixels of a wheel delta in lines and in pages
+const DELTA_MODE_PIXELS = [1, 16, 800]
+
+function install (scope: Scope) {
+  const {
+    interactions,
+  } = scope
+
+  scope.usePlugin(gesture)
+
+  interactions.signals.on('new', ({ interaction }) => {
+    interaction.wheel = null
+  })
+
+  interactions.signals.on('stop', ({ interaction }) => {
+    if (interaction.wheel) {
+      clearTimeout(interaction.wheel.timeout)
+      interaction.wheel = null
+    }
+  })
+
+  const listeners = {
+    wheel: (event: WheelEvent) => onWheel(scope, event),
+    gesturestart: (event: SafariGestureEvent) => onSafariGestureStart(scope, event),
+    gesturechange: (event: SafariGestureEvent) => onSafariGestureChange(scope, event),
+    gestureend: (event: SafariGestureEvent) => onSafariGestureEnd(scope, event),
+  }
+
+  // wheel listeners are added separately from the interactions eventMap
+  // because browsers make them passive on documents by default
+  const onDocSignal = ({ doc, options }, signalName: string) => {
+    const eventMethod = signalName.indexOf('add') === 0
+      ? utils.events.add : utils.events.remove
+    const eventOptions = utils.extend(utils.extend({}, options && options.events), { passive: false })
+
+    for (const eventType in listeners) {
+      eventMethod(doc, eventType, listeners[eventType], eventOptions)
+    }
+  }
+
+  scope.signals.on('add-document', onDocSignal)
+  scope.signals.on('remove-document', onDocSignal)
+}
+
+function onWheel (scope: Scope, event: WheelEvent) {
+  const zoom = event.ctrlKey
+  const interaction = getWheelInteraction(scope)
+
+  if (interaction) {
+    const options = getWheelOptions(interaction.interactable)
+
+    if (!options || !(zoom || options.pan)) { return }
+
+    event.preventDefault()
+    updateWheelGesture(interaction, event, options)
+
+    return
+  }
+
+  const started = startWheelGesture(scope, event, (options) => zoom || options.pan)
+
+  if (started) {
+    event.preventDefault()
+    updateWheelGesture(started, event, getWheelOptions(started.interactable))
+  }
+}
+
+function onSafariGestureStart (scope: Scope, event: SafariGestureEvent) {
+  // touch gestures also fire these events in Safari on iOS
+  const touchIsDown = utils.arr.find(
+    scope.interactions.list,
+    (i: Interaction) => i.pointerIsDown && i.pointerType !== 'wheel')
+
+  if (touchIsDown) { return }
+
+  const interaction = getWheelInteraction(scope) || startWheelGesture(scope, event, () => true)
+
+  if (!interaction) { return }
+
+  const state = interaction.wheel
+
+  event.preventDefault()
+  clearTimeout(state.timeout)
+  state.safari = true
+  state.startScale = state.scale
+  state.startRotation = state.rotation
+  state.event = event
+}
+
+function onSafariGestureChange (scope: Scope, event: SafariGestureEvent) {
+  const interaction = getWheelInteraction(scope)
+
+  if (!interaction || !interaction.wheel.safari) { return }
+
+  const state = interaction.wheel
+
+  event.preventDefault()
+  state.scale = state.startScale * event.scale
+  state.rotation = state.startRotation + event.rotation
+  moveWheelPointers(interaction, event)
+}
+
+function onSafariGestureEnd (scope: Scope, event: SafariGestureEvent) {
+  const interaction = getWheelInteraction(scope)
+
+  if (!interaction || !interaction.wheel.safari) { return }
+
+  event.preventDefault()
+  interaction.wheel.event = event
+  endWheelGesture(interaction)
+}
+
+function getWheelInteraction (scope: Scope): Interaction {
+  return utils.arr.find(
+    scope.interactions.list,
+    (i: Interaction) => i.pointerType === 'wheel' && !!i.wheel)
+}
+
+// the wheel options of a gesturable with the defaults or null if it's disabled
+function getWheelOptions (interactable: Interact.Interactable): typeof wheelDefaults {
+  const gestureOptions = interactable && interactable.options.gesture
+  const option = gestureOptions && gestureOptions.enabled && gestureOptions.wheel
+
+  if (!option || (utils.is.object(option) && option.enabled === false)) {
+    return null
+  }
+
+  return utils.extend(utils.extend({}, wheelDefaults), utils.is.object(option) ? option : {})
+}
+
+/**
+ * Start a gesture with two virtual pointers around the event coords on the
+ * closest gesturable of the event target which accepts wheel input
+ */
+function startWheelGesture (
+  scope: Scope,
+  event: WheelEvent | SafariGestureEvent,
+  accept: (options: typeof wheelDefaults) => boolean,
+) {
+  let element = event.target as Element
+  let interactable: Interact.Interactable = null
+
+  while (utils.is.element(element) && !interactable) {
+    interactable = scope.interactables.forEachMatch(element, (match: Interact.Interactable) => {
+      const options = getWheelOptions(match)
+
+      return options && accept(options) ? match : undefined
+    })
+
+    if (!interactable) {
+      element = utils.dom.parentNode(element)
+    }
+  }
+
+  if (!interactable) { return null }
+
+  const isInteracting = utils.arr.find(
+    scope.interactions.list,
+    (i: Interaction) => i.interacting() && i.element === element)
+
+  if (isInteracting) { return null }
+
+  const interaction = scope.interactions.new({ pointerType: 'wheel' })
+  const pointers = [0, 1].map((pointerId) => utils.pointer.coordsToEvent({
+    page: { x: 0, y: 0 },
+    client: { x: 0, y: 0 },
+    timeStamp: scope.now(),
+    pointerType: 'wheel',
+    pointerId,
+    target: element,
+  }))
+
+  interaction.wheel = {
+    pointers,
+    center: { x: event.clientX, y: event.clientY },
+    scale: 1,
+    rotation: 0,
+    safari: false,
+    startScale: 1,
+    startRotation: 0,
+    event,
+    timeout: null,
+  }
+
+  setPointerCoords(interaction, element)
+
+  const started = interaction.startSynthetic(pointers, event as any, { name: ActionName.Gesture }, interactable, element)
+
+  return started ? interaction : null
+}
+
+// zoom with ctrl+wheel or trackpad pinch and pan with plain wheel events
+function updateWheelGesture (interaction: Interaction, event: WheelEvent, options: typeof wheelDefaults) {
+  const state = interaction.wheel
+  const pixels = DELTA_MODE_PIXELS[event.deltaMode] || 1
+
+  if (event.ctrlKey) {
+    state.scale *= Math.exp(-event.deltaY * pixels * options.zoomSpeed)
+  }
+  else {
+    state.center.x -= event.deltaX * pixels
+    state.center.y -= event.deltaY * pixels
+  }
+
+  moveWheelPointers(interaction, event)
+
+  clearTimeout(state.timeout)
+  state.timeout = setTimeout(() => endWheelGesture(interaction), options.endDelay)
+}
+
+function moveWheelPointers (interaction: Interaction, event: Event) {
+  interaction.wheel.event = event
+  setPointerCoords(interaction, interaction.element)
+  interaction.moveSynthetic(event as any)
+}
+
+function endWheelGesture (interaction: Interaction) {
+  interaction.endSynthetic(interaction.wheel.event as any)
+}
+
+// place the virtual pointers on either side of the center so that the
+// gesture's scale and angle are those of the wheel input
+function setPointerCoords (interaction: Interaction, element: Element) {
+  const { pointers, center, scale, rotation } = interaction.wheel
+  const scroll = utils.dom.getScrollXY(utils.win.getWindow(element))
+  const angle = rotation * Math.PI / 180
+  const offset = {
+    x: RADIUS * scale * Math.cos(angle),
+    y: RADIUS * scale * Math.sin(angle),
+  }
+
+  pointers.forEach((pointer, i) => {
+    const sign = i === 0 ? -1 : 1
+    const client = { x: center.x + sign * offset.x, y: center.y + sign * offset.y }
+
+    pointer.coords.client = client
+    pointer.coords.page = { x: client.x + scroll.x, y: client.y + scroll.y }
+    pointer.coords.timeStamp = interaction._now()
+  })
+}
+
+const wheel = {
+  id: 'actions/wheel',
+  install,
+  defaults: wheelDefaults,
+}
+
+export default wheel
@@ -0,0 +1,59 @@
+import test from '@interactjs/_dev/test/test'
+import drag from '@interactjs/actions/drag'
+import * as helpers from '@interactjs/core/tests/_helpers'
+import pointerUtils, { MockCoords } from '@interactjs/utils/pointerUtils'
+import autoScrollPlugin, { getScrollSizeDelta } from './index'
+
+test('autoScroll coordinateSpace', (t) => {
+  const scope: Interact.Scope = helpers.mockScope()
+
+  scope.usePlugin(drag)
+  scope.usePlugin(autoScrollPlugin)
+
+  const { document: doc, autoScroll } = scope
+  const element = doc.body.appendChild(doc.createElement('div'))
+  const container = doc.body.appendChild(doc.createElement('div'))
+  const deltas: Interact.Point[] = []
+
+  Object.defineProperties(container, {
+    scrollLeft: { value: 0, writable: true },
+    scrollTop: { value: 0, writable: true },
+  })
+
+  const interactable = scope.interactables.new(element)
+    .draggable({ autoScroll: { enabled: true, container } })
+    // a container scaled by 2
+    .coordinateSpace({ a: 0.5, b: 0, c: 0, d: 0.5, e: 0, f: 0 })
+    .on('autoscroll', (e) => deltas.push(e.delta))
+  const coords = pointerUtils.newCoords() as MockCoords
+  const event = pointerUtils.coordsToEvent(coords)
+  const interaction = scope.interactions.new({})
+  let now = 1000
+
+  scope.now = () => now
+  interaction.pointerDown(event, event, element)
+  interaction.start({ name: 'drag' }, interactable, element)
+
+  // scroll right and down for 100ms at 300px/s
+  autoScroll.interaction = interaction
+  autoScroll.isScrolling = false
+  autoScroll.x = autoScroll.y = 1
+  autoScroll.prevTime = now
+  now += 100
+  autoScroll.scroll()
+
+  t.deepEqual([container.scrollLeft, container.scrollTop], [30, 30], 'container is scrolled in page pixels')
+  t.deepEqual(deltas, [{ x: 15, y: 15 }], 'autoscroll event delta is in the coordinate space')
+
+  t.deepEqual(
+    getScrollSizeDelta({ interaction, element }, () => { container.scrollTop += 10 }),
+    { x: 0, y: 5 },
+    'scroll size delta is in the coordinate space')
+
+  interaction.stop()
+  interactable.unset()
+  doc.body.removeChild(element)
+  doc.body.removeChild(container)
+
+  t.end()
+})
@@ -1,5 +1,6 @@
 import * as domUtils from '@interactjs/utils/domUtils'
 import * as is from '@interactjs/utils/is'
+import { applyToVector } from '@interactjs/utils/matrix'
 import raf from '@interactjs/utils/raf'
 import { getStringOptionResult } from '@interactjs/utils/rect'
 import { getWindow } from '@interactjs/utils/window'
@@ -126,10 +127,10 @@ const autoScroll = {
         }
 
         const curScroll = getScroll(container)
-        const delta = {
+        const delta = toLocalDelta(interaction, {
           x: curScroll.x - prevScroll.x,
           y: curScroll.y - prevScroll.y,
-        }
+        })
 
         if (delta.x || delta.y) {
           interactable.fire({
@@ -238,10 +239,18 @@ export function getScrollSizeDelta ({ interaction, element }, func) {
   func()
   const curSize = getScroll(scrollContainer)
 
-  return {
+  return toLocalDelta(interaction, {
     x: curSize.x - prevSize.x,
     y: curSize.y - prevSize.y,
-  }
+  })
+}
+
+// scroll deltas are in page pixels and are converted to the coordinate space
+// of the interaction like the deltas of action events
+function toLocalDelta (interaction: Interact.Interaction, delta: Interact.Point) {
+  return interaction.localTransform
+    ? applyToVector(interaction.localTransform.inverse, delta)
+    : delta
 }
 
 export default {
@@ -262,7 +262,7 @@ function withinInteractionLimit (interactable: Interact.Interactable, element: E
       return false
     }
 
-    if (interaction.element === element) {
+    if (interaction.element === element || utils.arr.contains(interaction.followers, element)) {
       elementCount++
 
       if (otherAction === action.name && elementCount >= maxPerElement) {
@@ -20,7 +20,7 @@ export class BaseEvent<T extends ActionName = any> {
   propagationStopped = false
 
   get interaction () {
-    return this._interaction._proxy
+    return this._interaction && this._interaction._proxy
   }
 
   constructor (interaction) {
@@ -1,6 +1,7 @@
 import extend from '@interactjs/utils/extend'
 import getOriginXY from '@interactjs/utils/getOriginXY'
 import hypot from '@interactjs/utils/hypot'
+import { applyToPoint, applyToVector, Transform } from '@interactjs/utils/matrix'
 import BaseEvent from './BaseEvent'
 import defaults from './defaultOptions'
 import Interaction from './Interaction'
@@ -66,6 +67,7 @@ export class InteractEvent<
     element = element || interaction.element
 
     const target      = interaction.interactable
+    const { localTransform } = interaction
     // FIXME: add deltaSource to defaults
     const deltaSource = (((target && target.options) || defaults) as any).deltaSource as 'page' | 'client'
     const origin      = getOriginXY(target, element, actionName)
@@ -84,6 +86,10 @@ export class InteractEvent<
     this.timeStamp = coords.timeStamp
 
     if (!ending) {
+      if (localTransform) {
+        toLocalCoords(localTransform, this.page, this.client)
+      }
+
       this.page.x -= origin.x
       this.page.y -= origin.y
 
@@ -108,10 +114,17 @@ export class InteractEvent<
       ? interaction.pointers[interaction.pointers.length - 1].downTime
       : prevEvent.t0
 
-    this.x0       = interaction.coords.start.page.x - origin.x
-    this.y0       = interaction.coords.start.page.y - origin.y
-    this.clientX0 = interaction.coords.start.client.x - origin.x
-    this.clientY0 = interaction.coords.start.client.y - origin.y
+    const startPage = extend({}, interaction.coords.start.page)
+    const startClient = extend({}, interaction.coords.start.client)
+
+    if (localTransform) {
+      toLocalCoords(localTransform, startPage, startClient)
+    }
+
+    this.x0       = startPage.x - origin.x
+    this.y0       = startPage.y - origin.y
+    this.clientX0 = startClient.x - origin.x
+    this.clientY0 = startClient.y - origin.y
 
     if (starting || ending) {
       this.delta = { x: 0, y: 0 }
@@ -127,7 +140,9 @@ export class InteractEvent<
     this.duration  = this.timeStamp - this.t0
 
     // velocity and speed in pixels per second
-    this.velocity = extend({}, interaction.coords.velocity[deltaSource])
+    this.velocity = localTransform
+      ? applyToVector(localTransform.inverse, interaction.coords.velocity[deltaSource])
+      : extend({}, interaction.coords.velocity[deltaSource])
     this.speed = hypot(this.velocity.x, this.velocity.y)
 
     this.swipe = (ending || phase === 'inertiastart') ? this.getSwipe() : null
@@ -205,4 +220,14 @@ export class InteractEvent<
   }
 }
 
+// map page and client coords into the local space of the interaction
+function toLocalCoords ({ inverse }: Transform, page: Interact.Point, client: Interact.Point) {
+  const local = applyToPoint(inverse, page)
+
+  client.x += local.x - page.x
+  client.y += local.y - page.y
+  page.x = local.x
+  page.y = local.y
+}
+
 export default InteractEvent
@@ -83,7 +83,7 @@ export class Interactable implements Partial<Eventable> {
       else if (!isArray && is.plainObject(optionValue)) {
         // copy the object
         actionOptions[optionName] = extend(
-          actionOptions[optionName] || {},
+          is.plainObject(actionOptions[optionName]) ? actionOptions[optionName] : {},
           clone(optionValue))
 
         // set anabled field to true if it exists in the defaults
@@ -191,6 +191,35 @@ export class Interactable implements Partial<Eventable> {
     return this.options.deltaSource
   }
 
+  /**
+   * ```js
+   * // a zoomable canvas
+   * canvas.style.transform = 'scale(2)'
+   *
+   * interact('.canvas-item').coordinateSpace(canvas)
+   * ```
+   *
+   * Returns or sets the coordinate space that pointer coordinates are mapped
+   * into for the actions of this Interactable. The event coordinates and
+   * deltas and the coordinates used by modifiers are in this space.
+   *
+   * @param {object | Element | function | null} [newValue] A matrix `{ a, b,
+   * c, d, e, f }` which maps page coordinates into the space, a CSS
+   * transformed Element whose untransformed space is used, a function which
+   * returns either of those or `null` to use page coordinates
+   * @return {object | Element | function | Interactable} The current
+   * coordinateSpace or this Interactable
+   */
+  coordinateSpace (newValue?: Interact.CoordinateSpace) {
+    if (newValue !== undefined) {
+      this.options.coordinateSpace = newValue
+
+      return this
+    }
+
+    return this.options.coordinateSpace
+  }
+
   /**
    * Gets the selector context Node of the Interactable. The default is
    * `window.document`.
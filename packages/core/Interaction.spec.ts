@@ -381,9 +381,18 @@ test('Interaction.start', (t) => {
     // interactingInStartListener = arg.interaction.interacting()
   }
 
+  const signalNames = []
+
+  interaction._signals.on('prepare-action', (_, name) => { signalNames.push(name) })
+  interaction._signals.on('before-action-start', (_, name) => { signalNames.push(name) })
   interaction._signals.on('action-start', signalListener)
   interaction.start(action, interactable, element)
 
+  t.deepEqual(
+    signalNames,
+    ['prepare-action', 'before-action-start'],
+    'prepare-action is fired before before-action-start')
+
   t.equal(interaction.prepared.name, action.name, 'action is prepared')
   t.equal(interaction.interactable, interactable, 'interaction.interactable is updated')
   t.equal(interaction.element, element, 'interaction.element is updated')
@@ -422,6 +431,59 @@ test('stop interaction from start event', (t) => {
   t.end()
 })
 
+test('Interaction synthetic pointers', (t) => {
+  const scope = helpers.mockScope()
+  const interactable = helpers.mockInteractable()
+  const element: any = {}
+  const events = []
+  const pointers = [0, 1].map((pointerId) => pointerUtils.coordsToEvent({
+    page: { x: pointerId * 10, y: 0 },
+    client: { x: pointerId * 10, y: 0 },
+    timeStamp: 0,
+    pointerId,
+  }))
+  const event: any = { type: 'wheel' }
+
+  interactable.options.TEST = { enabled: false }
+
+  let interaction = scope.interactions.new({})
+
+  t.notOk(
+    interaction.startSynthetic(pointers, event, { name: 'TEST' }, interactable, element),
+    'false is returned if the action isn\'t started')
+  t.deepEqual(
+    [interaction.pointers.length, interaction.pointerIsDown, scope.interactions.list.length],
+    [0, false, 0],
+    'pointers are released and the interaction is removed if the action isn\'t started')
+
+  interactable.options.TEST = { enabled: true }
+  interactable.events.on('TESTstart TESTmove TESTend', (e) => events.push(e))
+  interaction = scope.interactions.new({})
+
+  t.ok(
+    interaction.startSynthetic(pointers, event, { name: 'TEST' }, interactable, element),
+    'true is returned if the action is started')
+  t.deepEqual(interaction.coords.start.page, { x: 5, y: 0 }, 'start coords are the center of the pointers')
+
+  pointers[1].coords.page = { x: 30, y: 0 }
+  interaction.moveSynthetic(event)
+
+  t.deepEqual(
+    [interaction.coords.delta.page, interaction.coords.prev.page],
+    [{ x: 10, y: 0 }, { x: 15, y: 0 }],
+    'coords are moved to the pointers')
+  t.equal(events[1].type, 'TESTmove', 'move event is fired')
+
+  interaction.endSynthetic(event)
+
+  t.deepEqual(
+    [events[2].type, interaction.pointers.length, interaction.pointerIsDown, scope.interactions.list.length],
+    ['TESTend', 0, false, 0],
+    'action is ended, pointers are released and the interaction is removed')
+
+  t.end()
+})
+
 test('Interaction createPreparedEvent', (t) => {
   const scope = helpers.mockScope()
 
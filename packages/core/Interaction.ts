@@ -1,4 +1,5 @@
 import * as utils from '@interactjs/utils'
+import { Transform } from '@interactjs/utils/matrix'
 import Interactable from './Interactable'
 import InteractEvent, { EventPhase } from './InteractEvent'
 import PointerInfo from './PointerInfo'
@@ -49,6 +50,15 @@ export class Interaction<T extends ActionName = any> {
     [P in keyof Interact.Rect]?: boolean
   }
 
+  // maps between page coords and the local coords of the interaction. Set
+  // from the interactable's coordinateSpace or by actions which work in the
+  // space of a transformed target element
+  localTransform: Transform = null
+
+  // other elements which are moved with the target element. Action events are
+  // also fired with each follower as the target
+  followers: Element[] = []
+
   _signals: utils.Signals
 
   // action that's ready to be fired on next move event
@@ -89,6 +99,9 @@ export class Interaction<T extends ActionName = any> {
 
   simulation = null
 
+  // the pointers are moved by code instead of by input events
+  _synthetic = false
+
   get pointerMoveTolerance () {
     return 1
   }
@@ -196,6 +209,17 @@ export class Interaction<T extends ActionName = any> {
     this.element      = element
     this.rect         = interactable.getRect(element)
     this.edges        = this.prepared.edges
+    this.followers    = []
+    this.localTransform = utils.matrix.getCoordinateSpace(interactable.options.coordinateSpace, interactable, element)
+
+    if (this.localTransform && this.rect) {
+      this.rect = utils.matrix.applyToRect(this.localTransform.inverse, this.rect)
+    }
+
+    // actions can change the rect, transform and edges here before
+    // before-action-start listeners like modifiers use them
+    this._signals.fire('prepare-action', { interaction: this })
+
     this._interacting = this._doPhase({
       interaction: this,
       event: this.downEvent,
@@ -363,11 +387,87 @@ export class Interaction<T extends ActionName = any> {
     return this._interacting
   }
 
+  /**
+   * Start an action with pointers which are moved by code instead of by input
+   * events, like the virtual pointers of wheel gestures. The interaction is
+   * removed from the scope when it's stopped
+   *
+   * @param {object[]} pointers The pointers to put down
+   * @param {Event} event The event which caused the action to start
+   * @param {object} action The action to be performed
+   * @param {Interactable} interactable The Interactable to target
+   * @param {Element} element The DOM Element to target
+   * @return {boolean} Whether the action was started
+   */
+  startSynthetic (
+    pointers: Interact.PointerType[],
+    event: Interact.PointerEventType,
+    action: StartAction,
+    interactable: Interactable,
+    element: Element,
+  ) {
+    this._synthetic = true
+
+    for (const pointer of pointers) {
+      this.updatePointer(pointer, event, element, true)
+    }
+
+    if (this.start(action, interactable, element)) {
+      return true
+    }
+
+    this._releaseSynthetic(event)
+    this.stop()
+
+    return false
+  }
+
+  /**
+   * Move the action to the current coords of the synthetic pointers
+   *
+   * @param {Event} event The event which caused the move
+   */
+  moveSynthetic (event: Interact.PointerEventType) {
+    const { coords } = this
+    const pointers = this.pointers.map((p) => p.pointer)
+
+    this._updateLatestPointer(pointers[0], event, this.element)
+
+    // synthetic movements have no velocity so that inertia isn't thrown
+    utils.pointer.setCoords(coords.cur, pointers, this._now())
+    utils.pointer.setCoordDeltas(coords.delta, coords.prev, coords.cur)
+
+    this.move({ event, pointer: pointers[0] })
+    utils.pointer.copyCoords(coords.prev, coords.cur)
+  }
+
+  /**
+   * End the action and release the synthetic pointers
+   *
+   * @param {Event} event The event which caused the end
+   */
+  endSynthetic (event: Interact.PointerEventType) {
+    this.end(event)
+    this._releaseSynthetic(event)
+  }
+
+  _releaseSynthetic (event: Interact.PointerEventType) {
+    const pointers = this.pointers.map((p) => p.pointer)
+
+    for (const pointer of pointers) {
+      this.removePointer(pointer, event)
+    }
+
+    this.pointerIsDown = false
+  }
+
   /** */
   stop () {
     this._signals.fire('stop', { interaction: this })
 
     this.interactable = this.element = null
+    this.localTransform = null
+    this.followers = []
 
     this._interacting = false
     this.prepared.name = this.prevEvent = null
@@ -483,6 +583,15 @@ export class Interaction<T extends ActionName = any> {
   _fireEvent (iEvent) {
     this.interactable.fire(iEvent)
 
+    for (const follower of this.followers) {
+      const followerEvent = utils.extend(Object.create(Object.getPrototypeOf(iEvent)), iEvent)
+
+      followerEvent.target = followerEvent.currentTarget = follower
+      followerEvent.propagationStopped = followerEvent.immediatePropagationStopped = false
+
+      this.interactable.fire(followerEvent)
+    }
+
     if (!this.prevEvent || iEvent.timeStamp >= this.prevEvent.timeStamp) {
       this.prevEvent = iEvent
     }
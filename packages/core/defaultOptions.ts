@@ -13,13 +13,14 @@ export interface ActionDefaults {
 export interface BaseDefaults {
   preventDefault?: 'auto' | 'never' | string
   deltaSource?: 'page' | 'client'
+  coordinateSpace?: Interact.CoordinateSpace
   context?: Window | Document | Element
    [key: string]: any
 }
 
 export interface PerActionDefaults {
   enabled?: boolean
-  origin?: Interact.Point | string | Element
+  origin?: Interact.Point | string | Element | Interact.OriginFunction
   listeners?: Interact.Listeners
   allowFrom?: string | Element
   ignoreFrom?: string | Element
@@ -37,6 +38,7 @@ export const defaults: Defaults = {
   base: {
     preventDefault: 'auto',
     deltaSource: 'page',
+    coordinateSpace: null,
   },
 
   perAction: {
@@ -1,3 +1,4 @@
+import * as arr from '@interactjs/utils/arr'
 import browser from '@interactjs/utils/browser'
 import domObjects from '@interactjs/utils/domObjects'
 import events from '@interactjs/utils/events'
@@ -65,6 +66,13 @@ function install (scope: Scope) {
   scope.signals.on('add-document', onDocSignal)
   scope.signals.on('remove-document', onDocSignal)
 
+  // interactions of synthetic pointers aren't reused
+  signals.on('stop', ({ interaction }) => {
+    if (interaction._synthetic) {
+      arr.remove(scope.interactions.list, interaction)
+    }
+  })
+
   // for ignoring browser's simulated mouse events
   scope.prevTouchTime = 0
 
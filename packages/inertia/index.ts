@@ -8,6 +8,8 @@ declare module '@interactjs/core/InteractEvent' {
   enum EventPhase {
     Resume = 'resume',
     InertiaStart = 'inertiastart',
+    RevertStart = 'revertstart',
+    RevertEnd = 'revertend',
   }
 }
 
@@ -16,6 +18,7 @@ declare module '@interactjs/core/Interaction' {
     inertia?: {
       active: boolean
       smoothEnd: boolean
+      revert: boolean
       allowResume: boolean
 
       startEvent?: Interact.InteractEvent
@@ -55,12 +58,29 @@ declare module '@interactjs/core/defaultOptions' {
       endSpeed?: number,          // the speed at which inertia is slow enough to stop
       allowResume?: true,         // allow resuming an action in inertia phase
       smoothEndDuration?: number, // animate to snap/restrict endOnly if there's no inertia
+      model?: 'decay' | 'spring', // slow down exponentially or spring to the end target
+      stiffness?: number,         // the spring constant of the spring model
+      damping?: number,           // the friction of the spring model
+      mass?: number,              // the mass of the target with the spring model
+      overscroll?: number,        // max distance the spring can overshoot the end target
+      easing?: (t: number) => number, // custom easing of smooth end transitions
     } | boolean // FIXME
   }
 }
 
 (EventPhase as any).Resume = 'resume'
 ; (EventPhase as any).InertiaStart = 'inertiastart'
+; (EventPhase as any).RevertStart = 'revertstart'
+; (EventPhase as any).RevertEnd = 'revertend'
+
+const revertDefaults = {
+  duration   : 300,   // the duration of the animation back to the start
+  allowResume: true,  // allow resuming the drag while it's being reverted
+  easing     : null as (t: number) => number, // custom easing of the animation
+}
+
+// how quickly an overshoot approaches the max overscroll distance
+const RUBBER_BAND_CONSTANT = 0.55
 
 function install (scope: Interact.Scope) {
   const {
@@ -72,6 +92,7 @@ function install (scope: Interact.Scope) {
     interaction.inertia = {
       active     : false,
       smoothEnd  : false,
+      revert     : false,
       allowResume: false,
       upCoords   : {} as any,
       timeout    : null,
@@ -90,6 +111,12 @@ function install (scope: Interact.Scope) {
     endSpeed         : 10,    // the speed at which inertia is slow enough to stop
     allowResume      : true,  // allow resuming an action in inertia phase
     smoothEndDuration: 300,   // animate to snap/restrict endOnly if there's no inertia
+    model            : 'decay',
+    stiffness        : 170,
+    damping          : 26,
+    mass             : 1,
+    overscroll       : 0,     // 0 for no limit
+    easing           : null,  // easeOutQuad by default
   }
 
   scope.usePlugin(modifiers)
@@ -111,7 +138,7 @@ function resume (
       if (element === interaction.element) {
         // stop inertia
         raf.cancel(state.timeout)
-        state.active = false
+        state.active = state.revert = false
         interaction.simulation = null
 
         // update pointers to the down event's coordinates
@@ -150,12 +177,17 @@ function release<T extends Interact.ActionName> (
 ) {
   const state = interaction.inertia
 
-  if (!interaction.interacting() ||
-    (interaction.simulation && interaction.simulation.active) ||
-  noPreEnd) {
+  if (!interaction.interacting() || noPreEnd) {
     return null
   }
 
+  if (interaction.simulation && interaction.simulation.active) {
+    // inertia has finished so the drag can be reverted
+    return interaction.simulation === state && !state.revert
+      ? revert(interaction, event, scope)
+      : null
+  }
+
   const options = getOptions(interaction)
 
   const now = interaction._now()
@@ -188,7 +220,9 @@ function release<T extends Interact.ActionName> (
 
   // smoothEnd
   if (inertiaPossible && !inertia) {
-    modifierArg.prevCoords = interaction.prevEvent.page
+    modifierArg.prevCoords = interaction.localTransform
+      ? utils.matrix.applyToPoint(interaction.localTransform.matrix, interaction.prevEvent.page)
+      : interaction.prevEvent.page
     modifierArg.requireEndOnly = false
     modifierResult = modifiers.setAll(modifierArg)
 
@@ -197,7 +231,7 @@ function release<T extends Interact.ActionName> (
     }
   }
 
-  if (!(inertia || smoothEnd)) { return null }
+  if (!(inertia || smoothEnd)) { return revert(interaction, event, scope) }
 
   utils.pointer.copyCoords(state.upCoords, interaction.coords.cur)
 
@@ -237,7 +271,9 @@ function release<T extends Interact.ActionName> (
     state.modifiedXe += modifierResult.delta.x
     state.modifiedYe += modifierResult.delta.y
 
-    state.timeout = raf.request(() => inertiaTick(interaction))
+    state.timeout = options.model === 'spring'
+      ? startSpring(interaction, state.vx0, state.vy0)
+      : raf.request(() => inertiaTick(interaction))
   }
   else {
     state.smoothEnd = true
@@ -246,7 +282,14 @@ function release<T extends Interact.ActionName> (
 
     state.sx = state.sy = 0
 
-    state.timeout = raf.request(() => smothEndTick(interaction))
+    if (options.model === 'spring') {
+      state.modifiedXe = state.xe
+      state.modifiedYe = state.ye
+      state.timeout = startSpring(interaction, 0, 0)
+    }
+    else {
+      state.timeout = raf.request(() => smothEndTick(interaction))
+    }
   }
 
   return false
@@ -256,7 +299,7 @@ function stop ({ interaction }: Interact.SignalArg) {
   const state = interaction.inertia
   if (state.active) {
     raf.cancel(state.timeout)
-    state.active = false
+    state.active = state.revert = false
     interaction.simulation = null
   }
 }
@@ -317,8 +360,12 @@ function inertiaTick (interaction: Interact.Interaction) {
 
     interaction.move()
     interaction.end(state.startEvent)
-    state.active = false
-    interaction.simulation = null
+
+    // the end may have started a revert
+    if (!state.revert) {
+      state.active = false
+      interaction.simulation = null
+    }
   }
 
   utils.pointer.copyCoords(interaction.coords.prev, interaction.coords.cur)
@@ -329,11 +376,11 @@ function smothEndTick (interaction: Interact.Interaction) {
 
   const state = interaction.inertia
   const t = interaction._now() - state.t0
-  const { smoothEndDuration: duration } = getOptions(interaction)
+  const { smoothEndDuration: duration, easing } = getOptions(interaction)
 
   if (t < duration) {
-    state.sx = utils.easeOutQuad(t, 0, state.xe, duration)
-    state.sy = utils.easeOutQuad(t, 0, state.ye, duration)
+    state.sx = ease(easing, t, state.xe, duration)
+    state.sy = ease(easing, t, state.ye, duration)
 
     interaction.move()
 
@@ -346,8 +393,196 @@ function smothEndTick (interaction: Interact.Interaction) {
     interaction.move()
     interaction.end(state.startEvent)
 
-    state.smoothEnd =
+    state.smoothEnd = false
+
+    if (!state.revert) {
       state.active = false
+      interaction.simulation = null
+    }
+  }
+}
+
+function startSpring (interaction: Interact.Interaction, vx0: number, vy0: number) {
+  const state = interaction.inertia
+
+  state.t0 = interaction._now()
+  state.vx0 = vx0
+  state.vy0 = vy0
+  state.sx = state.sy = 0
+
+  return raf.request(() => springTick(interaction))
+}
+
+/**
+ * Move the target with a damped spring from the up coords to the modified end
+ * coords, starting at the release velocity
+ */
+function springTick (interaction: Interact.Interaction) {
+  const state = interaction.inertia
+  const options = getOptions(interaction)
+  const t = (interaction._now() - state.t0) / 1000
+  // offsets from the end coords
+  const x = getSpringOffset(options, -state.modifiedXe, state.vx0, t)
+  const y = getSpringOffset(options, -state.modifiedYe, state.vy0, t)
+
+  if (utils.hypot(x.offset, y.offset) >= 0.5 || utils.hypot(x.velocity, y.velocity) >= options.endSpeed) {
+    state.sx = state.modifiedXe + rubberBand(x.offset, -state.modifiedXe, options.overscroll)
+    state.sy = state.modifiedYe + rubberBand(y.offset, -state.modifiedYe, options.overscroll)
+
+    updateInertiaCoords(interaction)
+    interaction.move()
+
+    state.timeout = raf.request(() => springTick(interaction))
+  }
+  else {
+    state.sx = state.modifiedXe
+    state.sy = state.modifiedYe
+
+    updateInertiaCoords(interaction)
+    interaction.move()
+    interaction.end(state.startEvent)
+
+    state.smoothEnd = false
+
+    if (!state.revert) {
+      state.active = false
+      interaction.simulation = null
+    }
+  }
+}
+
+// the offset and velocity of a damped spring at time t (seconds)
+function getSpringOffset ({ stiffness, damping, mass }, x0: number, v0: number, t: number) {
+  const w0 = Math.sqrt(stiffness / mass)
+  const zeta = damping / (2 * Math.sqrt(stiffness * mass))
+
+  if (zeta < 1) {
+    const wd = w0 * Math.sqrt(1 - zeta * zeta)
+    const b = (v0 + zeta * w0 * x0) / wd
+    const decay = Math.exp(-zeta * w0 * t)
+    const cos = Math.cos(wd * t)
+    const sin = Math.sin(wd * t)
+
+    return {
+      offset: decay * (x0 * cos + b * sin),
+      velocity: decay * ((b * wd - zeta * w0 * x0) * cos - (x0 * wd + zeta * w0 * b) * sin),
+    }
+  }
+
+  if (zeta === 1) {
+    const b = v0 + w0 * x0
+    const decay = Math.exp(-w0 * t)
+
+    return {
+      offset: decay * (x0 + b * t),
+      velocity: decay * (b - w0 * (x0 + b * t)),
+    }
+  }
+
+  const s = w0 * Math.sqrt(zeta * zeta - 1)
+  const r1 = -zeta * w0 + s
+  const r2 = -zeta * w0 - s
+  const c1 = (v0 - r2 * x0) / (r1 - r2)
+  const c2 = x0 - c1
+
+  return {
+    offset: c1 * Math.exp(r1 * t) + c2 * Math.exp(r2 * t),
+    velocity: c1 * r1 * Math.exp(r1 * t) + c2 * r2 * Math.exp(r2 * t),
+  }
+}
+
+// limit the distance an offset can go past 0 to less than `max`
+function rubberBand (offset: number, startOffset: number, max: number) {
+  if (!max || offset === 0 || offset * startOffset > 0) {
+    return offset
+  }
+
+  const distance = Math.abs(offset)
+  const limited = (1 - 1 / (distance * RUBBER_BAND_CONSTANT / max + 1)) * max
+
+  return offset < 0 ? -limited : limited
+}
+
+// the offset at time t from 0 to `end` with a custom easing or easeOutQuad
+function ease (easing: (t: number) => number, t: number, end: number, duration: number) {
+  return easing
+    ? end * easing(t / duration)
+    : utils.easeOutQuad(t, 0, end, duration)
+}
+
+/**
+ * Start animating a drag back to its start coords if it has the `revert`
+ * option and it ended without a valid drop. Returns false if the revert was
+ * started to prevent the drag from ending.
+ */
+function revert (interaction: Interact.Interaction, event: Interact.PointerEventType, scope: Interact.Scope) {
+  const options = getRevertOptions(interaction)
+  const { dropState } = interaction
+
+  if (!options || (dropState && dropState.cur.dropzone && !dropState.rejected)) {
+    return null
+  }
+
+  const state = interaction.inertia
+  const { start, cur } = interaction.coords
+
+  utils.pointer.copyCoords(state.upCoords, cur)
+
+  interaction.pointers[0].pointer = state.startEvent = new scope.InteractEvent(
+    interaction,
+    event,
+    interaction.prepared.name,
+    EventPhase.RevertStart,
+    interaction.element,
+  )
+
+  state.t0 = interaction._now()
+  state.xe = start.page.x - cur.page.x
+  state.ye = start.page.y - cur.page.y
+  state.sx = state.sy = 0
+
+  state.active = true
+  state.revert = true
+  state.allowResume = options.allowResume
+  interaction.simulation = state
+
+  interaction.interactable.fire(state.startEvent)
+
+  state.timeout = raf.request(() => revertTick(interaction, scope))
+
+  return false
+}
+
+function revertTick (interaction: Interact.Interaction, scope: Interact.Scope) {
+  const state = interaction.inertia
+  const t = interaction._now() - state.t0
+  const { duration, easing } = getRevertOptions(interaction)
+
+  if (t < duration) {
+    state.sx = ease(easing, t, state.xe, duration)
+    state.sy = ease(easing, t, state.ye, duration)
+
+    updateInertiaCoords(interaction)
+    interaction.move()
+
+    state.timeout = raf.request(() => revertTick(interaction, scope))
+  }
+  else {
+    state.sx = state.xe
+    state.sy = state.ye
+
+    updateInertiaCoords(interaction)
+    interaction.move()
+    interaction.interactable.fire(new scope.InteractEvent(
+      interaction,
+      state.startEvent,
+      interaction.prepared.name,
+      EventPhase.RevertEnd,
+      interaction.element,
+    ))
+    interaction.end(state.startEvent)
+
+    state.active = state.revert = false
     interaction.simulation = null
   }
 }
@@ -369,6 +604,17 @@ function updateInertiaCoords (interaction: Interact.Interaction) {
   } ], interaction._now())
 }
 
+// the drag revert options with the defaults or null if it's disabled
+function getRevertOptions ({ interactable, prepared }: Interact.Interaction): typeof revertDefaults {
+  const option = interactable && prepared.name === 'drag' && interactable.options.drag.revert
+
+  if (!option || (utils.is.object(option) && option.enabled === false)) {
+    return null
+  }
+
+  return utils.extend(utils.extend({}, revertDefaults), utils.is.object(option) ? option : {})
+}
+
 function getOptions ({ interactable, prepared }: Interact.Interaction) {
   return interactable &&
     interactable.options &&
@@ -382,5 +628,9 @@ export default {
   calcInertia,
   inertiaTick,
   smothEndTick,
+  springTick,
+  getSpringOffset,
+  revert,
+  revertTick,
   updateInertiaCoords,
 }
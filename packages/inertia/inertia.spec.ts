@@ -1,6 +1,8 @@
 import test from '@interactjs/_dev/test/test'
 import drag from '@interactjs/actions/drag'
+import drop from '@interactjs/actions/drop'
 import * as helpers from '@interactjs/core/tests/_helpers'
+import raf from '@interactjs/utils/raf'
 import inertia from './'
 
 test('inertia', (t) => {
@@ -81,3 +83,193 @@ test('inertia', (t) => {
     interaction.pointerUp(event, event, element, element)
   }
 })
+
+test('inertia spring and easing', (t) => {
+  const {
+    scope,
+    interaction,
+    target,
+    interactable,
+    coords,
+    event,
+  } = helpers.testEnv({ plugins: [inertia, drag] })
+  const element = target as HTMLElement
+  const restrictX = {
+    options: { endOnly: true },
+    methods: { set ({ coords: modifierCoords }) {
+      modifierCoords.x = Math.min(modifierCoords.x, 150)
+    } },
+  }
+  const events: Interact.InteractEvent[] = []
+
+  coords.client = coords.page
+  scope.now = () => coords.timeStamp
+  interactable.draggable({
+    inertia: { enabled: true, model: 'spring', overscroll: 20 },
+    modifiers: [restrictX as any],
+  })
+  interactable.on('dragmove dragend', (e) => events.push(e))
+
+  // throw past the endOnly restriction
+  downStartMoveUp({ x: 100, y: 0, dt: 10 })
+
+  t.ok(interaction.inertia.active, 'spring is started when thrown')
+  t.equal(interaction.inertia.modifiedXe, 50, 'spring target is the modified end coords')
+
+  let maxX = 0
+
+  events.splice(0)
+
+  for (let time = 26; interaction.inertia.active && time < 5000; time += 16) {
+    tick(time)
+    maxX = Math.max(maxX, events[events.length - 1].page.x)
+  }
+
+  t.ok(maxX > 150 && maxX < 170, 'overshoot past the end target is limited by overscroll')
+  t.deepEqual(
+    events.slice(-2).map((e) => [e.type, e.page.x]),
+    [['dragmove', 150], ['dragend', 150]],
+    'spring settles at the end target')
+  t.notOk(interaction.inertia.active || interaction.simulation, 'spring ends')
+
+  // smooth end with the spring model
+  restrictX.methods.set = ({ coords: modifierCoords }) => { modifierCoords.x = Math.max(modifierCoords.x, 6) }
+  downStartMoveUp({ x: 1, y: 0, dt: 1000 })
+
+  t.ok(interaction.inertia.active && interaction.inertia.smoothEnd, 'smooth end uses the spring when not thrown')
+
+  events.splice(0)
+  tick(5000)
+
+  t.deepEqual(events.map((e) => [e.type, e.page.x]), [['dragmove', 6], ['dragend', 6]], 'smooth end spring ends at the modified coords')
+
+  // custom easing of smooth end
+  interactable.draggable({ inertia: { enabled: true, model: 'decay', easing: (progress: number) => progress } })
+  downStartMoveUp({ x: 1, y: 0, dt: 1000 })
+
+  raf.cancel(interaction.inertia.timeout)
+  coords.timeStamp = 1150
+  inertia.smothEndTick(interaction)
+
+  t.equal(interaction.inertia.sx, 2.5, 'smooth end uses the easing function')
+
+  interaction.stop()
+  t.end()
+
+  function downStartMoveUp ({ x, y, dt }) {
+    coords.timeStamp = 0
+    interaction.stop()
+
+    Object.assign(coords.page, { x: 0, y: 0 })
+    interaction.pointerDown(event, event, element)
+    interaction.start({ name: 'drag' }, interactable, element)
+
+    Object.assign(coords.page, { x, y })
+    coords.timeStamp = dt
+    interaction.pointerMove(event, event, element)
+    interaction.pointerUp(event, event, element, element)
+  }
+
+  // run the animation frame manually at the given time
+  function tick (time: number) {
+    raf.cancel(interaction.inertia.timeout)
+    coords.timeStamp = time
+    inertia.springTick(interaction)
+  }
+})
+
+test('drag revert', (t) => {
+  const {
+    scope,
+    interaction,
+    target,
+    interactable,
+    coords,
+    event,
+  } = helpers.testEnv({ plugins: [inertia, drag, drop] })
+  const element = target as HTMLElement
+  const dropElement = scope.document.createElement('div')
+  const dropzone = scope.interactables.new(dropElement).dropzone({})
+  const events: Interact.InteractEvent[] = []
+  let now = 0
+
+  scope.document.body.appendChild(dropElement)
+  dropzone.rectChecker(() => ({ left: 200, top: 0, right: 300, bottom: 100 }))
+  coords.client = coords.page
+  scope.now = () => now
+  interactable.draggable({ revert: true })
+  interactable.on('dragmove dragrevertstart dragrevertend dragresume dragend', (e) => events.push(e))
+
+  // drop outside of the dropzone
+  downStartMoveUp({ x: 100, y: 50 })
+
+  t.deepEqual(events.map((e) => e.type), ['dragmove', 'dragrevertstart'], 'revert starts without a drop')
+  t.ok(interaction.interacting() && interaction.inertia.revert, 'drag continues while reverting')
+
+  events.splice(0)
+  tick(1150)
+  tick(1300)
+
+  t.deepEqual(
+    events.map((e) => [e.type, e.page.x, e.page.y]),
+    [
+      ['dragmove', 25, 12.5],
+      ['dragmove', 0, 0],
+      ['dragrevertend', 0, 0],
+      ['dragend', 0, 0],
+    ],
+    'drag is animated back to the start coords')
+  t.notOk(interaction.interacting() || interaction.simulation, 'drag ends after the revert')
+
+  // drop in the dropzone
+  downStartMoveUp({ x: 250, y: 50 })
+
+  t.deepEqual(events.map((e) => e.type), ['dragmove', 'dragend'], 'no revert with a drop')
+
+  // the dropzone rejects the drop
+  dropzone.dropzone({ checker: () => false })
+  downStartMoveUp({ x: 250, y: 50 })
+
+  t.deepEqual(events.map((e) => e.type), ['dragmove', 'dragrevertstart'], 'revert starts when the drop is rejected')
+
+  // resume the reverting drag
+  events.splice(0)
+  tick(1100)
+  interaction.pointerDown(event, event, element)
+
+  t.deepEqual(events.map((e) => e.type), ['dragmove', 'dragresume'], 'revert can be resumed')
+  t.ok(interaction.interacting() && !interaction.simulation && !interaction.inertia.revert, 'drag continues after resume')
+
+  interaction.stop()
+  interactable.draggable({ revert: false })
+  dropzone.dropzone({ checker: null })
+  downStartMoveUp({ x: 100, y: 50 })
+
+  t.deepEqual(events.map((e) => e.type), ['dragmove', 'dragend'], 'no revert when disabled')
+
+  dropzone.unset()
+  scope.document.body.removeChild(dropElement)
+  t.end()
+
+  function downStartMoveUp ({ x, y }) {
+    events.splice(0)
+    interaction.stop()
+    now = 0
+
+    Object.assign(coords.page, { x: 0, y: 0 })
+    interaction.pointerDown(event, event, element)
+    interaction.start({ name: 'drag' }, interactable, element)
+
+    Object.assign(coords.page, { x, y })
+    now = coords.timeStamp = 1000
+    interaction.pointerMove(event, event, element)
+    interaction.pointerUp(event, event, element, element)
+  }
+
+  // run the animation frame manually at the given time
+  function tick (time: number) {
+    raf.cancel(interaction.inertia.timeout)
+    now = time
+    inertia.revertTick(interaction, scope)
+  }
+})
@@ -8,6 +8,8 @@ import * as modifiers from '@interactjs/modifiers'
 import modifiersBase from '@interactjs/modifiers/base'
 import * as pointerEvents from '@interactjs/pointer-events'
 import reflow from '@interactjs/reflow'
+import simulate from '@interactjs/simulate'
+import sortable from '@interactjs/sortable'
 import interact, { scope } from './interact'
 
 export function init (window: Window): typeof interact {
@@ -34,6 +36,9 @@ export function init (window: Window): typeof interact {
   for (const type in modifiers) {
     const { _defaults, _methods } = modifiers[type]
 
+    // skip makeModifier
+    if (!_defaults) { continue }
+
     _defaults._methods = _methods
     scope.defaults.perAction[type] = _defaults
   }
@@ -44,9 +49,15 @@ export function init (window: Window): typeof interact {
   // reflow
   interact.use(reflow)
 
+  // sortable lists
+  interact.use(sortable)
+
   // eslint-disable-next-line no-undef
   if (process.env.NODE_ENV !== 'production') {
     interact.use(devTools)
+
+    // scripted pointer sequences for tests
+    interact.use(simulate)
   }
 
   return interact
@@ -65,4 +76,6 @@ export {
   modifiersBase as modifiers,
   pointerEvents,
   reflow,
+  simulate,
+  sortable,
 }
@@ -0,0 +1,86 @@
+import test from '@interactjs/_dev/test/test'
+import resize from '@interactjs/actions/resize'
+import * as helpers from '@interactjs/core/tests/_helpers'
+import pointerUtils, { MockCoords } from '@interactjs/utils/pointerUtils'
+import modifiersBase from './base'
+import { aspectRatio, restrictSize } from './index'
+
+test('modifiers/aspectRatio', (t) => {
+  const scope: Interact.Scope = helpers.mockScope()
+
+  // modifiers are installed before actions in the bundle
+  scope.usePlugin(modifiersBase)
+  scope.usePlugin(resize)
+
+  const { document: doc } = scope
+  const element = doc.createElement('div')
+  const interactable = scope.interactables.new(element)
+  const coords = pointerUtils.newCoords() as MockCoords
+  const event = pointerUtils.coordsToEvent(coords)
+  const interaction = scope.interactions.new({})
+  let lastEvent
+
+  doc.body.appendChild(element)
+  interactable.rectChecker(() => ({ left: 0, top: 0, right: 100, bottom: 50 }))
+  interactable.on('resizemove', (e) => { lastEvent = e })
+
+  function resizeTo (edges: Interact.EdgeOptions, down: [number, number], move: [number, number], modifier) {
+    interactable.resizable({ edges, modifiers: [modifier] })
+
+    coords.page = coords.client = { x: down[0], y: down[1] }
+    interaction.pointerDown(event, event, element)
+    interaction.start({ name: 'resize', edges }, interactable, element)
+
+    coords.page = coords.client = { x: move[0], y: move[1] }
+    interaction.pointerMove(event, event, element)
+    interaction.stop()
+
+    const { left, top, right, bottom } = lastEvent.rect
+
+    return { left, top, right, bottom }
+  }
+
+  t.deepEqual(
+    resizeTo({ right: true }, [100, 25], [140, 25], aspectRatio()),
+    { left: 0, top: 0, right: 140, bottom: 70 },
+    'ratio of the start rect is preserved by moving the bottom edge')
+
+  t.deepEqual(
+    resizeTo({ right: true }, [100, 25], [140, 25], aspectRatio({ anchor: 'bottom' })),
+    { left: 0, top: -20, right: 140, bottom: 50 },
+    'anchor sets the edge which stays in place')
+
+  t.deepEqual(
+    resizeTo({ bottom: true }, [50, 50], [50, 60], aspectRatio({ anchor: 'right' })),
+    { left: -20, top: 0, right: 100, bottom: 60 },
+    'anchor of the x axis')
+
+  t.deepEqual(
+    resizeTo({ left: true }, [0, 25], [-20, 25], aspectRatio({ ratio: 1 })),
+    { left: -20, top: -70, right: 100, bottom: 50 },
+    'explicit ratio')
+
+  t.deepEqual(
+    resizeTo({ right: true }, [100, 25], [140, 25], aspectRatio({ equalDelta: true })),
+    { left: 0, top: 0, right: 140, bottom: 90 },
+    'equalDelta changes the width and height by the same amount')
+
+  t.deepEqual(
+    resizeTo({ right: true }, [100, 25], [300, 25], aspectRatio({
+      modifiers: [restrictSize({ max: { width: 200, height: 80 } })],
+    })),
+    { left: 0, top: 0, right: 160, bottom: 80 },
+    'max size of the most limited axis is applied with the ratio')
+
+  t.deepEqual(
+    resizeTo({ right: true }, [100, 25], [40, 25], aspectRatio({
+      modifiers: [restrictSize({ min: { width: 60, height: 40 } })],
+    })),
+    { left: 0, top: 0, right: 80, bottom: 40 },
+    'min size is applied with the ratio')
+
+  interactable.unset()
+  doc.body.removeChild(element)
+
+  t.end()
+})
@@ -0,0 +1,176 @@
+// This module adds a modifier which keeps the aspect ratio of targets that are
+// being resized. Restrictions given as its own `modifiers` are applied with
+// the ratio so that they don't break it.
+//
+// interact(target).resizable({
+//   edges: { left: true, right: true, bottom: true },
+//   modifiers: [
+//     interact.modifiers.aspectRatio({
+//       ratio: 16 / 9,
+//       anchor: 'top',
+//       modifiers: [
+//         interact.modifiers.restrictSize({ max: { width: 800, height: 800 } }),
+//       ],
+//     }),
+//   ],
+// })
+
+import extend from '@interactjs/utils/extend'
+import { applyToPoint } from '@interactjs/utils/matrix'
+import { ModifierOptions, prepareStates, setAll, startAll } from './base'
+
+export interface AspectRatioOptions {
+  enabled?: boolean
+  // width / height or 'preserve' to keep the ratio of the start rect
+  ratio?: number | 'preserve'
+  // change the width and the height by the same amount instead
+  equalDelta?: boolean
+  // the edge which stays in place when resizing from an edge of the other
+  // axis. e.g. 'bottom' moves the top edge when resizing from the left or
+  // right edges. 'top left' sets the anchor of both axes
+  anchor?: string
+  // modifiers to apply before the ratio is corrected
+  modifiers?: Array<{ options: ModifierOptions, methods: any, name?: string }>
+  endOnly?: boolean
+}
+
+function start (arg) {
+  const { interaction, rect, state } = arg
+  const { options } = state
+  const edges = interaction.prepared.name === 'resize' && interaction.prepared.edges
+
+  state.edges = null
+
+  if (!edges) { return }
+
+  const { localTransform } = interaction
+  const linkedEdges = getLinkedEdges(edges, options.anchor || '')
+
+  state.edges = linkedEdges
+  state.ratio = options.ratio === 'preserve' || !options.ratio ? rect.width / rect.height : options.ratio
+  state.startRect = extend({}, rect)
+  state.startCoords = localTransform
+    ? applyToPoint(localTransform.inverse, interaction.coords.start.page)
+    : extend({}, interaction.coords.start.page)
+  state.xIsPrimaryAxis = !!(edges.left || edges.right)
+
+  // the resize action moves the linked edges with the pointer
+  interaction.prepared._linkedEdges = linkedEdges
+
+  state.states = prepareStates(options.modifiers || [])
+
+  startAll(extend(extend({}, arg), { states: state.states }))
+}
+
+function set (arg) {
+  const { interaction, coords, state } = arg
+
+  if (!state.edges) { return null }
+
+  setAspect(state, state.xIsPrimaryAxis, coords)
+
+  if (!state.states.length) { return null }
+
+  // apply the modifiers to the corrected coords
+  const { localTransform } = interaction
+  const pageCoords = localTransform ? applyToPoint(localTransform.matrix, coords) : extend({}, coords)
+  const result = setAll(extend(extend({}, arg), {
+    states: state.states,
+    pageCoords,
+    prevCoords: pageCoords,
+    rect: null,
+    skipModifiers: 0,
+  }))
+
+  if (result.changed) {
+    const resultCoords = localTransform ? applyToPoint(localTransform.inverse, result.coords) : result.coords
+    const width = getWidth(state, coords, true)
+    const xIsLimitedMore = Math.abs(getWidth(state, resultCoords, true) - width) >=
+      Math.abs(getWidth(state, resultCoords, false) - width)
+
+    // correct the ratio again using the axis that was limited the most so
+    // that the rect is within the limits of both axes
+    setAspect(state, xIsLimitedMore, resultCoords)
+    coords.x = resultCoords.x
+    coords.y = resultCoords.y
+  }
+
+  return result.eventProps
+}
+
+function stop (arg) {
+  const { state } = arg
+
+  for (const subState of state.states || []) {
+    if (subState.methods.stop) {
+      subState.methods.stop(extend(extend({}, arg), { state: subState }))
+    }
+  }
+}
+
+/**
+ * Link an edge of the other axis to edges which are resized alone. The anchor
+ * sets which edge stays in place
+ */
+function getLinkedEdges (edges, anchor: string) {
+  const linkedEdges = extend({}, edges)
+  const hasAnchor = (edge: string) => anchor.split(/\s+/).indexOf(edge) !== -1
+
+  if ((edges.left || edges.right) && !(edges.top || edges.bottom)) {
+    linkedEdges.top = hasAnchor('bottom') || (!hasAnchor('top') && edges.left)
+    linkedEdges.bottom = !linkedEdges.top
+  }
+  else if ((edges.top || edges.bottom) && !(edges.left || edges.right)) {
+    linkedEdges.left = hasAnchor('right') || (!hasAnchor('left') && edges.top)
+    linkedEdges.right = !linkedEdges.left
+  }
+
+  return linkedEdges
+}
+
+// the width of the rect with the pointer at coords, from the x or y coord
+function getWidth (state, coords: Interact.Point, fromX: boolean) {
+  const { edges, ratio, startRect, startCoords } = state
+
+  if (fromX) {
+    return startRect.width + (coords.x - startCoords.x) * (edges.left ? -1 : 1)
+  }
+
+  const heightDelta = (coords.y - startCoords.y) * (edges.top ? -1 : 1)
+
+  return state.options.equalDelta
+    ? startRect.width + heightDelta
+    : (startRect.height + heightDelta) * ratio
+}
+
+// set the coord of the secondary axis from the coord of the primary axis
+function setAspect (state, xIsPrimaryAxis: boolean, coords: Interact.Point) {
+  const { edges, ratio, startRect, startCoords } = state
+  const width = getWidth(state, coords, xIsPrimaryAxis)
+
+  if (xIsPrimaryAxis) {
+    const height = state.options.equalDelta
+      ? startRect.height + width - startRect.width
+      : width / ratio
+
+    coords.y = startCoords.y + (height - startRect.height) * (edges.top ? -1 : 1)
+  }
+  else {
+    coords.x = startCoords.x + (width - startRect.width) * (edges.left ? -1 : 1)
+  }
+}
+
+const aspectRatio = {
+  start,
+  set,
+  stop,
+  defaults: {
+    enabled: false,
+    ratio: 'preserve',
+    equalDelta: false,
+    anchor: null,
+    modifiers: [],
+  } as AspectRatioOptions,
+}
+
+export default aspectRatio
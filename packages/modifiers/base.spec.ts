@@ -1,7 +1,9 @@
 import test from '@interactjs/_dev/test/test'
 import * as helpers from '@interactjs/core/tests/_helpers'
 import * as utils from '@interactjs/utils'
+import { grid } from '@interactjs/utils/snappers'
 import modifiersBase from './base'
+import { restrict, snap } from './index'
 
 test('modifiers/base', (t) => {
   const {
@@ -154,6 +156,150 @@ test('modifiers/base', (t) => {
   t.end()
 })
 
+test('modifiers/base coordinateSpace', (t) => {
+  const {
+    scope,
+    target,
+    interaction,
+    interactable,
+    coords,
+    event,
+  } = helpers.testEnv({ plugins: [modifiersBase], rect: { left: 0, top: 0, right: 100, bottom: 100 } })
+  const element = target as Element
+  const events = []
+
+  scope.actions.eventTypes.push('TESTstart', 'TESTmove', 'TESTend')
+  interactable.options.TEST = {
+    enabled: true,
+    modifiers: [
+      snap({ targets: [grid({ x: 10, y: 10 })] }),
+      restrict({ restriction: { left: 0, top: 0, right: 40, bottom: 40 } }),
+    ],
+  }
+  interactable.on('TESTstart TESTmove', (e) => events.push(e))
+
+  // the page coords of a container scaled by 2
+  interactable.coordinateSpace({ a: 0.5, b: 0, c: 0, d: 0.5, e: 0, f: 0 })
+
+  coords.page = { x: 20, y: 20 }
+  coords.client = { x: 20, y: 20 }
+  interaction.pointerDown(event, event, element)
+  interaction.start({ name: 'TEST' }, interactable, element)
+
+  t.deepEqual(
+    [events[0].page, events[0].rect],
+    [{ x: 10, y: 10 }, { left: 0, top: 0, right: 50, bottom: 50, width: 50, height: 50 }],
+    'start event coords and rect are in the coordinate space')
+
+  coords.page = { x: 46, y: 30 }
+  coords.client = { x: 46, y: 30 }
+  interaction.pointerMove(event, event, element)
+
+  t.deepEqual(
+    [events[1].page, events[1].delta],
+    [{ x: 20, y: 20 }, { x: 10, y: 10 }],
+    'snap grid is in the coordinate space')
+
+  coords.page = { x: 100, y: 100 }
+  coords.client = { x: 100, y: 100 }
+  interaction.pointerMove(event, event, element)
+
+  t.deepEqual(
+    events[2].page,
+    { x: 40, y: 40 },
+    'restriction rect is in the coordinate space')
+
+  t.deepEqual(
+    interaction.coords.cur.page,
+    { x: 100, y: 100 },
+    'interaction coords are restored to page coords')
+
+  interaction.stop()
+
+  t.end()
+})
+
+test('modifiers/base custom modifiers', (t) => {
+  const {
+    scope,
+    target,
+    interaction,
+    interactable,
+    coords,
+    event,
+  } = helpers.testEnv({ plugins: [modifiersBase], rect: { left: 0, top: 0, right: 100, bottom: 100 } })
+  const element = target as Element
+  const events = []
+  const calls = []
+  const startArgs = []
+  const addX = modifiersBase.makeModifier({
+    defaults: { x: 0 },
+    start ({ state, rect, pageCoords }) {
+      calls.push(['start', state.options.x])
+      startArgs.push({ rect: { ...rect }, pageCoords: { ...pageCoords } })
+    },
+    set ({ coords: c, state }) {
+      c.x += state.options.x
+
+      return { added: state.options.x }
+    },
+    stop ({ state }) { calls.push(['stop', state.options.x]) },
+  }, 'addX')
+
+  const always = addX({ x: 1 })
+  const moveOnly = addX({ x: 10, phases: { move: true } })
+  const endOnly = addX({ x: 100, phases: { end: true } })
+  const disabled = addX({ x: 1000, enabled: false })
+
+  scope.actions.eventTypes.push('TESTstart', 'TESTmove', 'TESTend')
+  interactable.options.TEST = { enabled: true, modifiers: [always, moveOnly, endOnly, disabled] }
+  interactable.on('TESTstart TESTmove TESTend', (e) => events.push(e))
+
+  interaction.pointerDown(event, event, element)
+  interaction.start({ name: 'TEST' }, interactable, element)
+
+  t.deepEqual(calls, [['start', 1], ['start', 10], ['start', 100]], 'disabled modifiers aren\'t started')
+
+  coords.page = coords.client = { x: 20, y: 0 }
+  interaction.pointerMove(event, event, element)
+
+  t.equal(events[1].page.x, 31, 'modifiers are set in their phases')
+  t.equal(events[1].added, 10, 'props returned by set are added to events')
+  t.deepEqual(
+    interaction.modifiers.result.changes.map(({ name, index, delta, eventProps }) => [name, index, delta, eventProps]),
+    [['addX', 0, { x: 1, y: 0 }, { added: 1 }], ['addX', 1, { x: 10, y: 0 }, { added: 10 }]],
+    'changes of each modifier are in the result')
+  t.equal(events[1].modifierChanges, interaction.modifiers.result.changes, 'changes are added to events')
+
+  disabled.enable()
+  coords.page = coords.client = { x: 30, y: 0 }
+  interaction.pointerMove(event, event, element)
+
+  t.equal(events[2].page.x, 1041, 'modifiers can be enabled during an action')
+  t.deepEqual(calls[3], ['start', 1000], 'modifiers are started when they are enabled')
+  t.deepEqual(startArgs[3], startArgs[0], 'modifiers enabled during an action are started with the start rect and coords')
+  t.deepEqual(startArgs[3].pageCoords, { x: 0, y: 0 }, 'start coords are not the current coords')
+
+  moveOnly.disable()
+  interaction.end(event)
+
+  t.deepEqual(
+    events.slice(3).map((e) => [e.type, e.page.x]),
+    [['TESTmove', 1131], ['TESTend', 1131]],
+    'end phase modifiers are set before the action ends')
+  t.deepEqual(
+    calls.slice(4),
+    [['stop', 1], ['stop', 10], ['stop', 100], ['stop', 1000]],
+    'started modifiers are stopped')
+
+  const options = { phases: { inertia: true } }
+
+  t.ok(modifiersBase.shouldDo(options, true, true), 'inertia phase for inertia end targets')
+  t.notOk(modifiersBase.shouldDo(options, true, false), 'not set in the end phase')
+
+  t.end()
+})
+
 const targetModifier = {
   start ({ state }) {
     state.options.started = true
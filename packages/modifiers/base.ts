@@ -1,5 +1,7 @@
 import { Scope } from '@interactjs/core/scope'
 import extend from '@interactjs/utils/extend'
+import * as is from '@interactjs/utils/is'
+import { applyToPoint, applyToVector } from '@interactjs/utils/matrix'
 
 declare module '@interactjs/core/scope' {
   interface Scope {
@@ -23,6 +25,8 @@ declare module '@interactjs/core/Interaction' {
           bottom: number
         }
         coords: Interact.Point
+        eventProps: { [key: string]: any } // props that modifiers add to the InteractEvent
+        changes: ModifierChange[]          // what each modifier that was set changed
         changed: boolean
       }
       [index: string]: any
@@ -30,6 +34,81 @@ declare module '@interactjs/core/Interaction' {
   }
 }
 
+export type ModifierPhase = 'start' | 'move' | 'end' | 'inertia'
+
+export interface ModifierOptions {
+  enabled?: boolean
+  endOnly?: boolean
+  setStart?: boolean
+  // the phases in which the modifier is set. Overrides endOnly and setStart
+  phases?: { [phase in ModifierPhase]?: boolean }
+  [index: string]: any
+}
+
+export interface ModifierState<Options extends ModifierOptions = ModifierOptions> {
+  options: Options
+  methods: ModifierMethods
+  index: number
+  name?: string
+  started?: boolean
+  [index: string]: any
+}
+
+export interface ModifierArg<State extends ModifierState = ModifierState> {
+  interaction: Interact.Interaction
+  interactable: Interact.Interactable
+  element: Interact.EventTarget
+  rect: Interact.Rect
+  pageCoords: Interact.Point
+  coords: Interact.Point           // the coords to modify in the local space of the target
+  startOffset: Interact.Rect       // the distance from the pointer to the edges of the start rect
+  phase: Interact.EventPhase
+  preEnd: boolean
+  requireEndOnly: boolean
+  state: State
+  states: ModifierState[]
+  [index: string]: any
+}
+
+export interface ModifierMethods<State extends ModifierState = ModifierState> {
+  start? (arg: ModifierArg<State>): void
+  // change arg.coords and optionally return props to add to the action event
+  set? (arg: ModifierArg<State>): void | { [key: string]: any }
+  // return false to prevent the action from ending
+  beforeEnd? (arg: ModifierArg<State>): void | false
+  stop? (arg: ModifierArg<State>): void
+}
+
+export interface ModifierModule<
+  Defaults extends ModifierOptions = ModifierOptions,
+  State extends ModifierState = ModifierState
+> extends ModifierMethods<State> {
+  defaults: Defaults
+  [index: string]: any
+}
+
+export interface Modifier<Options extends ModifierOptions = ModifierOptions> {
+  options: Options
+  methods: ModifierMethods
+  name?: string
+  enable: () => Modifier<Options>
+  disable: () => Modifier<Options>
+}
+
+export interface ModifierChange {
+  name: string
+  index: number
+  delta: Interact.Point                  // the change of the page coords
+  rectDelta: Interact.Rect               // the change of each edge of the rect
+  eventProps: { [key: string]: any }
+}
+
+declare module '@interactjs/core/InteractEvent' {
+  interface InteractEvent {
+    modifierChanges?: ModifierChange[]
+  }
+}
+
 declare module '@interactjs/core/defaultOptions' {
   interface PerActionDefaults {
     modifiers?: Array<ReturnType<typeof makeModifier>>
@@ -50,6 +129,8 @@ function install (scope: Scope) {
       offsets    : {},
       states   : null,
       result     : null,
+      startRect  : null,
+      startPageCoords: null,
     }
   })
 
@@ -70,6 +151,10 @@ function install (scope: Scope) {
 
   interactions.signals.on('before-action-end', beforeEnd)
   interactions.signals.on('stop', stop)
+
+  for (const phase of ['start', 'move', 'end']) {
+    interactions.signals.on(`action-${phase}`, addEventProps)
+  }
 }
 
 function start (
@@ -86,10 +171,16 @@ function start (
   if (!('width'  in rect)) { rect.width  = rect.right  - rect.left }
   if (!('height' in rect)) { rect.height = rect.bottom - rect.top  }
 
-  const startOffset = getRectOffset(rect, pageCoords)
+  const { localTransform } = interaction
+  const startOffset = getRectOffset(rect, localTransform
+    ? applyToPoint(localTransform.inverse, pageCoords)
+    : pageCoords)
 
   interaction.modifiers.startOffset = startOffset
   interaction.modifiers.startDelta = { x: 0, y: 0 }
+  // for modifiers which are started after they're enabled during the action
+  interaction.modifiers.startRect = extend({}, rect)
+  interaction.modifiers.startPageCoords = extend({}, pageCoords)
 
   const arg: Partial<Interact.SignalArg> = {
     interaction,
@@ -117,13 +208,23 @@ function start (
 
 export function startAll (arg) {
   for (const state of arg.states) {
-    if (state.methods.start) {
-      arg.state = state
-      state.methods.start(arg)
+    if (!state.options || state.options.enabled !== false) {
+      startState(arg, state)
     }
   }
 }
 
+// modifiers which are disabled at the start of an action are started when
+// they're enabled
+function startState (arg, state: ModifierState) {
+  state.started = true
+
+  if (state.methods.start) {
+    arg.state = state
+    state.methods.start(arg)
+  }
+}
+
 export function setAll (arg: Partial<Interact.SignalArg>) {
   const {
     interaction,
@@ -137,11 +238,19 @@ export function setAll (arg: Partial<Interact.SignalArg>) {
     rect,
     skipModifiers,
   } = arg
+  const { localTransform } = interaction
+  const pageCoords = arg.pageCoords
+  const modifierPhase = getModifierPhase(arg)
 
   const states = skipModifiers
     ? arg.states.slice(modifiersState.skip)
     : arg.states
 
+  // modifiers are applied in the local space of transformed targets
+  if (localTransform) {
+    arg.pageCoords = applyToPoint(localTransform.inverse, pageCoords)
+  }
+
   arg.coords = extend({}, arg.pageCoords)
   arg.rect = extend({}, rect)
 
@@ -154,6 +263,8 @@ export function setAll (arg: Partial<Interact.SignalArg>) {
       bottom: 0,
     },
     coords: arg.coords,
+    eventProps: {},
+    changes: [] as ModifierChange[],
     changed: true,
   }
 
@@ -161,10 +272,40 @@ export function setAll (arg: Partial<Interact.SignalArg>) {
     const { options } = state
 
     if (!state.methods.set ||
-      !shouldDo(options, preEnd, requireEndOnly, phase)) { continue }
+      !shouldDo(options, preEnd, requireEndOnly, phase, modifierPhase)) { continue }
+
+    // modifiers which are enabled during an action are started with the rect
+    // and coords of the start of the action like the others
+    if (!state.started) {
+      const startArg = extend({
+        startOffset: modifiersState.startOffset,
+        interactable: interaction.interactable,
+        element: interaction.element,
+      }, arg)
+
+      startArg.rect = extend({}, modifiersState.startRect || rect)
+      startArg.pageCoords = extend({}, modifiersState.startPageCoords || pageCoords)
+      startState(startArg, state)
+    }
+
+    const stateCoords = extend({}, arg.coords)
+    const stateRect = extend({}, arg.rect)
 
     arg.state = state
-    state.methods.set(arg)
+
+    // modifiers can return props to be added to the InteractEvent
+    const eventProps = state.methods.set(arg)
+
+    if (is.object(eventProps)) {
+      extend(result.eventProps, eventProps)
+    }
+
+    result.changes.push(getChange(state, stateCoords, stateRect, arg, eventProps, localTransform))
+  }
+
+  if (localTransform) {
+    extend(arg.coords, applyToPoint(localTransform.matrix, arg.coords))
+    arg.pageCoords = pageCoords
   }
 
   result.delta.x = arg.coords.x - arg.pageCoords.x
@@ -240,7 +381,9 @@ function beforeEnd (arg): void | false {
     }
 
     // if the endOnly option is true for any modifier
-    if (!didPreEnd && shouldDo(options, true, true)) {
+    if (!didPreEnd && (options && options.phases
+      ? options.enabled !== false && options.phases.end && !options.phases.move
+      : shouldDo(options, true, true))) {
       // fire a move event at the modified coordinates
       interaction.move({ event, preEnd: true })
       didPreEnd = true
@@ -267,7 +410,7 @@ function stop (arg) {
   for (const state of states) {
     modifierArg.state = state
 
-    if (state.methods.stop) { state.methods.stop(modifierArg) }
+    if (state.started && state.methods.stop) { state.methods.stop(modifierArg) }
   }
 
   arg.interaction.modifiers.states = null
@@ -279,7 +422,6 @@ function getModifierList (interaction, registeredModifiers) {
 
   if (actionModifiers && actionModifiers.length) {
     return actionModifiers
-      .filter((modifier) => !modifier.options || modifier.options.enabled !== false)
       .map((modifier) => {
         if (!modifier.methods && modifier.type) {
           return registeredModifiers[modifier.type](modifier)
@@ -307,9 +449,7 @@ export function prepareStates (modifierList) {
   for (let index = 0; index < modifierList.length; index++) {
     const { options, methods, name } = modifierList[index]
 
-    if (options && options.enabled === false) { continue }
-
-    const state = {
+    const state: ModifierState = {
       options,
       methods,
       index,
@@ -371,7 +511,24 @@ function restoreCoords ({ interaction: { coords, rect, modifiers } }: Interact.S
   rect.bottom -= rectDelta.bottom
 }
 
-function shouldDo (options, preEnd?: boolean, requireEndOnly?: boolean, phase?: string) {
+function addEventProps ({ interaction, iEvent }: Interact.SignalArg) {
+  const { result } = interaction.modifiers
+
+  if (!result) { return }
+
+  if (result.eventProps) {
+    extend(iEvent, result.eventProps)
+  }
+
+  iEvent.modifierChanges = result.changes
+}
+
+function shouldDo (options, preEnd?: boolean, requireEndOnly?: boolean, phase?: Interact.EventPhase, modifierPhase?: ModifierPhase) {
+  if (options && options.phases) {
+    return options.enabled !== false &&
+      !!options.phases[modifierPhase || getModifierPhase({ phase, preEnd, requireEndOnly })]
+  }
+
   return options
     ? options.enabled !== false &&
       (preEnd || !options.endOnly) &&
@@ -380,6 +537,47 @@ function shouldDo (options, preEnd?: boolean, requireEndOnly?: boolean, phase?:
     : !requireEndOnly
 }
 
+/**
+ * Get the phase that modifiers are being set for. `'end'` is the last move
+ * before the action ends and `'inertia'` is the end target and the movement
+ * of inertia and smooth end
+ */
+function getModifierPhase ({ interaction, phase, preEnd, requireEndOnly }: Partial<Interact.SignalArg>): ModifierPhase {
+  if (phase === 'start') { return 'start' }
+
+  if (preEnd) { return requireEndOnly ? 'inertia' : 'end' }
+
+  return interaction && interaction.simulation ? 'inertia' : 'move'
+}
+
+function getChange (
+  { name, index }: ModifierState,
+  prevCoords: Interact.Point,
+  prevRect: Interact.Rect,
+  { coords, rect }: Partial<Interact.SignalArg>,
+  eventProps,
+  localTransform,
+): ModifierChange {
+  let delta = { x: coords.x - prevCoords.x, y: coords.y - prevCoords.y }
+
+  if (localTransform) {
+    delta = applyToVector(localTransform.matrix, delta)
+  }
+
+  return {
+    name,
+    index,
+    delta,
+    rectDelta: {
+      left  : rect ? rect.left   - prevRect.left   : 0,
+      right : rect ? rect.right  - prevRect.right  : 0,
+      top   : rect ? rect.top    - prevRect.top    : 0,
+      bottom: rect ? rect.bottom - prevRect.bottom : 0,
+    },
+    eventProps: is.object(eventProps) ? eventProps : {},
+  }
+}
+
 function getRectOffset (rect, coords) {
   return rect
     ? {
@@ -396,16 +594,35 @@ function getRectOffset (rect, coords) {
     }
 }
 
-function makeModifier<Options extends { [key: string]: any }> (module: { defaults: Options, [key: string]: any }, name?: string) {
+/**
+ * Create a modifier function from a module with `defaults` and `start`, `set`,
+ * `beforeEnd` and `stop` methods. The returned function takes options and
+ * returns a modifier for the `modifiers` array of action options.
+ *
+ * ```js
+ * const round = interact.modifiers.makeModifier({
+ *   defaults: { step: 1 },
+ *   set ({ coords, state }) {
+ *     coords.x = Math.round(coords.x / state.options.step) * state.options.step
+ *   },
+ * }, 'round')
+ *
+ * interact(target).draggable({ modifiers: [round({ step: 10 })] })
+ * ```
+ */
+function makeModifier<
+  Defaults extends ModifierOptions,
+  State extends ModifierState<Defaults> = ModifierState<Defaults>
+> (module: ModifierModule<Defaults, State>, name?: string) {
   const { defaults } = module
-  const methods = {
+  const methods: ModifierMethods = {
     start: module.start,
     set: module.set,
     beforeEnd: module.beforeEnd,
     stop: module.stop,
   }
 
-  const modifier = (options?: Partial<Options>) => {
+  const modifier = (options?: Partial<Defaults>): Modifier<Defaults> => {
     options = options || {}
 
     // add missing defaults to options
@@ -417,7 +634,23 @@ function makeModifier<Options extends { [key: string]: any }> (module: { default
       }
     }
 
-    return { options, methods, name }
+    const result: Modifier<Defaults> = {
+      options: options as Defaults,
+      methods,
+      name,
+      // the options are shared with the modifier's state so it can be enabled
+      // and disabled during an action
+      enable: () => {
+        options.enabled = true
+        return result
+      },
+      disable: () => {
+        options.enabled = false
+        return result
+      },
+    }
+
+    return result
   }
 
   if (typeof name === 'string') {
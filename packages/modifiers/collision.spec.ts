@@ -0,0 +1,116 @@
+import test from '@interactjs/_dev/test/test'
+import drag from '@interactjs/actions/drag'
+import * as helpers from '@interactjs/core/tests/_helpers'
+import pointerUtils, { MockCoords } from '@interactjs/utils/pointerUtils'
+import modifiersBase from './base'
+import { collision } from './index'
+
+test('modifiers/collision', (t) => {
+  const scope: Interact.Scope = helpers.mockScope()
+
+  scope.usePlugin(drag)
+  scope.usePlugin(modifiersBase)
+
+  const { document: doc } = scope
+  const [element, obstacleA, obstacleB] = [0, 1, 2].map(() => {
+    const el = doc.createElement('div')
+
+    el.className = 'obstacle'
+    doc.body.appendChild(el)
+
+    return el
+  })
+  const rects = new Map<Element, Interact.Rect>([
+    [element, { left: 0, top: 0, right: 50, bottom: 50 }],
+    [obstacleA, { left: 100, top: 0, right: 150, bottom: 50 }],
+    [obstacleB, { left: 150, top: 0, right: 200, bottom: 50 }],
+  ])
+  const interactable = scope.interactables.new(element)
+  const coords = pointerUtils.newCoords() as MockCoords
+  const event = pointerUtils.coordsToEvent(coords)
+  const interaction = scope.interactions.new({})
+  let lastEvent
+
+  interactable.rectChecker((el) => ({ ...rects.get(el) }))
+  interactable.on('dragstart dragmove', (e) => { lastEvent = e })
+
+  function dragTo (...points: Array<[number, number]>) {
+    coords.page = coords.client = { x: 10, y: 10 }
+    interaction.pointerDown(event, event, element)
+    interaction.start({ name: 'drag' }, interactable, element)
+
+    for (const [x, y] of points) {
+      coords.page = coords.client = { x, y }
+      interaction.pointerMove(event, event, element)
+    }
+
+    return lastEvent
+  }
+
+  interactable.draggable({ modifiers: [collision({ obstacles: '.obstacle' })] })
+
+  let dragEvent = dragTo([90, 10])
+
+  t.deepEqual(
+    dragEvent.page,
+    { x: 60, y: 10 },
+    'element is stopped at the first obstacle')
+  t.deepEqual(
+    dragEvent.collision.colliding.map((o) => o.element),
+    [obstacleA],
+    'colliding obstacles are reported')
+  t.notOk(
+    dragEvent.collision.colliding.some((o) => o.element === element),
+    'the target is not an obstacle')
+
+  dragEvent = dragTo([90, 10], [90, 80])
+
+  t.deepEqual(dragEvent.page, { x: 60, y: 80 }, 'element slides along obstacles')
+  t.deepEqual(dragEvent.collision.colliding.map((o) => o.element), [obstacleA], 'obstacle in the way of the x axis')
+
+  dragEvent = dragTo([90, 80], [250, 10])
+
+  t.deepEqual(dragEvent.page, { x: 250, y: 10 }, 'element can move past obstacles')
+
+  interaction.stop()
+
+  // push mode with obstacle rects from a function
+  interactable.draggable({
+    modifiers: [collision({
+      mode: 'push',
+      obstacles: () => [obstacleA, obstacleB, { x: 0, y: 100, width: 50, height: 50 }],
+    })],
+  })
+
+  dragEvent = dragTo([70, 10])
+
+  t.deepEqual(dragEvent.page, { x: 70, y: 10 }, 'element isn\'t stopped in push mode')
+  t.deepEqual(
+    dragEvent.collision.displaced.map(({ element: el, offset }) => [el, offset]),
+    [[obstacleA, { x: 10, y: 0 }], [obstacleB, { x: 10, y: 0 }]],
+    'overlapped obstacles and the obstacles they overlap are displaced')
+  t.deepEqual(
+    dragEvent.collision.displaced[1].rect,
+    { left: 160, top: 0, right: 210, bottom: 50, x: 160, y: 0, width: 50, height: 50 },
+    'displaced obstacle rect is reported')
+  t.deepEqual(
+    dragEvent.collision.colliding.map((o) => o.element),
+    [obstacleA],
+    'only obstacles pushed by the target are colliding')
+
+  dragEvent = dragTo([10, 80])
+
+  t.deepEqual(
+    dragEvent.collision.displaced.map(({ element: el, offset }) => [el, offset]),
+    [[null, { x: 0, y: 20 }]],
+    'obstacle rects are pushed along the axis of least overlap')
+
+  interaction.stop()
+  interactable.unset()
+
+  for (const el of [element, obstacleA, obstacleB]) {
+    doc.body.removeChild(el)
+  }
+
+  t.end()
+})
@@ -0,0 +1,211 @@
+// This module adds a modifier which keeps a dragged or resized element from
+// overlapping a set of obstacles. It either stops the element when it hits an
+// obstacle or pushes the obstacles out of the way.
+//
+// interact(target).draggable({
+//   modifiers: [
+//     interact.modifiers.collision({
+//       obstacles: '.grid-item',
+//       mode: 'push',
+//     }),
+//   ],
+//   onmove: (event) => previewLayout(event.collision.displaced),
+// })
+
+import * as arr from '@interactjs/utils/arr'
+import extend from '@interactjs/utils/extend'
+import { applyToPoint, applyToRect, applyToVector } from '@interactjs/utils/matrix'
+import rectUtils from '@interactjs/utils/rect'
+import { getMovingEdges, getObstacles, getRect, Obstacle, ObstacleList } from './obstacles'
+
+declare module '@interactjs/core/InteractEvent' {
+  interface InteractEvent {
+    collision?: CollisionResult
+  }
+}
+
+export interface Displacement {
+  element: Element
+  rect: Interact.Rect     // the new page rect of the obstacle
+  offset: Interact.Point  // the displacement from the obstacle's start position
+}
+
+export interface CollisionResult {
+  colliding: Obstacle[]        // the obstacles that the element is touching or pushing
+  displaced: Displacement[]    // the obstacles that are pushed aside
+}
+
+export interface CollisionOptions {
+  enabled?: boolean
+  obstacles?: ObstacleList
+  mode?: 'stop' | 'push'
+  endOnly?: boolean
+}
+
+const sides = {
+  x: { min: 'left', max: 'right', crossMin: 'top', crossMax: 'bottom' },
+  y: { min: 'top', max: 'bottom', crossMin: 'left', crossMax: 'right' },
+}
+
+function start ({ interaction, rect, state }) {
+  const { localTransform } = interaction
+
+  state.startRect = extend({}, rect)
+  state.obstacles = getObstacles(state.options.obstacles, interaction)
+  // the last coords which don't collide in 'stop' mode
+  state.prevCoords = localTransform
+    ? applyToPoint(localTransform.inverse, interaction.coords.start.page)
+    : extend({}, interaction.coords.start.page)
+}
+
+function set ({ coords, interaction, state }): { collision: CollisionResult } {
+  const { options, obstacles } = state
+  const edges = getMovingEdges(interaction)
+
+  if (options.mode === 'push') {
+    const displaced = push(getRect(coords, interaction, state, edges), obstacles)
+
+    return {
+      collision: {
+        colliding: displaced.filter((d) => d.direct).map((d) => d.obstacle),
+        displaced: displaced.map((d) => toDisplacement(d.obstacle, d.rect, interaction)),
+      },
+    }
+  }
+
+  const colliding = []
+
+  for (const axis of ['x', 'y'] as Array<'x' | 'y'>) {
+    const prevRect = getRect(state.prevCoords, interaction, state, edges)
+    const delta = coords[axis] - state.prevCoords[axis]
+    const hit = getFirstHit(prevRect, obstacles, axis, delta, edges)
+
+    state.prevCoords[axis] = hit ? state.prevCoords[axis] + hit.delta : coords[axis]
+    coords[axis] = state.prevCoords[axis]
+
+    if (hit) {
+      arr.merge(colliding, hit.obstacles)
+    }
+  }
+
+  return { collision: { colliding, displaced: [] } }
+}
+
+/**
+ * Find how far the leading edge of the rect can move along the axis before it
+ * touches an obstacle which is in front of it
+ */
+function getFirstHit (rect: Interact.Rect, obstacles: Obstacle[], axis: 'x' | 'y', delta: number, edges) {
+  const { min, max, crossMin, crossMax } = sides[axis]
+  const forward = delta > 0
+  let hit: { delta: number, obstacles: Obstacle[] } = null
+
+  if (!delta || !edges[forward ? max : min]) { return null }
+
+  for (const obstacle of obstacles) {
+    const { rect: other } = obstacle
+
+    if (other[crossMin] >= rect[crossMax] || other[crossMax] <= rect[crossMin]) { continue }
+
+    const distance = forward
+      ? other[min] - rect[max]
+      : other[max] - rect[min]
+
+    // skip obstacles which are behind the edge or overlap it already
+    if (forward ? distance < 0 || distance >= delta : distance > 0 || distance <= delta) { continue }
+
+    if (!hit || distance === hit.delta) {
+      hit = { delta: distance, obstacles: (hit ? hit.obstacles : []).concat(obstacle) }
+    }
+    else if (forward ? distance < hit.delta : distance > hit.delta) {
+      hit = { delta: distance, obstacles: [obstacle] }
+    }
+  }
+
+  return hit
+}
+
+/**
+ * Move the obstacles which overlap the rect out of the way along the axis of
+ * least overlap. Pushed obstacles push other obstacles that they overlap.
+ */
+function push (rect: Interact.Rect, obstacles: Obstacle[]) {
+  const moved = obstacles.map((obstacle) => ({
+    obstacle,
+    rect: extend({}, obstacle.rect),
+    pushed: false,
+    direct: false, // pushed by the target and not by another obstacle
+  }))
+  const pushers = [rect]
+  // each obstacle can push the others once
+  const maxPushes = obstacles.length * obstacles.length + obstacles.length
+
+  for (let i = 0; i < pushers.length && i < maxPushes; i++) {
+    const pusher = pushers[i]
+
+    for (const item of moved) {
+      if (item.rect === pusher || !overlaps(pusher, item.rect)) { continue }
+
+      const offset = getPushOffset(pusher, item.rect)
+
+      item.rect.left += offset.x
+      item.rect.right += offset.x
+      item.rect.top += offset.y
+      item.rect.bottom += offset.y
+
+      item.direct = item.direct || pusher === rect
+      item.pushed = true
+
+      pushers.push(item.rect)
+    }
+  }
+
+  return moved.filter((item) => item.pushed)
+}
+
+function overlaps (a: Interact.Rect, b: Interact.Rect) {
+  return a.left < b.right && a.right > b.left && a.top < b.bottom && a.bottom > b.top
+}
+
+// the smallest translation of the rect which moves it out of the pusher
+function getPushOffset (pusher: Interact.Rect, rect: Interact.Rect) {
+  const pushRight = pusher.right - rect.left
+  const pushLeft = rect.right - pusher.left
+  const pushDown = pusher.bottom - rect.top
+  const pushUp = rect.bottom - pusher.top
+  // push away from the center of the pusher
+  const x = (rect.left + rect.right) >= (pusher.left + pusher.right) ? pushRight : -pushLeft
+  const y = (rect.top + rect.bottom) >= (pusher.top + pusher.bottom) ? pushDown : -pushUp
+
+  return Math.abs(x) <= Math.abs(y) ? { x, y: 0 } : { x: 0, y }
+}
+
+function toDisplacement ({ element, rect: startRect }: Obstacle, rect: Interact.Rect, interaction: Interact.Interaction): Displacement {
+  const { localTransform } = interaction
+  let offset = { x: rect.left - startRect.left, y: rect.top - startRect.top }
+  let pageRect = rect
+
+  // report page coords for transformed targets
+  if (localTransform) {
+    offset = applyToVector(localTransform.matrix, offset)
+    pageRect = applyToRect(localTransform.matrix, rect)
+  }
+
+  return {
+    element,
+    rect: rectUtils.tlbrToXywh(extend({}, pageRect)),
+    offset,
+  }
+}
+
+const collision = {
+  start,
+  set,
+  defaults: {
+    enabled: false,
+    obstacles: null,
+    mode: 'stop',
+  } as CollisionOptions,
+}
+
+export default collision
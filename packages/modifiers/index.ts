@@ -1,16 +1,30 @@
+import aspectRatioModule from './aspectRatio'
 import base from './base'
+import collisionModule from './collision'
+import restrictAngleModule from './restrict/angle'
 import restrictEdgesModule from './restrict/edges'
+import restrictToPathModule from './restrict/path'
 import restrictModule from './restrict/pointer'
 import restrictSizeModule from './restrict/size'
+import snapAlignModule from './snap/align'
+import snapAngleModule from './snap/angle'
 import snapEdgesModule from './snap/edges'
 import snapModule from './snap/pointer'
 import snapSizeModule from './snap/size'
 
 const { makeModifier } = base
 
+export { makeModifier }
+
 export const snap = makeModifier(snapModule, 'snap')
 export const snapSize = makeModifier(snapSizeModule, 'snapSize')
 export const snapEdges = makeModifier(snapEdgesModule, 'snapEdges')
 export const restrict = makeModifier(restrictModule, 'restrict')
 export const restrictEdges = makeModifier(restrictEdgesModule, 'restrictEdges')
 export const restrictSize = makeModifier(restrictSizeModule, 'restrictSize')
+export const snapAngle = makeModifier(snapAngleModule, 'snapAngle')
+export const restrictAngle = makeModifier(restrictAngleModule, 'restrictAngle')
+export const collision = makeModifier(collisionModule, 'collision')
+export const snapAlign = makeModifier(snapAlignModule, 'snapAlign')
+export const restrictToPath = makeModifier(restrictToPathModule, 'restrictToPath')
+export const aspectRatio = makeModifier(aspectRatioModule, 'aspectRatio')
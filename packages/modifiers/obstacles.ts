@@ -0,0 +1,73 @@
+// Helpers shared by modifiers which check the target rect against the rects of
+// other elements (the collision and snapAlign modifiers)
+
+import * as arr from '@interactjs/utils/arr'
+import { nodeContains } from '@interactjs/utils/domUtils'
+import extend from '@interactjs/utils/extend'
+import * as is from '@interactjs/utils/is'
+import { applyToRect } from '@interactjs/utils/matrix'
+import rectUtils from '@interactjs/utils/rect'
+
+export interface Obstacle {
+  element: Element        // null for obstacle rects
+  rect: Interact.Rect     // the rect at the start of the action
+}
+
+// elements, a CSS selector, rects or a function which returns any of those
+export type ObstacleList = string | Array<Element | Interact.Rect> |
+  ((interaction: Interact.Interaction) => Array<Element | Interact.Rect> | string)
+
+export function getObstacles (value: ObstacleList, interaction: Interact.Interaction): Obstacle[] {
+  const { interactable, element, localTransform } = interaction
+  let list: any = is.func(value) ? value(interaction) : value
+
+  if (is.string(list)) {
+    list = interactable._context.querySelectorAll(list)
+  }
+
+  const obstacles = []
+  const followers = interaction.followers || []
+
+  for (const item of list ? arr.from(list) : []) {
+    const isElement = is.element(item)
+
+    // the dragged elements can't be obstacles
+    if (item === element || arr.contains(followers, item) ||
+      (isElement && nodeContains(item, element))) {
+      continue
+    }
+
+    let rect = isElement ? interactable.getRect(item) : rectUtils.xywhToTlbr(extend({}, item))
+
+    if (!rect) { continue }
+
+    // modifiers are applied in the local space of transformed targets
+    if (localTransform) {
+      rect = applyToRect(localTransform.inverse, rect)
+    }
+
+    obstacles.push({ element: isElement ? item : null, rect: extend({}, rect) })
+  }
+
+  return obstacles
+}
+
+// the edges of the rect which follow the pointer. All of them for drags
+export function getMovingEdges (interaction: Interact.Interaction) {
+  const edges = interaction.prepared.name === 'resize' &&
+    (interaction.prepared._linkedEdges || interaction.prepared.edges)
+
+  return edges || { left: true, right: true, top: true, bottom: true }
+}
+
+// the rect of the target with the pointer at the given coords
+export function getRect (coords: Interact.Point, interaction: Interact.Interaction, { startRect }, edges) {
+  const { startOffset } = interaction.modifiers
+
+  return {
+    left  : edges.left   ? coords.x - startOffset.left   : startRect.left,
+    top   : edges.top    ? coords.y - startOffset.top    : startRect.top,
+    right : edges.right  ? coords.x + startOffset.right  : startRect.right,
+    bottom: edges.bottom ? coords.y + startOffset.bottom : startRect.bottom,
+  }
+}
@@ -0,0 +1,36 @@
+// This module adds the restrictAngle modifier which sets min and max
+// rotations in degrees for rotate actions.
+//
+// interact(target).rotatable({
+//   modifiers: [
+//     interact.modifiers.restrictAngle({ min: -90, max: 90 }),
+//   ],
+// })
+
+import rotate from '@interactjs/actions/rotate'
+
+function set (arg: Interact.SignalArg) {
+  const { interaction, coords, state } = arg
+  const { min, max } = state.options
+
+  if (interaction.prepared.name !== 'rotate') { return }
+
+  const rotation = rotate.getRotation(interaction, coords)
+  const restricted = Math.max(min, Math.min(max, rotation))
+
+  if (restricted !== rotation) {
+    rotate.setRotation(interaction, coords, restricted)
+  }
+}
+
+const restrictAngle = {
+  set,
+  defaults: {
+    enabled: false,
+    endOnly: false,
+    min: -Infinity,
+    max: Infinity,
+  },
+}
+
+export default restrictAngle
@@ -0,0 +1,67 @@
+import test from '@interactjs/_dev/test/test'
+import drag from '@interactjs/actions/drag'
+import * as helpers from '@interactjs/core/tests/_helpers'
+import pointerUtils, { MockCoords } from '@interactjs/utils/pointerUtils'
+import modifiersBase from '../base'
+import { restrictToPath } from '../index'
+
+test('modifiers/restrictToPath', (t) => {
+  const scope: Interact.Scope = helpers.mockScope()
+
+  scope.usePlugin(drag)
+  scope.usePlugin(modifiersBase)
+
+  const { document: doc } = scope
+  const element = doc.createElement('div')
+  const interactable = scope.interactables.new(element)
+  const coords = pointerUtils.newCoords() as MockCoords
+  const event = pointerUtils.coordsToEvent(coords)
+  const interaction = scope.interactions.new({})
+  const line = [{ x: 0, y: 100 }, { x: 200, y: 100 }]
+  let lastEvent
+
+  doc.body.appendChild(element)
+  interactable.rectChecker(() => ({ left: 0, top: 0, right: 20, bottom: 20 }))
+  interactable.on('dragmove', (e) => { lastEvent = e })
+
+  function dragTo (down: [number, number], move: [number, number]) {
+    coords.page = coords.client = { x: down[0], y: down[1] }
+    interaction.pointerDown(event, event, element)
+    interaction.start({ name: 'drag' }, interactable, element)
+
+    coords.page = coords.client = { x: move[0], y: move[1] }
+    interaction.pointerMove(event, event, element)
+    interaction.stop()
+
+    return lastEvent
+  }
+
+  interactable.draggable({ modifiers: [restrictToPath({ path: line })] })
+
+  let moveEvent = dragTo([10, 10], [50, 40])
+
+  t.deepEqual(moveEvent.page, { x: 50, y: 100 }, 'pointer is moved to the closest point of the path')
+  t.equal(moveEvent.pathProgress, 0.25, 'progress along the path is added to the event')
+
+  moveEvent = dragTo([10, 10], [300, 0])
+
+  t.deepEqual(moveEvent.page, { x: 200, y: 100 }, 'pointer is kept at the end of the path')
+  t.equal(moveEvent.pathProgress, 1, 'progress at the end of the path')
+
+  interactable.draggable({
+    modifiers: [restrictToPath({
+      path: () => line.concat({ x: 200, y: 300 }),
+      relativePoint: { x: 0.5, y: 0.5 },
+    })],
+  })
+
+  moveEvent = dragTo([5, 5], [95, 60])
+
+  t.deepEqual(moveEvent.page, { x: 95, y: 95 }, 'relativePoint of the target is kept on the path')
+  t.equal(moveEvent.pathProgress, 0.25, 'progress of path from function')
+
+  interactable.unset()
+  doc.body.removeChild(element)
+
+  t.end()
+})
@@ -0,0 +1,82 @@
+// This module adds a modifier which keeps the pointer or a point of the target
+// on a path. The progress along the path is added to action events.
+//
+// interact('.knob').draggable({
+//   modifiers: [
+//     interact.modifiers.restrictToPath({
+//       path: document.querySelector('#arc'),
+//       relativePoint: { x: 0.5, y: 0.5 },
+//     }),
+//   ],
+//   onmove: (event) => setVolume(event.pathProgress),
+// })
+
+import * as is from '@interactjs/utils/is'
+import { applyToPoint } from '@interactjs/utils/matrix'
+import { getClosestPoint, getPath, PathOptions } from '@interactjs/utils/snappers/path'
+
+declare module '@interactjs/core/InteractEvent' {
+  interface InteractEvent {
+    pathProgress?: number // from 0 at the start of the path to 1 at the end
+  }
+}
+
+export interface RestrictToPathOptions {
+  enabled?: boolean
+  // an SVG shape element, a list of points or a function which returns either
+  path?: PathOptions['path'] | ((interaction: Interact.Interaction) => PathOptions['path'])
+  closed?: boolean
+  samples?: number
+  // the point of the target to keep on the path, e.g. { x: 0.5, y: 0.5 } for
+  // the center. The pointer is kept on the path by default
+  relativePoint?: Interact.Point
+  endOnly?: boolean
+}
+
+function start ({ interaction, rect, startOffset, state }) {
+  const { options } = state
+  const { localTransform } = interaction
+  const { relativePoint } = options
+  const value = is.func(options.path) ? options.path(interaction) : options.path
+  let path = value ? getPath({ path: value, closed: options.closed, samples: options.samples }) : null
+
+  // SVG elements and points are in page coordinates
+  if (path && localTransform) {
+    path = getPath({ path: path.points.map((point) => applyToPoint(localTransform.inverse, point)) })
+  }
+
+  state.path = path
+  state.offset = rect && relativePoint
+    ? {
+      x: startOffset.left - rect.width  * relativePoint.x,
+      y: startOffset.top  - rect.height * relativePoint.y,
+    }
+    : { x: 0, y: 0 }
+}
+
+function set ({ coords, state }): { pathProgress: number } {
+  const { path, offset } = state
+
+  if (!path || !path.points.length) { return null }
+
+  const closest = getClosestPoint(path, { x: coords.x - offset.x, y: coords.y - offset.y })
+
+  coords.x = closest.x + offset.x
+  coords.y = closest.y + offset.y
+
+  return { pathProgress: closest.progress }
+}
+
+const restrictToPath = {
+  start,
+  set,
+  defaults: {
+    enabled: false,
+    path: null,
+    closed: undefined,
+    samples: null,
+    relativePoint: null,
+  } as RestrictToPathOptions,
+}
+
+export default restrictToPath
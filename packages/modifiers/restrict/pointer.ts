@@ -1,4 +1,5 @@
 import * as is from '@interactjs/utils/is'
+import { applyToRect } from '@interactjs/utils/matrix'
 import rectUtils from '@interactjs/utils/rect'
 
 function start ({ rect, startOffset, state }) {
@@ -25,7 +26,7 @@ function set ({ coords, interaction, state }) {
 
   const restriction = getRestrictionRect(options.restriction, interaction, coords)
 
-  if (!restriction) { return state }
+  if (!restriction) { return }
 
   const rect = restriction
 
@@ -43,11 +44,21 @@ function set ({ coords, interaction, state }) {
 }
 
 function getRestrictionRect (value, interaction, coords?: Interact.Point) {
-  if (is.func(value)) {
-    return rectUtils.resolveRectLike(value, interaction.interactable, interaction.element, [coords.x, coords.y, interaction])
-  } else {
-    return rectUtils.resolveRectLike(value, interaction.interactable, interaction.element)
+  const { interactable, element, localTransform } = interaction
+  let rect = rectUtils.getStringOptionResult(value, interactable, element) || value
+
+  if (is.func(rect)) {
+    rect = rect(coords.x, coords.y, interaction)
   }
+
+  // the rects of elements and 'self' are in page coords
+  const isPageRect = is.string(value) || is.element(rect)
+
+  rect = rectUtils.resolveRectLike(rect, interactable, element)
+
+  return localTransform && isPageRect && rect
+    ? applyToRect(localTransform.inverse, rectUtils.xywhToTlbr(rect))
+    : rect
 }
 
 const restrict = {
@@ -23,7 +23,7 @@ function start (arg) {
 function set (arg) {
   const { interaction, state } = arg
   const { options } = state
-  const edges = interaction.prepared.linkedEdges || interaction.prepared.edges
+  const edges = interaction.prepared._linkedEdges || interaction.prepared.edges
 
   if (!edges) {
     return
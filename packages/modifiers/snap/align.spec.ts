@@ -0,0 +1,93 @@
+import test from '@interactjs/_dev/test/test'
+import drag from '@interactjs/actions/drag'
+import resize from '@interactjs/actions/resize'
+import * as helpers from '@interactjs/core/tests/_helpers'
+import pointerUtils, { MockCoords } from '@interactjs/utils/pointerUtils'
+import modifiersBase from '../base'
+import { snapAlign } from '../index'
+
+test('modifiers/snapAlign', (t) => {
+  const scope: Interact.Scope = helpers.mockScope()
+
+  scope.usePlugin(drag)
+  scope.usePlugin(resize)
+  scope.usePlugin(modifiersBase)
+
+  const { document: doc } = scope
+  const [element, sibling] = [0, 1].map(() => {
+    const el = doc.createElement('div')
+
+    el.className = 'shape'
+    doc.body.appendChild(el)
+
+    return el
+  })
+  const rects = new Map<Element, Interact.Rect>([
+    [element, { left: 0, top: 0, right: 50, bottom: 50 }],
+    [sibling, { left: 100, top: 200, right: 180, bottom: 280 }],
+  ])
+  const interactable = scope.interactables.new(element)
+  const coords = pointerUtils.newCoords() as MockCoords
+  const event = pointerUtils.coordsToEvent(coords)
+  const interaction = scope.interactions.new({})
+  let lastEvent
+
+  interactable.rectChecker((el) => ({ ...rects.get(el) }))
+  interactable.on('dragmove resizemove', (e) => { lastEvent = e })
+
+  function moveTo (action: Interact.ActionProps, down: [number, number], move: [number, number]) {
+    coords.page = coords.client = { x: down[0], y: down[1] }
+    interaction.pointerDown(event, event, element)
+    interaction.start(action, interactable, element)
+
+    coords.page = coords.client = { x: move[0], y: move[1] }
+    interaction.pointerMove(event, event, element)
+    interaction.stop()
+
+    return lastEvent
+  }
+
+  interactable.draggable({ modifiers: [snapAlign({ elements: '.shape' })] })
+
+  let moveEvent = moveTo({ name: 'drag' }, [10, 10], [96, 40])
+
+  t.deepEqual(moveEvent.page, { x: 100, y: 40 }, 'right edge is snapped to the center of the sibling')
+  t.deepEqual(
+    moveEvent.guides,
+    [{ axis: 'x', position: 140, start: 30, end: 280, elements: [sibling] }],
+    'alignment guide spans the target and the sibling')
+
+  moveEvent = moveTo({ name: 'drag' }, [10, 10], [96, 195])
+
+  t.deepEqual(moveEvent.page, { x: 100, y: 200 }, 'both axes are snapped to the closest lines')
+  t.deepEqual(
+    moveEvent.guides.map(({ axis, position }) => [axis, position]),
+    [['x', 140], ['y', 240]],
+    'guides for both axes')
+
+  moveEvent = moveTo({ name: 'drag' }, [10, 10], [40, 40])
+
+  t.deepEqual(moveEvent.page, { x: 40, y: 40 }, 'lines out of range are ignored')
+  t.deepEqual(moveEvent.guides, [], 'no guides when not aligned')
+
+  interactable.resizable({
+    edges: { right: true },
+    modifiers: [snapAlign({ elements: () => [sibling] })],
+  })
+
+  moveEvent = moveTo({ name: 'resize', edges: { right: true } }, [50, 10], [97, 10])
+
+  t.equal(moveEvent.page.x, 100, 'resized edge is snapped')
+  t.deepEqual(
+    moveEvent.guides.map(({ axis, position }) => [axis, position]),
+    [['x', 100]],
+    'only lines aligned with the resized rect are guides')
+
+  interactable.unset()
+
+  for (const el of [element, sibling]) {
+    doc.body.removeChild(el)
+  }
+
+  t.end()
+})
@@ -0,0 +1,178 @@
+/**
+ * @module modifiers/snapAlign
+ *
+ * @description
+ * This module snaps the edges and centers of targets to the edges and centers
+ * of other elements during drag and resize interactions and adds the lines
+ * that the target is aligned to to the action events as `event.guides`.
+ *
+ * @example
+ * interact('.shape').draggable({
+ *   modifiers: [
+ *     interact.modifiers.snapAlign({
+ *       elements: '.shape',
+ *       range: 8,
+ *     }),
+ *   ],
+ *   onmove: event => drawGuides(event.guides),
+ * })
+ */
+
+import extend from '@interactjs/utils/extend'
+import { getMovingEdges, getObstacles, getRect } from '../obstacles'
+import snap from './pointer'
+
+declare module '@interactjs/core/InteractEvent' {
+  interface InteractEvent {
+    guides?: AlignmentGuide[]
+  }
+}
+
+export interface AlignmentGuide {
+  axis: 'x' | 'y'     // 'x' for vertical lines and 'y' for horizontal lines
+  position: number    // the x or y coordinate of the line
+  start: number       // the line spans the target and the aligned elements
+  end: number
+  elements: Element[] // the elements which have an edge or center on the line
+}
+
+export interface SnapAlignOptions {
+  enabled?: boolean
+  // the elements to align with as a CSS selector, an array of elements or a
+  // function which returns either
+  elements?: string | Element[] | ((interaction: Interact.Interaction) => string | Element[])
+  range?: number
+  endOnly?: boolean
+}
+
+interface Line {
+  position: number
+  element: Element
+  rect: Interact.Rect
+}
+
+const axes = {
+  x: { min: 'left', max: 'right', crossMin: 'top', crossMax: 'bottom' },
+  y: { min: 'top', max: 'bottom', crossMin: 'left', crossMax: 'right' },
+}
+
+// lines closer than this are aligned
+const EPSILON = 1e-3
+
+function start (arg) {
+  const { interaction, state } = arg
+  const edges = interaction.prepared.name === 'resize' && getMovingEdges(interaction)
+  const elementRects = getObstacles(state.options.elements, interaction)
+    .filter(({ element }) => !!element)
+
+  state.startRect = extend({}, arg.rect)
+  state.lines = {
+    x: getLines(elementRects, 'x'),
+    y: getLines(elementRects, 'y'),
+  }
+
+  // the points of the target which can be snapped. For resize, only the
+  // edges which follow the pointer
+  state.axisStates = {
+    x: createAxisState(arg, edges
+      ? edges.left ? [0] : edges.right ? [1] : []
+      : [0, 0.5, 1], 'x'),
+    y: createAxisState(arg, edges
+      ? edges.top ? [0] : edges.bottom ? [1] : []
+      : [0, 0.5, 1], 'y'),
+  }
+}
+
+function set (arg): { guides: AlignmentGuide[] } {
+  const { interaction, coords, state } = arg
+
+  for (const axis of ['x', 'y'] as Array<'x' | 'y'>) {
+    const axisState = state.axisStates[axis]
+
+    if (!axisState) { continue }
+
+    // snap only this axis to the lines
+    axisState.options.targets = state.lines[axis].map(({ position }) => ({ [axis]: position }))
+    snap.set(extend(extend({}, arg), { state: axisState }))
+  }
+
+  return {
+    guides: getGuides(getRect(coords, interaction, state, getMovingEdges(interaction)), state.lines),
+  }
+}
+
+function createAxisState (arg, points: number[], axis: 'x' | 'y') {
+  if (!points.length) { return null }
+
+  const axisState = {
+    options: {
+      relativePoints: points.map((point) => ({ x: 0, y: 0, [axis]: point })),
+      origin: { x: 0, y: 0 },
+      offset: null,
+      offsetWithOrigin: true,
+      range: arg.state.options.range,
+      targets: [],
+    },
+  }
+
+  snap.start(extend(extend({}, arg), { state: axisState }))
+
+  return axisState
+}
+
+// the edge and center lines of the elements
+function getLines (elementRects: Array<{ element: Element, rect: Interact.Rect }>, axis: 'x' | 'y'): Line[] {
+  const { min, max } = axes[axis]
+  const lines = []
+
+  for (const { element, rect } of elementRects) {
+    for (const position of [rect[min], (rect[min] + rect[max]) / 2, rect[max]]) {
+      lines.push({ position, element, rect })
+    }
+  }
+
+  return lines
+}
+
+function getGuides (rect: Interact.Rect, lines: { x: Line[], y: Line[] }): AlignmentGuide[] {
+  const guides = []
+
+  for (const axis of ['x', 'y'] as Array<'x' | 'y'>) {
+    const { min, max, crossMin, crossMax } = axes[axis]
+
+    for (const position of [rect[min], (rect[min] + rect[max]) / 2, rect[max]]) {
+      const aligned = lines[axis].filter((line) => Math.abs(line.position - position) < EPSILON)
+
+      if (!aligned.length) { continue }
+
+      const elements = []
+      let lineStart = rect[crossMin]
+      let lineEnd = rect[crossMax]
+
+      for (const line of aligned) {
+        lineStart = Math.min(lineStart, line.rect[crossMin])
+        lineEnd = Math.max(lineEnd, line.rect[crossMax])
+
+        if (elements.indexOf(line.element) === -1) {
+          elements.push(line.element)
+        }
+      }
+
+      guides.push({ axis, position, start: lineStart, end: lineEnd, elements })
+    }
+  }
+
+  return guides
+}
+
+const snapAlign = {
+  start,
+  set,
+  defaults: {
+    enabled: false,
+    elements: null,
+    range: 10,
+  } as SnapAlignOptions,
+}
+
+export default snapAlign
@@ -0,0 +1,49 @@
+import test from '@interactjs/_dev/test/test'
+import Interaction from '@interactjs/core/Interaction'
+import { mockInteractable, mockSignals } from '@interactjs/core/tests/_helpers'
+import restrictAngle from '../restrict/angle'
+import snapAngle from '../snap/angle'
+
+test('modifiers/snapAngle and restrictAngle', (t) => {
+  const interaction = new Interaction({ signals: mockSignals() } as any)
+  interaction.interactable = mockInteractable()
+  interaction.prepared = { name: 'rotate' } as any
+  interaction.rotate = {
+    pivot: { x: 0, y: 0 },
+    startAngle: 0,
+    angle: 0,
+  }
+
+  // 100px from the pivot at 40 degrees
+  const pageCoords = Object.freeze({
+    x: 100 * Math.cos(40 * Math.PI / 180),
+    y: 100 * Math.sin(40 * Math.PI / 180),
+  })
+  const getResult = (modifier, options) => {
+    const arg = {
+      interaction,
+      interactable: interaction.interactable,
+      state: { options: { ...modifier.defaults, ...options } },
+      pageCoords,
+      coords: { ...pageCoords },
+    }
+
+    modifier.set(arg)
+
+    return [Math.round(arg.coords.x), Math.round(arg.coords.y)]
+  }
+
+  t.deepEqual(getResult(snapAngle, { step: 45 }), [71, 71], 'snaps to the nearest step')
+  t.deepEqual(getResult(snapAngle, { step: 90, offset: 30 }), [87, 50], 'snap steps start from offset')
+  t.deepEqual(getResult(snapAngle, { step: 90, range: 10 }), [77, 64], 'no snap outside of range')
+
+  t.deepEqual(getResult(restrictAngle, { min: 0, max: 30 }), [87, 50], 'restricts to max')
+  t.deepEqual(getResult(restrictAngle, { min: 60 }), [50, 87], 'restricts to min')
+  t.deepEqual(getResult(restrictAngle, { min: 0, max: 90 }), [77, 64], 'unchanged within limits')
+
+  interaction.prepared.name = 'drag' as any
+
+  t.deepEqual(getResult(snapAngle, { step: 45 }), [77, 64], 'other actions are unchanged')
+
+  t.end()
+})
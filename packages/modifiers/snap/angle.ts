@@ -0,0 +1,37 @@
+// This module adds the snapAngle modifier which snaps the rotation of rotate
+// actions to multiples of an angle.
+//
+// interact(target).rotatable({
+//   modifiers: [
+//     interact.modifiers.snapAngle({ step: 15 }),
+//   ],
+// })
+
+import rotate from '@interactjs/actions/rotate'
+
+function set (arg: Interact.SignalArg) {
+  const { interaction, coords, state } = arg
+  const { step, offset, range } = state.options
+
+  if (interaction.prepared.name !== 'rotate' || !step) { return }
+
+  const rotation = rotate.getRotation(interaction, coords)
+  const snapped = Math.round((rotation - offset) / step) * step + offset
+
+  if (Math.abs(snapped - rotation) <= range) {
+    rotate.setRotation(interaction, coords, snapped)
+  }
+}
+
+const snapAngle = {
+  set,
+  defaults: {
+    enabled: false,
+    endOnly: false,
+    step: 15,     // snap to multiples of this many degrees
+    offset: 0,    // the angle in degrees of the first snap target
+    range: Infinity,
+  },
+}
+
+export default snapAngle
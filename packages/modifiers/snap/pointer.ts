@@ -11,10 +11,12 @@ function start (arg: Interact.SignalArg) {
   let snapOffset
 
   if (options.offset === 'startCoords') {
-    snapOffset = {
-      x: interaction.coords.start.page.x,
-      y: interaction.coords.start.page.y,
-    }
+    snapOffset = interaction.localTransform
+      ? utils.matrix.applyToPoint(interaction.localTransform.inverse, interaction.coords.start.page)
+      : {
+        x: interaction.coords.start.page.x,
+        y: interaction.coords.start.page.y,
+      }
   }
   else  {
     const offsetRect = utils.rect.resolveRectLike(options.offset, interactable, element, [interaction])
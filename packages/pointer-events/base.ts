@@ -5,7 +5,7 @@ import { Scope } from '@interactjs/core/scope'
 import * as utils from '@interactjs/utils'
 import PointerEvent from './PointerEvent'
 
-type EventTargetList = Array<{
+export type EventTargetList = Array<{
   eventable: Eventable,
   element: Interact.EventTarget,
   props: { [key: string]: any },
@@ -64,6 +64,7 @@ const pointerEvents = {
   signals,
   PointerEvent,
   fire,
+  dispatch,
   collectEventTargets,
   createSignalListener,
   defaults,
@@ -107,6 +108,38 @@ function fire<T extends string> (arg: {
     pointerEvent,
   }
 
+  // listeners may remove targets which shouldn't get the event yet
+  signals.fire('before-fire', signalArg)
+
+  dispatch(pointerEvent, targets)
+
+  signals.fire('fired', signalArg)
+
+  if (type === 'tap') {
+    // if pointerEvent should make a double tap, create and fire a doubletap
+    // PointerEvent and use that as the prevTap
+    const prevTap = pointerEvent.double
+      ? fire({
+        interaction,
+        pointer,
+        event,
+        eventTarget,
+        type: 'doubletap',
+      }, scope)
+      : pointerEvent
+
+    interaction.prevTap = prevTap
+    interaction.tapTime = prevTap.timeStamp
+  }
+
+  return pointerEvent
+}
+
+/**
+ * Fire a PointerEvent on each of the targets in order until its propagation is
+ * stopped
+ */
+function dispatch<T extends string> (pointerEvent: PointerEvent<T>, targets: EventTargetList) {
   for (let i = 0; i < targets.length; i++) {
     const target = targets[i]
 
@@ -130,27 +163,6 @@ function fire<T extends string> (arg: {
       break
     }
   }
-
-  signals.fire('fired', signalArg)
-
-  if (type === 'tap') {
-    // if pointerEvent should make a double tap, create and fire a doubletap
-    // PointerEvent and use that as the prevTap
-    const prevTap = pointerEvent.double
-      ? fire({
-        interaction,
-        pointer,
-        event,
-        eventTarget,
-        type: 'doubletap',
-      }, scope)
-      : pointerEvent
-
-    interaction.prevTap = prevTap
-    interaction.tapTime = prevTap.timeStamp
-  }
-
-  return pointerEvent
 }
 
 function collectEventTargets<T extends string> ({ interaction, pointer, event, eventTarget, type }: {
@@ -1,13 +1,15 @@
 import pointerEvents from './base'
 import holdRepeat from './holdRepeat'
 import interactableTargets from './interactableTargets'
+import recognizers from './recognizers'
 
 function install (scope) {
   scope.usePlugin(pointerEvents)
   scope.usePlugin(holdRepeat)
+  scope.usePlugin(recognizers)
   scope.usePlugin(interactableTargets)
 }
 
 const id = 'pointer-events'
 
-export { id, pointerEvents, holdRepeat, interactableTargets, install }
+export { id, pointerEvents, holdRepeat, recognizers, interactableTargets, install }
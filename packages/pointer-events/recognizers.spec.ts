@@ -0,0 +1,121 @@
+import test from '@interactjs/_dev/test/test'
+import * as helpers from '@interactjs/core/tests/_helpers'
+import pointerUtils from '@interactjs/utils/pointerUtils'
+import pointerEvents from './base'
+import interactableTargets from './interactableTargets'
+import recognizers from './recognizers'
+
+test('pointerEvents/recognizers', (t) => {
+  const {
+    scope,
+    interaction,
+    interactable,
+    coords,
+    event,
+  } = helpers.testEnv({ plugins: [pointerEvents, recognizers, interactableTargets] })
+  const fired: any[] = []
+
+  coords.client = coords.page
+  scope.now = () => coords.timeStamp
+
+  for (const type of ['tap', 'doubletap', 'swipe', 'multitap', 'press', 'pressup', 'twofingertap']) {
+    interactable.on(type, (e) => fired.push(e))
+  }
+
+  function swipe (x: number, y: number, dt: number) {
+    fired.splice(0)
+    coords.timeStamp = 1000
+    Object.assign(coords.page, { x: 0, y: 0 })
+    interaction.pointerDown(event, event, event.target)
+
+    coords.timeStamp += dt
+    Object.assign(coords.page, { x, y })
+    interaction.pointerMove(event, event, event.target)
+    interaction.pointerUp(event, event, event.target, event.target)
+
+    return fired.filter((e) => e.type === 'swipe')
+  }
+
+  t.deepEqual(
+    swipe(-100, 20, 100).map((e) => helpers.getProps(e, ['direction', 'velocityX', 'velocityY', 'speed'])),
+    [{ direction: 'left', velocityX: -1000, velocityY: 200, speed: Math.sqrt(1000 * 1000 + 200 * 200) }],
+    'swipe is fired with the direction and velocity of the release')
+
+  t.equal(swipe(100, 0, 1000).length, 0, 'slow movements are not swipes')
+
+  interactable.pointerEvents({ swipeMinDistance: 200 })
+  t.equal(swipe(100, 0, 100).length, 0, 'swipe thresholds are set per interactable')
+
+  fired.splice(0)
+  Object.assign(coords.page, { x: 0, y: 0 })
+
+  for (const time of [0, 100, 200, 1000]) {
+    coords.timeStamp = 5000 + time
+    interaction.pointerDown(event, event, event.target)
+    interaction.pointerUp(event, event, event.target, event.target)
+  }
+
+  t.deepEqual(
+    fired.filter((e) => e.type === 'multitap').map((e) => e.count),
+    [2, 3],
+    'multitap is fired with the number of taps in a row')
+
+  const event2 = pointerUtils.coordsToEvent(Object.assign(pointerUtils.newCoords(), { target: event.target, pointerId: 2 }))
+
+  function twoFingerTap (dt: number) {
+    fired.splice(0)
+    coords.timeStamp = event2.coords.timeStamp = 10000
+    interaction.pointerDown(event, event, event.target)
+    interaction.pointerDown(event2, event2, event.target)
+
+    coords.timeStamp = event2.coords.timeStamp += dt
+    interaction.pointerUp(event, event, event.target, event.target)
+    interaction.pointerUp(event2, event2, event.target, event.target)
+
+    return fired.filter((e) => e.type === 'twofingertap')
+  }
+
+  coords.pointerId = 1
+  t.deepEqual(twoFingerTap(100).map((e) => e.dt), [100], 'twofingertap is fired when two pointers are tapped')
+  t.equal(twoFingerTap(1000).length, 0, 'no twofingertap if the pointers are held down for too long')
+
+  coords.pointerId = undefined
+  coords.timeStamp = 20000
+  fired.splice(0)
+
+  function tap () {
+    interaction.pointerDown(event, event, event.target)
+    interaction.pointerUp(event, event, event.target, event.target)
+  }
+
+  interactable.pointerEvents({ requireFailure: { tap: 'doubletap' }, failureTimeout: 10 })
+
+  tap()
+  t.deepEqual(fired.map((e) => e.type), [], 'tap waits for doubletap to fail')
+
+  setTimeout(() => {
+    t.deepEqual(fired.map((e) => e.type), ['tap'], 'tap is fired after the failure timeout')
+
+    fired.splice(0)
+    coords.timeStamp = 30000
+    tap()
+    tap()
+
+    setTimeout(() => {
+      t.deepEqual(fired.map((e) => e.type), ['multitap', 'doubletap'], 'taps are not fired when doubletap is fired')
+
+      fired.splice(0)
+      coords.timeStamp = 40000
+      interactable.pointerEvents({ pressDuration: 0, requireFailure: null })
+      interaction.pointerDown(event, event, event.target)
+
+      setTimeout(() => {
+        interaction.pointerUp(event, event, event.target, event.target)
+
+        t.deepEqual(fired.map((e) => e.type), ['press', 'tap', 'pressup'], 'press and pressup are fired')
+
+        t.end()
+      }, 10)
+    }, 20)
+  }, 20)
+})
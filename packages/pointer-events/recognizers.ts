@@ -0,0 +1,313 @@
+import * as utils from '@interactjs/utils'
+import basePlugin, { EventTargetList } from './base'
+import PointerEvent from './PointerEvent'
+
+declare module '@interactjs/core/Interaction' {
+  interface Interaction {
+    tapCount?: number
+    twoFingerTap?: {
+      startTime: number
+      lifted: boolean
+      valid: boolean
+    }
+    pendingPointerEvents?: Array<{
+      failureType: string
+      timeout: any
+    }>
+  }
+}
+
+declare module '@interactjs/core/PointerInfo' {
+  interface PointerInfo {
+    press?: {
+      fired: boolean
+      timeout: any
+    }
+  }
+}
+
+declare module '@interactjs/pointer-events/base' {
+  interface PointerEventOptions {
+    swipeMinSpeed?: number
+    swipeMinDistance?: number
+    pressDuration?: number
+    tapInterval?: number
+    twoFingerTapDuration?: number
+    requireFailure?: { [type: string]: string }
+    failureTimeout?: number
+  }
+}
+
+type RecognizerArg = Pick<Interact.SignalArg, 'interaction' | 'pointer' | 'event' | 'eventTarget'>
+
+function install (scope: Interact.Scope) {
+  const {
+    pointerEvents,
+    interactions,
+  } = scope
+
+  scope.usePlugin(basePlugin)
+
+  interactions.signals.on('new', ({ interaction }) => {
+    interaction.tapCount = 0
+    interaction.twoFingerTap = null
+    interaction.pendingPointerEvents = []
+  })
+
+  interactions.signals.on('down', (arg) => onDown(arg as any, scope))
+  interactions.signals.on('move', onMove)
+  interactions.signals.on('up', (arg) => onUp(arg as any, scope))
+  interactions.signals.on('cancel', onCancel)
+
+  // the pointerEvents signals are shared by all scopes
+  pointerEvents.signals.on('before-fire', (arg) => {
+    if (utils.arr.contains(interactions.list, arg.interaction)) {
+      deferUntilFailure(arg as any, scope)
+    }
+  })
+  pointerEvents.signals.on('fired', (arg) => {
+    if (utils.arr.contains(interactions.list, arg.interaction)) {
+      onFired(arg as any, scope)
+    }
+  })
+
+  utils.extend(pointerEvents.defaults, {
+    swipeMinSpeed       : 300,  // pixels per second when the pointer is released
+    swipeMinDistance    : 30,   // from the down coords
+    pressDuration       : 250,
+    tapInterval         : 500,  // max time between the taps of a multitap
+    twoFingerTapDuration: 300,
+    requireFailure      : null, // e.g. { tap: 'doubletap' }
+    failureTimeout      : 500,  // time to wait for the required failure
+  })
+
+  pointerEvents.types.push('swipe', 'multitap', 'press', 'pressup', 'twofingertap')
+}
+
+function onDown (
+  { interaction, pointer, event, eventTarget, pointerIndex }: Interact.SignalArg,
+  scope: Interact.Scope
+) {
+  const pointerInfo = interaction.pointers[pointerIndex]
+  const targets = scope.pointerEvents.collectEventTargets({ interaction, pointer, event, eventTarget, type: 'press' })
+  const { twoFingerTap } = interaction
+
+  pointerInfo.press = { fired: false, timeout: null }
+
+  if (interaction.pointers.length === 1) {
+    interaction.twoFingerTap = { startTime: interaction._now(), lifted: false, valid: true }
+  }
+  else if (twoFingerTap) {
+    // a third pointer or a pointer pressed after one was lifted isn't a two finger tap
+    twoFingerTap.valid = twoFingerTap.valid && !twoFingerTap.lifted && interaction.pointers.length === 2
+  }
+
+  if (!targets.length) { return }
+
+  let minDuration = Infinity
+
+  for (const target of targets) {
+    minDuration = Math.min(minDuration, target.eventable.options.pressDuration)
+  }
+
+  pointerInfo.press.timeout = setTimeout(() => {
+    pointerInfo.press.fired = true
+
+    scope.pointerEvents.fire({
+      interaction,
+      pointer,
+      event,
+      eventTarget,
+      type: 'press',
+      targets: targets.filter((target) => target.eventable.options.pressDuration === minDuration),
+    }, scope)
+  }, minDuration)
+}
+
+function onMove ({ interaction, pointerIndex, duplicate }: Interact.SignalArg) {
+  if (duplicate || !interaction.pointerIsDown || !interaction.pointerWasMoved) { return }
+
+  const pointerInfo = interaction.pointers[pointerIndex]
+
+  if (pointerInfo && pointerInfo.press) {
+    clearTimeout(pointerInfo.press.timeout)
+  }
+
+  if (interaction.twoFingerTap) {
+    interaction.twoFingerTap.valid = false
+  }
+}
+
+function onUp (
+  { interaction, pointer, event, eventTarget, pointerIndex }: Interact.SignalArg,
+  scope: Interact.Scope
+) {
+  const { press } = interaction.pointers[pointerIndex]
+  const arg = { interaction, pointer, event, eventTarget }
+
+  if (press) {
+    clearTimeout(press.timeout)
+
+    if (press.fired) {
+      scope.pointerEvents.fire({ ...arg, type: 'pressup' }, scope)
+    }
+  }
+
+  if (interaction.pointers.length === 1) {
+    fireSwipe(arg, scope)
+    fireTwoFingerTap(arg, scope)
+  }
+  else if (interaction.twoFingerTap) {
+    interaction.twoFingerTap.lifted = true
+  }
+}
+
+function onCancel ({ interaction, pointerIndex }: Interact.SignalArg) {
+  const { press } = interaction.pointers[pointerIndex]
+
+  if (press) {
+    clearTimeout(press.timeout)
+  }
+
+  interaction.twoFingerTap = null
+}
+
+function fireSwipe (arg: RecognizerArg, scope: Interact.Scope) {
+  const { interaction } = arg
+  const { start, cur, velocity } = interaction.coords
+
+  // the velocity is out of date if the pointer was held still before the up
+  if (!interaction.pointerWasMoved || interaction._now() - cur.timeStamp >= 50) { return }
+
+  const { x: velocityX, y: velocityY } = velocity.client
+  const speed = utils.hypot(velocityX, velocityY)
+  const distance = utils.hypot(cur.client.x - start.client.x, cur.client.y - start.client.y)
+
+  fireRecognized(arg, 'swipe', scope, {
+    direction: Math.abs(velocityX) > Math.abs(velocityY)
+      ? (velocityX < 0 ? 'left' : 'right')
+      : (velocityY < 0 ? 'up' : 'down'),
+    velocityX,
+    velocityY,
+    speed,
+    distance,
+  }, ({ swipeMinSpeed, swipeMinDistance }) => speed >= swipeMinSpeed && distance >= swipeMinDistance)
+}
+
+function fireTwoFingerTap (arg: RecognizerArg, scope: Interact.Scope) {
+  const { interaction } = arg
+  const { twoFingerTap } = interaction
+
+  interaction.twoFingerTap = null
+
+  if (!twoFingerTap || !twoFingerTap.lifted || !twoFingerTap.valid) { return }
+
+  const dt = interaction._now() - twoFingerTap.startTime
+
+  fireRecognized(arg, 'twofingertap', scope, { dt }, ({ twoFingerTapDuration }) => dt <= twoFingerTapDuration)
+}
+
+function onFired (
+  { interaction, pointer, event, eventTarget, type, pointerEvent }: Interact.SignalArg,
+  scope: Interact.Scope
+) {
+  // events which were waiting for this type to fail won't be fired
+  interaction.pendingPointerEvents = interaction.pendingPointerEvents.filter((pending) => {
+    if (pending.failureType !== type) { return true }
+
+    clearTimeout(pending.timeout)
+    return false
+  })
+
+  if (type !== 'tap') { return }
+
+  const { prevTap, tapTime } = interaction
+  const arg = { interaction, pointer, event, eventTarget }
+  const targets = scope.pointerEvents.collectEventTargets({ ...arg, type: 'multitap' })
+  // get the interval from the first eventable
+  const interval = targets.length
+    ? targets[0].eventable.options.tapInterval
+    : scope.pointerEvents.defaults.tapInterval
+
+  interaction.tapCount = prevTap &&
+    prevTap.target === pointerEvent.target &&
+    pointerEvent.timeStamp - tapTime < interval
+    ? interaction.tapCount + 1
+    : 1
+
+  if (interaction.tapCount > 1 && targets.length) {
+    fireRecognized(arg, 'multitap', scope, { count: interaction.tapCount }, null, targets)
+  }
+}
+
+/**
+ * Remove the targets which require another event type to fail and fire the
+ * event on them after their `failureTimeout` unless that type is fired first
+ */
+function deferUntilFailure (
+  { interaction, type, targets, pointerEvent }: Interact.SignalArg,
+  scope: Interact.Scope
+) {
+  const deferred: { [failureType: string]: EventTargetList } = {}
+  const immediate = targets.filter((target) => {
+    const { requireFailure } = target.eventable.options
+    const failureType = requireFailure && requireFailure[type]
+
+    if (!failureType) { return true }
+
+    deferred[failureType] = (deferred[failureType] || []).concat(target)
+    return false
+  })
+
+  targets.splice(0, targets.length, ...immediate)
+
+  for (const failureType in deferred) {
+    const failureTargets = deferred[failureType]
+    const pending = { failureType, timeout: null }
+
+    pending.timeout = setTimeout(() => {
+      utils.arr.remove(interaction.pendingPointerEvents, pending)
+
+      if (!pointerEvent.propagationStopped) {
+        scope.pointerEvents.dispatch(pointerEvent, failureTargets)
+      }
+    }, failureTargets[0].eventable.options.failureTimeout)
+
+    interaction.pendingPointerEvents.push(pending)
+  }
+}
+
+// fire a PointerEvent with extra props on the targets which accept it
+function fireRecognized (
+  { interaction, pointer, event, eventTarget }: RecognizerArg,
+  type: string,
+  scope: Interact.Scope,
+  props: { [key: string]: any },
+  accept: (options: Interact.Options) => boolean,
+  targets?: EventTargetList,
+) {
+  targets = targets || scope.pointerEvents.collectEventTargets({ interaction, pointer, event, eventTarget, type })
+
+  const acceptedTargets = accept
+    ? targets.filter((target) => accept(target.eventable.options))
+    : targets
+
+  if (!acceptedTargets.length) { return }
+
+  const pointerEvent = new PointerEvent(type, pointer, event, eventTarget, interaction, scope.now())
+
+  scope.pointerEvents.fire({
+    interaction,
+    pointer,
+    event,
+    eventTarget,
+    type,
+    targets: acceptedTargets,
+    pointerEvent: utils.extend(pointerEvent, props),
+  }, scope)
+}
+
+export default {
+  id: 'pointer-events/recognizers',
+  install,
+} as Interact.Plugin
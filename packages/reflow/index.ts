@@ -3,6 +3,7 @@ import { EventPhase } from '@interactjs/core/InteractEvent'
 import { ActionProps, Interaction } from '@interactjs/core/Interaction'
 import { Scope } from '@interactjs/core/scope'
 import { arr, extend, is, pointer as pointerUtils, rect as rectUtils, win } from '@interactjs/utils'
+import startAction, { ActionController } from './startAction'
 
 declare module '@interactjs/core/Interactable' {
   interface Interactable {
@@ -35,6 +36,8 @@ export function install (scope: Scope) {
     Interactable,
   } = scope
 
+  scope.usePlugin(startAction)
+
   // add action reflow event types
   for (const actionName of actions.names) {
     actions.eventTypes.push(`${actionName}reflow`)
@@ -166,6 +169,8 @@ function startReflow (scope: Scope, interactable: Interactable, element: Element
   return reflowPromise
 }
 
+export { ActionController }
+
 export default {
   id: 'reflow',
   install,
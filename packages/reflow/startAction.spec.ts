@@ -0,0 +1,78 @@
+import test from '@interactjs/_dev/test/test'
+import { drag, drop, resize } from '@interactjs/actions'
+import * as helpers from '@interactjs/core/tests/_helpers'
+import modifiersBase from '@interactjs/modifiers/base'
+import { restrictSize } from '@interactjs/modifiers/index'
+import startAction from './startAction'
+
+test('reflow/startAction', (t) => {
+  const scope: Interact.Scope = helpers.mockScope()
+
+  for (const plugin of [drag, drop, resize, modifiersBase, startAction]) {
+    scope.usePlugin(plugin)
+  }
+
+  const { document: doc } = scope
+  const [element, dropElement] = [0, 1].map(() => doc.body.appendChild(doc.createElement('div')))
+  const events: any[] = []
+  const rects: Interact.Rect[] = []
+  const logEvent = (e) => events.push(e)
+  const interactable = scope.interactables.new(element)
+    .draggable({ listeners: { start: logEvent, move: logEvent, end: logEvent } })
+    .resizable({
+      listeners: { move: ({ rect: { left, top, right, bottom } }) => rects.push({ left, top, right, bottom }) },
+      modifiers: [restrictSize({ max: { width: 150, height: 150 } })],
+    })
+  const dropzone = scope.interactables.new(dropElement).dropzone({ ondrop: logEvent, ondragenter: logEvent })
+
+  interactable.rectChecker(() => ({ left: 0, top: 0, right: 100, bottom: 100 }))
+  dropzone.rectChecker(() => ({ left: 200, top: 0, right: 300, bottom: 100 }))
+
+  const dragAction = interactable.startAction({ name: 'drag' })
+
+  dragAction.move({ dx: 100, dy: 10 })
+  dragAction.setRect({ left: 200, top: 0 })
+  dragAction.end()
+
+  t.deepEqual(
+    events.map((e) => [e.type, e.dx, e.dy, e.page && e.page.x, e.page && e.page.y]),
+    [
+      ['dragstart', 0, 0, 50, 50],
+      ['dragmove', 100, 10, 150, 60],
+      ['dragmove', 100, -10, 250, 50],
+      ['dragenter', undefined, undefined, undefined, undefined],
+      ['dragend', 0, 0, 250, 50],
+      ['drop', undefined, undefined, undefined, undefined],
+    ],
+    'drag is moved by deltas and to target rects and drops are checked')
+  t.equal(scope.interactions.list.length, 0, 'ended interaction is removed')
+
+  events.splice(0)
+  dragAction.move({ dx: 10, dy: 10 })
+  t.equal(events.length, 0, 'ended action is not moved')
+
+  const resizeAction = interactable.startAction({ name: 'resize', edges: { right: true, bottom: true } })
+
+  resizeAction.setRect({ right: 120, bottom: 80 })
+  resizeAction.setRect({ right: 300, bottom: 120 })
+  resizeAction.end()
+
+  t.deepEqual(
+    rects,
+    [
+      { left: 0, top: 0, right: 120, bottom: 80 },
+      { left: 0, top: 0, right: 150, bottom: 120 },
+    ],
+    'resize is moved to target rects with modifiers')
+
+  const selectorInteractable = scope.interactables.new('.item', { context: doc }).draggable(true)
+
+  t.equal(selectorInteractable.startAction({ name: 'drag' }), null, 'null is returned without an element')
+  t.equal(interactable.startAction({ name: 'gesture' }), null, 'null is returned if the action isn\'t started')
+
+  interactable.unset()
+  dropzone.unset()
+  selectorInteractable.unset()
+
+  t.end()
+})
@@ -0,0 +1,173 @@
+import { ActionProps, Interaction } from '@interactjs/core/Interaction'
+import { Scope } from '@interactjs/core/scope'
+import { dom, extend, is, matrix, pointer as pointerUtils, win } from '@interactjs/utils'
+
+declare module '@interactjs/core/Interactable' {
+  interface Interactable {
+    startAction: (action: ActionProps, element?: Element) => ActionController
+  }
+}
+
+type ActionPointer = ReturnType<typeof pointerUtils.coordsToEvent>
+
+export class ActionController {
+  interaction: Interaction
+  pointer: ActionPointer
+  startPage: Interact.Point
+  // the rect of the interaction at the start in the space of event rects
+  startRect: Interact.Rect
+
+  constructor (interaction: Interaction, pointer: ActionPointer) {
+    this.interaction = interaction
+    this.pointer = pointer
+    this.startPage = extend({}, pointer.coords.page)
+    this.startRect = extend({}, interaction.rect)
+  }
+
+  /**
+   * Move the action by a delta in page coordinates
+   */
+  move ({ dx, dy }: { dx: number, dy: number }) {
+    const { page } = this.pointer.coords
+
+    return this.moveTo({ x: page.x + dx, y: page.y + dy })
+  }
+
+  /**
+   * Move the action's pointer to a position in page coordinates
+   */
+  moveTo (page: Interact.Point) {
+    const { interaction, pointer } = this
+
+    if (!this.isActive()) { return this }
+
+    setPointerPage(pointer, page, interaction.element)
+    interaction.moveSynthetic(pointer)
+
+    return this
+  }
+
+  /**
+   * Move the action so that the target would have the given rect. The
+   * position of a dragged rect is set by its top left corner and a resized
+   * rect is set by the resized edges
+   */
+  setRect (rect: Partial<Interact.Rect>) {
+    const { interaction, startRect, startPage } = this
+
+    if (!this.isActive()) { return this }
+
+    const edges = interaction.prepared.edges || {}
+    const edgeX = edges.right && !edges.left ? 'right' : 'left'
+    const edgeY = edges.bottom && !edges.top ? 'bottom' : 'top'
+    let delta = {
+      x: is.number(rect[edgeX]) ? rect[edgeX] - startRect[edgeX] : 0,
+      y: is.number(rect[edgeY]) ? rect[edgeY] - startRect[edgeY] : 0,
+    }
+
+    // event rects are in the local space of transformed targets
+    if (interaction.localTransform) {
+      delta = matrix.applyToVector(interaction.localTransform.matrix, delta)
+    }
+
+    return this.moveTo({ x: startPage.x + delta.x, y: startPage.y + delta.y })
+  }
+
+  /**
+   * End the action. Inertia and `endOnly` modifiers are applied as they are
+   * for pointer interactions
+   */
+  end () {
+    const { interaction, pointer } = this
+
+    if (!this.isActive()) { return this }
+
+    interaction.endSynthetic(pointer)
+
+    return this
+  }
+
+  isActive () {
+    return this.interaction.pointerIsDown && this.interaction.interacting()
+  }
+}
+
+function install (scope: Scope) {
+  const {
+    /** @lends Interactable */
+    // eslint-disable-next-line no-shadow
+    Interactable,
+  } = scope
+
+  /**
+   * ```js
+   * const resize = interact(target).startAction({
+   *   name: 'resize',
+   *   edges: { right: true, bottom: true },
+   * })
+   *
+   * resize.move({ dx: 10, dy: 0 })
+   * resize.setRect({ right: 300, bottom: 200 })
+   * resize.end()
+   * ```
+   *
+   * Start an action without a pointer. The returned controller moves the
+   * action with deltas or target rects and the action's modifiers, drop
+   * checks and events work as they do for pointer interactions.
+   *
+   * @param { Object } action The action to begin
+   * @param { string } action.name The name of the action
+   * @param { Element } [element] The target element. Required if the
+   * Interactable's target is a CSS selector
+   * @returns { ActionController | null } The controller of the action or null
+   * if it couldn't be started
+   */
+  Interactable.prototype.startAction = function (action: ActionProps, element?: Element) {
+    return startAction(scope, this, action, element)
+  }
+}
+
+function startAction (scope: Scope, interactable: Interact.Interactable, action: ActionProps, element?: Element) {
+  element = element || (is.element(interactable.target) ? interactable.target as Element : null)
+
+  const rect = element && interactable.getRect(element)
+
+  if (!rect) { return null }
+
+  const edges = action.edges || {}
+  // the pointer starts on the resized edges or at the center of the element
+  const page = {
+    x: edges.left ? rect.left : edges.right  ? rect.right  : (rect.left + rect.right) / 2,
+    y: edges.top  ? rect.top  : edges.bottom ? rect.bottom : (rect.top + rect.bottom) / 2,
+  }
+
+  const interaction = scope.interactions.new({ pointerType: 'programmatic' })
+  const pointer = pointerUtils.coordsToEvent({
+    page,
+    client: { x: 0, y: 0 },
+    timeStamp: scope.now(),
+    pointerType: 'programmatic',
+    target: element,
+  })
+
+  setPointerPage(pointer, page, element)
+
+  if (!interaction.startSynthetic([pointer], pointer, extend({}, action), interactable, element)) {
+    return null
+  }
+
+  return new ActionController(interaction, pointer)
+}
+
+function setPointerPage (pointer: ActionPointer, page: Interact.Point, element: Element) {
+  const scroll = dom.getScrollXY(win.getWindow(element))
+  const { coords } = pointer
+
+  coords.page = { x: page.x, y: page.y }
+  coords.client = { x: page.x - scroll.x, y: page.y - scroll.y }
+}
+
+export default {
+  id: 'reflow/startAction',
+  install,
+} as Interact.Plugin
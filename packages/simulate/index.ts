@@ -0,0 +1,290 @@
+import interactions from '@interactjs/core/interactions'
+import { Scope } from '@interactjs/core/scope'
+import { arr, dom, extend, is, raf, win } from '@interactjs/utils'
+
+declare module '@interactjs/interact/interact' {
+  interface InteractStatic {
+    simulate: (
+      target: Element,
+      steps: Interact.SimulateStep[],
+      options?: Interact.SimulateOptions,
+    ) => Promise<any[]>
+  }
+}
+
+type PointerListener = (event: any) => void
+
+interface Simulation {
+  scope: Scope
+  target: Element
+  options: Interact.SimulateOptions
+  listeners: { [type: string]: PointerListener }
+  time: number
+  frames: Array<{ id: number, callback: (time: number) => void }>
+  // the page coords of the pointers that are down
+  pointers: { [pointerId: number]: Interact.Point }
+  events: any[]
+}
+
+// simulations replace the shared raf functions so only one is run at a time
+let queue: Promise<any> = null
+let current: Simulation = null
+let frameId = 0
+
+function install (scope: Scope) {
+  const {
+    interact,
+    // eslint-disable-next-line no-shadow
+    Interactable,
+  } = scope
+
+  const listeners = {
+    down: interactions.doOnInteractions('pointerDown', scope),
+    move: interactions.doOnInteractions('pointerMove', scope),
+    up: interactions.doOnInteractions('pointerUp', scope),
+    cancel: interactions.doOnInteractions('pointerUp', scope),
+  }
+
+  // record the action and drop events which are fired during a simulation
+  const { fire } = Interactable.prototype
+
+  Interactable.prototype.fire = function (event) {
+    if (current && current.scope === scope) {
+      current.events.push(event)
+    }
+
+    return fire.call(this, event)
+  }
+
+  // and the pointer events which have listeners
+  if (scope.pointerEvents) {
+    scope.pointerEvents.signals.on('fired', ({ interaction, targets, pointerEvent }) => {
+      if (current && current.scope === scope && targets.length &&
+          arr.contains(scope.interactions.list, interaction)) {
+        current.events.push(pointerEvent)
+      }
+    })
+  }
+
+  /**
+   * ```js
+   * interact.simulate(element, [
+   *   { type: 'down', x: 0, y: 0 },
+   *   { type: 'move', path: [{ x: 50, y: 0 }, { x: 100, y: 0 }], duration: 100 },
+   *   { type: 'hold', duration: 500 },
+   *   { type: 'up' },
+   * ], { pointerType: 'touch' }).then((events) => {
+   *   console.log(events.map((event) => event.type))
+   * })
+   * ```
+   *
+   * Run a sequence of pointer events on an element through the interactions
+   * of the page. The clock of the scope and animation frames are controlled
+   * by the simulation so inertia and other animations are run without
+   * waiting. Hold timers use `setTimeout` so `hold` steps also wait for
+   * their duration in real time.
+   *
+   * Not available in production builds.
+   *
+   * @alias module:interact.simulate
+   *
+   * @param {Element} target The element to start the pointers on
+   * @param {object[]} steps The down, move, up, cancel and hold steps
+   * @param {object} [options] The pointerType, startTime, frameDuration
+   * and settleDuration of the simulation
+   * @return {Promise<object[]>} The events which were fired
+   */
+  interact.simulate = (target, steps, options) => {
+    const run = () => simulate({ scope, target, steps, options, listeners })
+
+    queue = (queue || (win.window as any).Promise.resolve()).then(run, run)
+
+    return queue
+  }
+}
+
+function simulate ({ scope, target, steps, options, listeners }: {
+  scope: Scope,
+  target: Element,
+  steps: Interact.SimulateStep[],
+  options: Interact.SimulateOptions,
+  listeners: Simulation['listeners'],
+}) {
+  // tslint:disable-next-line variable-name
+  const Promise = (win.window as any).Promise
+  const prevNow = scope.now
+
+  options = extend({
+    pointerType   : 'mouse',
+    startTime     : scope.now(),
+    frameDuration : 16,
+    settleDuration: 10000, // max time to run frames for after the last step
+  }, options || {})
+
+  const sim: Simulation = {
+    scope,
+    target,
+    options,
+    listeners,
+    time: options.startTime,
+    frames: [],
+    pointers: {},
+    events: [],
+  }
+
+  current = sim
+  scope.now = () => sim.time
+  raf.init({
+    requestAnimationFrame: (callback) => {
+      sim.frames.push({ id: ++frameId, callback })
+      return frameId
+    },
+    cancelAnimationFrame: (id) => {
+      sim.frames = sim.frames.filter((frame) => frame.id !== id)
+    },
+  })
+
+  const restore = () => {
+    current = null
+    scope.now = prevNow
+    raf.init(scope.window)
+
+    // hand over the animations which haven't finished
+    for (const frame of sim.frames) {
+      raf.request(frame.callback)
+    }
+  }
+
+  return steps.reduce(
+    (promise, step) => promise.then(() => runStep(sim, step)),
+    Promise.resolve())
+    .then(() => {
+      const end = sim.time + options.settleDuration
+
+      while (sim.frames.length && sim.time < end) {
+        advance(sim, sim.time + options.frameDuration)
+      }
+
+      restore()
+
+      return sim.events
+    }, (error) => {
+      restore()
+      throw error
+    })
+}
+
+function runStep (sim: Simulation, step: Interact.SimulateStep) {
+  const pointers = step.pointers || [step]
+
+  if (step.type === 'hold') {
+    advance(sim, sim.time + step.duration)
+
+    // hold timers aren't run by the simulated clock so wait for them in real time
+    return new (win.window as any).Promise((resolve) => setTimeout(resolve, step.duration))
+  }
+
+  if (step.type === 'move') {
+    const paths = pointers.map((pointer) => pointer.path || [{ x: pointer.x, y: pointer.y }])
+    const count = Math.max.apply(null, paths.map((path) => path.length))
+    const interval = is.number(step.duration) ? step.duration / count : sim.options.frameDuration
+
+    for (let i = 0; i < count; i++) {
+      const points = paths.map((path) => path[i])
+      const timed = arr.find(points, (point) => point && is.number(point.time))
+
+      // point times are from the start of the simulation
+      advance(sim, timed ? sim.options.startTime + timed.time : sim.time + interval)
+
+      points.forEach((point, p) => {
+        if (point) { firePointer(sim, 'move', pointers[p].pointerId, point) }
+      })
+    }
+
+    return null
+  }
+
+  for (const pointer of pointers) {
+    firePointer(sim, step.type, pointer.pointerId, pointer)
+  }
+
+  return null
+}
+
+// move the clock forward and run the animation frames that are due
+function advance (sim: Simulation, time: number) {
+  const { frameDuration } = sim.options
+
+  while (sim.frames.length && sim.time + frameDuration <= time) {
+    const frames = sim.frames
+
+    sim.time += frameDuration
+    sim.frames = []
+
+    for (const frame of frames) {
+      frame.callback(sim.time)
+    }
+  }
+
+  sim.time = Math.max(sim.time, time)
+}
+
+function firePointer (
+  sim: Simulation,
+  type: Interact.SimulateStep['type'],
+  pointerId: number,
+  point: { x?: number, y?: number },
+) {
+  const id = is.number(pointerId) ? pointerId : 0
+  const page = is.number(point.x)
+    ? { x: point.x, y: point.y }
+    : sim.pointers[id] || getCenter(sim.scope, sim.target)
+
+  if (type === 'up' || type === 'cancel') {
+    delete sim.pointers[id]
+  }
+  else if (type === 'down' || id in sim.pointers) {
+    sim.pointers[id] = page
+  }
+
+  sim.listeners[type](createEvent(sim, type, id, page))
+}
+
+function createEvent (sim: Simulation, type: string, pointerId: number, page: Interact.Point) {
+  const { target } = sim
+  const scroll = dom.getScrollXY(win.getWindow(target))
+
+  return {
+    type: `pointer${type}`,
+    pointerId,
+    pointerType: sim.options.pointerType,
+    pageX: page.x,
+    pageY: page.y,
+    clientX: page.x - scroll.x,
+    clientY: page.y - scroll.y,
+    button: 0,
+    buttons: pointerId in sim.pointers ? 1 : 0,
+    timeStamp: sim.time,
+    target,
+    currentTarget: target.ownerDocument,
+    defaultPrevented: false,
+    preventDefault () { this.defaultPrevented = true },
+    stopPropagation () {},
+  }
+}
+
+// the center of the element's interactable rect or of its client rect
+function getCenter (scope: Scope, element: Element) {
+  const rect = scope.interactables.forEachMatch(element, (interactable: Interact.Interactable) => {
+    return interactable.getRect(element) || undefined
+  }) || dom.getElementRect(element)
+
+  return rect
+    ? { x: (rect.left + rect.right) / 2, y: (rect.top + rect.bottom) / 2 }
+    : { x: 0, y: 0 }
+}
+
+export default {
+  id: 'simulate',
+  install,
+} as Interact.Plugin
@@ -0,0 +1,114 @@
+import test from '@interactjs/_dev/test/test'
+import { drag, drop, gesture } from '@interactjs/actions'
+import * as autoStart from '@interactjs/auto-start'
+import * as helpers from '@interactjs/core/tests/_helpers'
+import inertia from '@interactjs/inertia'
+import * as pointerEvents from '@interactjs/pointer-events'
+import simulate from './index'
+
+test('simulate', async (t) => {
+  const scope: Interact.Scope = helpers.mockScope()
+  const window = scope.window as any
+  const prevPromise = window.Promise
+
+  window.Promise = Promise
+
+  for (const plugin of [autoStart, drag, drop, gesture, inertia, pointerEvents, simulate]) {
+    scope.usePlugin(plugin)
+  }
+
+  const { document: doc, interact } = scope
+  const [dragElement, dropElement] = [0, 1].map(() => doc.body.appendChild(doc.createElement('div')))
+  const draggable = scope.interactables.new(dragElement).draggable({})
+  const dropzone = scope.interactables.new(dropElement).dropzone({})
+
+  draggable.rectChecker(() => ({ left: 0, top: 0, right: 100, bottom: 100 }))
+  dropzone.rectChecker(() => ({ left: 200, top: 0, right: 300, bottom: 100 }))
+
+  const prevNow = scope.now()
+  let events = await interact.simulate(dragElement, [
+    { type: 'down', x: 50, y: 50 },
+    { type: 'move', path: [{ x: 150, y: 50 }, { x: 250, y: 50 }], duration: 100 },
+    { type: 'up' },
+  ], { startTime: 1000 })
+
+  t.deepEqual(
+    events.filter((e) => /^(drag|drop)/.test(e.type)).map((e) => [e.type, e.page && e.page.x, e.timeStamp]),
+    [
+      ['dragstart', 50, 1000],
+      ['dropactivate', undefined, 1000],
+      ['dragmove', 150, 1050],
+      ['dragmove', 250, 1100],
+      ['dropmove', undefined, 1100],
+      ['dragenter', undefined, 1100],
+      ['dragend', 250, 1100],
+      ['drop', undefined, 1100],
+      ['dropdeactivate', undefined, 1100],
+    ],
+    'drag and drop events are fired with the simulated clock')
+  t.ok(scope.now() >= prevNow, 'clock is restored after the simulation')
+
+  draggable.draggable({ inertia: { resistance: 20 } })
+
+  events = await interact.simulate(dragElement, [
+    { type: 'down' },
+    { type: 'move', path: [{ x: 60, y: 50, time: 10 }, { x: 70, y: 50, time: 20 }] },
+    { type: 'up' },
+  ], { startTime: 0 })
+
+  const dragEvents = events.filter((e) => /^drag/.test(e.type))
+  const end = dragEvents[dragEvents.length - 1]
+
+  t.deepEqual(
+    dragEvents.slice(0, 4).map((e) => [e.type, e.page.x, e.timeStamp]),
+    [
+      ['dragstart', 50, 0],
+      ['dragmove', 60, 10],
+      ['dragmove', 70, 20],
+      ['draginertiastart', 70, 20],
+    ],
+    'pointers start at the center of the target and path points can have times')
+  t.ok(
+    end.type === 'dragend' && end.page.x > 100 && end.timeStamp > 20,
+    'inertia is run to the end with the simulated animation frames')
+
+  const gestureEvents = []
+
+  draggable.draggable(false).gesturable({ onmove: (e) => gestureEvents.push(e) })
+
+  await interact.simulate(dragElement, [
+    { type: 'down', pointers: [{ pointerId: 1, x: 40, y: 50 }, { pointerId: 2, x: 60, y: 50 }] },
+    {
+      type: 'move',
+      pointers: [
+        { pointerId: 1, path: [{ x: 30, y: 50 }, { x: 20, y: 50 }] },
+        { pointerId: 2, path: [{ x: 70, y: 50 }, { x: 80, y: 50 }] },
+      ],
+    },
+    { type: 'up', pointers: [{ pointerId: 1 }, { pointerId: 2 }] },
+  ], { pointerType: 'touch' })
+
+  t.deepEqual(
+    gestureEvents.map((e) => e.scale.toFixed(2)),
+    ['1.00', '1.33', '1.67', '2.00'],
+    'pointers of multi-touch steps are moved together')
+
+  draggable.gesturable(false).draggable({ hold: 10, inertia: false })
+
+  events = await interact.simulate(dragElement, [
+    { type: 'down' },
+    { type: 'hold', duration: 20 },
+    { type: 'up' },
+  ], { startTime: 0 })
+
+  t.deepEqual(
+    events.filter((e) => /^drag/.test(e.type)).map((e) => e.type),
+    ['dragstart', 'dragend'],
+    'hold steps wait for hold timers')
+
+  draggable.unset()
+  dropzone.unset()
+  window.Promise = prevPromise
+
+  t.end()
+})
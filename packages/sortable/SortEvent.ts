@@ -0,0 +1,43 @@
+import BaseEvent from '@interactjs/core/BaseEvent'
+import Interactable from '@interactjs/core/Interactable'
+import InteractEvent from '@interactjs/core/InteractEvent'
+import Interaction from '@interactjs/core/Interaction'
+import { ActionName } from '@interactjs/core/scope'
+
+export class SortEvent extends BaseEvent {
+  target: Element
+  sortable: Interactable
+  dragEvent: InteractEvent<ActionName.Drag>
+  relatedTarget: Element
+  item: Element
+  placeholder: Element
+  from: Element
+  to: Element
+  oldIndex: number
+  newIndex: number
+  timeStamp: number
+
+  /**
+   * Class of events fired on sortable lists while one of their items is
+   * dragged.
+   */
+  constructor (sortState: Interaction['sortState'], sortable: Interactable, element: Element, dragEvent: InteractEvent, type: string) {
+    super(dragEvent._interaction)
+
+    this.type          = type
+    this.target        = element
+    this.currentTarget = element
+    this.sortable      = sortable
+    this.dragEvent     = dragEvent
+    this.relatedTarget = sortState.item
+    this.item          = sortState.item
+    this.placeholder   = sortState.placeholder
+    this.from          = sortState.from.element
+    this.to            = sortState.to && sortState.to.element
+    this.oldIndex      = sortState.oldIndex
+    this.newIndex      = sortState.newIndex
+    this.timeStamp     = dragEvent.timeStamp
+  }
+}
+
+export default SortEvent
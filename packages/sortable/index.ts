@@ -0,0 +1,402 @@
+import drop from '@interactjs/actions/drop'
+import Interactable from '@interactjs/core/Interactable'
+import InteractEvent from '@interactjs/core/InteractEvent'
+import Interaction from '@interactjs/core/Interaction'
+import { Scope } from '@interactjs/core/scope'
+import * as utils from '@interactjs/utils'
+import SortEvent from './SortEvent'
+
+export type SortableMethod = Interact.ActionMethod<Interact.SortableOptions>
+
+interface SortChecker extends Interact.DropFunctionChecker {
+  userChecker?: Interact.DropFunctionChecker
+}
+
+export interface SortList {
+  sortable: Interactable  // the sortable list Interactable
+  element: Element        // the list element
+}
+
+declare module '@interactjs/core/Interactable' {
+  interface Interactable {
+    sortable: SortableMethod
+  }
+}
+
+declare module '@interactjs/core/Interaction' {
+  interface Interaction {
+    sortState?: {
+      from: SortList        // the list that the item was dragged from
+      to: SortList          // the list that the item is currently over
+      item: Element         // the dragged item
+      placeholder: Element  // the element showing the insertion position
+      oldIndex: number      // the index of the item when the drag started
+      newIndex: number      // the insertion index in the current list or -1
+    }
+  }
+}
+
+declare module '@interactjs/core/defaultOptions' {
+  interface ActionDefaults {
+    sort: Interact.SortableOptions
+  }
+}
+
+function install (scope: Scope) {
+  const {
+    actions,
+    /** @lends Interactable */
+    Interactable, // eslint-disable-line no-shadow
+    interactions,
+    defaults,
+  } = scope
+
+  scope.usePlugin(drop)
+
+  interactions.signals.on('new', ({ interaction }) => {
+    interaction.sortState = null
+  })
+
+  interactions.signals.on('after-action-start', ({ interaction, iEvent }) => {
+    if (interaction.prepared.name !== 'drag') { return }
+
+    const item = interaction.element
+    const from = getSortList(scope, item)
+
+    if (!from) { return }
+
+    const oldIndex = getItems(from, []).indexOf(item)
+
+    interaction.sortState = {
+      from,
+      to: from,
+      item,
+      placeholder: null,
+      oldIndex,
+      newIndex: oldIndex,
+    }
+
+    fireSortEvent(interaction, from, iEvent, 'sortstart')
+  })
+
+  interactions.signals.on('after-action-move', ({ interaction, iEvent }) => {
+    if (!interaction.sortState) { return }
+
+    const to = updateSortState(interaction, iEvent)
+
+    if (to) {
+      fireSortEvent(interaction, to, iEvent, 'sortmove')
+    }
+  })
+
+  interactions.signals.on('after-action-end', ({ interaction, iEvent }) => {
+    if (!interaction.sortState) { return }
+
+    const to = updateSortState(interaction, iEvent)
+    const { sortState } = interaction
+    const { from, item, oldIndex, newIndex } = sortState
+
+    removePlaceholder(sortState)
+
+    if (!to || (to.element === from.element && newIndex === oldIndex)) { return }
+
+    insertAt(item, to, getItems(to, [item]), newIndex)
+
+    fireSortEvent(interaction, to, iEvent, 'sortupdate')
+
+    if (to.element !== from.element) {
+      fireSortEvent(interaction, from, iEvent, 'sortupdate')
+    }
+  })
+
+  interactions.signals.on('stop', ({ interaction }) => {
+    if (!interaction.sortState) { return }
+
+    removePlaceholder(interaction.sortState)
+    interaction.sortState = null
+  })
+
+  /**
+   * ```js
+   * interact('.list').sortable({
+   *   items: '.list-item',
+   *   axis: 'y',
+   *   connectWith: '.other-list',
+   *   onupdate (event) {
+   *     console.log(event.oldIndex, event.newIndex, event.from, event.to)
+   *   },
+   * })
+   * ```
+   *
+   * Returns or sets whether the `items` of this list can be reordered by
+   * dragging them. The items are made draggable and the list becomes a
+   * dropzone.
+   *
+   * Sortable lists can receive the following events:
+   *  - `sortstart` when one of the list's items starts being dragged
+   *  - `sortmove` when an item is dragged over the list
+   *  - `sortupdate` when an item is dropped at a new position in the list or
+   *  moved into or out of the list
+   *
+   * Use the `axis` option to set how the insertion index is found. The
+   * allowed values are:
+   *
+   *   - `'y'`, the items are in a vertical list (default)
+   *   - `'x'`, the items are in a horizontal list
+   *   - `'xy'`, the items are in a grid of rows
+   *
+   * Use the `placeholder` option to show where the dragged item would be
+   * inserted. By default, a hidden clone of the item is used. The value can
+   * also be a function which returns a new element for the dragged item or
+   * `false` to disable the placeholder.
+   *
+   * Use the `connectWith` option to allow items to be moved into the lists
+   * that match the given CSS selector or element.
+   *
+   * @param {boolean | object} [options] The new options to be set.
+   * @return {object | Interactable} The current options or this Interactable
+   */
+  Interactable.prototype.sortable = function (this: Interact.Interactable, options?: Interact.SortableOptions | boolean) {
+    return sortableMethod(scope, this, options)
+  }
+
+  utils.arr.merge(actions.eventTypes, [
+    'sortstart',
+    'sortmove',
+    'sortupdate',
+  ])
+  actions.methodDict.sort = 'sortable'
+
+  defaults.actions.sort = sortable.defaults
+}
+
+function sortableMethod (scope: Scope, interactable: Interact.Interactable): Interact.SortableOptions
+function sortableMethod (scope: Scope, interactable: Interact.Interactable, options: Interact.SortableOptions | boolean)
+function sortableMethod (scope: Scope, interactable: Interact.Interactable, options?: Interact.SortableOptions | boolean) {
+  if (utils.is.object(options)) {
+    interactable.options.sort.enabled = options.enabled !== false
+    interactable.setPerAction('sort', options)
+
+    if (utils.is.func(options.onstart)) { interactable.on('sortstart', options.onstart) }
+    if (utils.is.func(options.onmove)) { interactable.on('sortmove', options.onmove) }
+    if (utils.is.func(options.onupdate)) { interactable.on('sortupdate', options.onupdate) }
+
+    if (/^(xy|x|y)$/.test(options.axis)) {
+      interactable.options.sort.axis = options.axis
+    }
+
+    setUpList(scope, interactable)
+
+    return interactable
+  }
+
+  if (utils.is.bool(options)) {
+    interactable.options.sort.enabled = options
+    setUpList(scope, interactable)
+
+    return interactable
+  }
+
+  return interactable.options.sort
+}
+
+// make the list a dropzone and its items draggable
+function setUpList (scope: Scope, interactable: Interact.Interactable) {
+  const { enabled, items } = interactable.options.sort
+  const prevChecker = interactable.options.drop.checker as SortChecker
+  // a checker which was set on the list's dropzone is called after the sort check
+  const userChecker = prevChecker && prevChecker.userChecker !== undefined
+    ? prevChecker.userChecker
+    : prevChecker
+  const checker: SortChecker = (dragEvent, event, dropped, dropzone, dropElement, draggable, draggableElement) => {
+    dropped = dropped && canSortInto(scope, draggableElement, dropElement)
+
+    return userChecker
+      ? userChecker(dragEvent, event, dropped, dropzone, dropElement, draggable, draggableElement)
+      : dropped
+  }
+
+  checker.userChecker = userChecker || null
+
+  interactable.dropzone({ enabled, checker })
+
+  if (!enabled || !items) { return }
+
+  const context = interactable._context
+  const itemsInteractable = scope.interactables.get(items, { context }) ||
+    scope.interactables.new(items, { context })
+
+  if (!itemsInteractable.options.drag.enabled) {
+    itemsInteractable.draggable(true)
+  }
+}
+
+function isSortable (interactable: Interact.Interactable) {
+  const options = interactable.options.sort
+
+  return !!(options && options.enabled && options.items)
+}
+
+function getListElements (interactable: Interact.Interactable): Element[] {
+  return utils.is.string(interactable.target)
+    ? utils.arr.from(interactable._context.querySelectorAll(interactable.target))
+    : [interactable.target as Element]
+}
+
+// find the innermost sortable list which has the item
+function getSortList ({ interactables }: Scope, item: Element): SortList {
+  let found: SortList = null
+
+  for (const interactable of interactables.list) {
+    if (!isSortable(interactable) || !utils.dom.matchesSelector(item, interactable.options.sort.items)) {
+      continue
+    }
+
+    for (const element of getListElements(interactable)) {
+      if (element !== item &&
+          utils.dom.nodeContains(element, item) &&
+          (!found || utils.dom.nodeContains(found.element, element))) {
+        found = { sortable: interactable, element }
+      }
+    }
+  }
+
+  return found
+}
+
+function canSortInto (scope: Scope, item: Element, listElement: Element) {
+  const from = getSortList(scope, item)
+
+  if (!from) { return false }
+
+  const { connectWith } = from.sortable.options.sort
+
+  return from.element === listElement ||
+    (utils.is.string(connectWith)
+      ? utils.dom.matchesSelector(listElement, connectWith)
+      : connectWith === listElement)
+}
+
+function getItems ({ sortable, element }: SortList, exclude: Element[]): Element[] {
+  return utils.arr.from(element.querySelectorAll(sortable.options.sort.items))
+    .filter((item: Element) => !utils.arr.contains(exclude, item))
+}
+
+// the index of the first item which the point is before
+function getInsertIndex (interaction: Interaction, items: Element[], axis: string, page: Interact.Point) {
+  for (let i = 0; i < items.length; i++) {
+    const rect = interaction.interactable.getRect(items[i])
+
+    if (!rect) { continue }
+
+    const centerX = (rect.left + rect.right) / 2
+    const centerY = (rect.top + rect.bottom) / 2
+    const isBefore = axis === 'x'
+      ? page.x < centerX
+      : axis === 'y'
+        ? page.y < centerY
+        : page.y < rect.top || (page.y < rect.bottom && page.x < centerX)
+
+    if (isBefore) { return i }
+  }
+
+  return items.length
+}
+
+function insertAt (element: Element, list: SortList, items: Element[], index: number) {
+  const next = items[index]
+  const prev = items[items.length - 1]
+
+  if (next) {
+    next.parentNode.insertBefore(element, next)
+  }
+  else if (prev) {
+    prev.parentNode.insertBefore(element, prev.nextSibling)
+  }
+  else {
+    list.element.appendChild(element)
+  }
+}
+
+// update the target list, insertion index and placeholder from the dropState
+function updateSortState (interaction: Interaction, dragEvent: InteractEvent) {
+  const { sortState, dropState } = interaction
+  const { cur } = dropState
+  const to: SortList = !dropState.rejected && cur.dropzone && isSortable(cur.dropzone)
+    ? { sortable: cur.dropzone, element: cur.element }
+    : null
+
+  sortState.to = to
+
+  if (!to) {
+    sortState.newIndex = -1
+    removePlaceholder(sortState)
+
+    return null
+  }
+
+  const items = getItems(to, [sortState.item, sortState.placeholder])
+  const { localTransform } = interaction
+  // the item rects are in page coords
+  const page = localTransform
+    ? utils.matrix.applyToPoint(localTransform.matrix, dragEvent.page)
+    : dragEvent.page
+  const index = getInsertIndex(interaction, items, to.sortable.options.sort.axis, page)
+
+  sortState.newIndex = index
+
+  if (to.element === sortState.from.element && index === sortState.oldIndex) {
+    removePlaceholder(sortState)
+  }
+  else {
+    const placeholder = sortState.placeholder ||
+      (sortState.placeholder = createPlaceholder(sortState.from.sortable.options.sort.placeholder, sortState.item))
+
+    if (placeholder) {
+      insertAt(placeholder, to, items, index)
+    }
+  }
+
+  return to
+}
+
+function createPlaceholder (option: Interact.SortableOptions['placeholder'], item: Element) {
+  if (utils.is.func(option)) {
+    return option(item)
+  }
+
+  if (!option) { return null }
+
+  const placeholder = item.cloneNode(true) as HTMLElement
+
+  placeholder.removeAttribute('id')
+  placeholder.style.visibility = 'hidden'
+
+  return placeholder
+}
+
+function removePlaceholder (sortState: Interaction['sortState']) {
+  const { placeholder } = sortState
+
+  if (placeholder && placeholder.parentNode) {
+    placeholder.parentNode.removeChild(placeholder)
+  }
+}
+
+function fireSortEvent (interaction: Interaction, list: SortList, dragEvent: InteractEvent, type: string) {
+  list.sortable.fire(new SortEvent(interaction.sortState, list.sortable, list.element, dragEvent, type))
+}
+
+const sortable = {
+  id: 'sortable',
+  install,
+  defaults: {
+    enabled: false,
+    items: null,
+    axis: 'y',
+    placeholder: true,
+    connectWith: null,
+  } as Interact.SortableOptions,
+}
+
+export default sortable
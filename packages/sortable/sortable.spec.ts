@@ -0,0 +1,258 @@
+import test from '@interactjs/_dev/test/test'
+import * as helpers from '@interactjs/core/tests/_helpers'
+import pointerUtils, { MockCoords } from '@interactjs/utils/pointerUtils'
+import sortable from './index'
+
+test('sortable', (t) => {
+  const scope: Interact.Scope = helpers.mockScope()
+  scope.interact = {} as any
+  scope.usePlugin(sortable)
+
+  const { document: doc } = scope
+  const root = doc.createElement('div')
+  const rects = new Map<Element, Interact.Rect>()
+
+  // two vertical lists side by side, each item is 100px tall
+  const lists = [0, 200].map((left) => {
+    const list = doc.createElement('ul')
+
+    list.className = 'test-list'
+    root.appendChild(list)
+    rects.set(list, { left, right: left + 100, top: 0, bottom: 300 })
+
+    return list
+  })
+  const items = ['a0', 'a1', 'a2', 'b0'].map((name, i) => {
+    const item = doc.createElement('li')
+    const list = lists[i < 3 ? 0 : 1]
+    const top = (i % 3) * 100
+
+    item.id = name
+    item.className = 'test-item'
+    list.appendChild(item)
+    rects.set(item, { left: rects.get(list).left, right: rects.get(list).right, top, bottom: top + 100 })
+
+    return item
+  })
+
+  doc.body.appendChild(root)
+
+  const events: any[] = []
+  const listInteractables = lists.map((list) => scope.interactables.new(list).sortable({
+    items: '.test-item',
+    listeners: { start: logEvent, move: logEvent, update: logEvent },
+  }))
+  const itemsInteractable = scope.interactables.get('.test-item', { context: doc })
+
+  for (const interactable of [...listInteractables, itemsInteractable]) {
+    interactable.rectChecker((element) => ({ ...rects.get(element) }))
+  }
+
+  t.ok(itemsInteractable && itemsInteractable.options.drag.enabled, 'items are made draggable')
+  t.ok(listInteractables[0].options.drop.enabled, 'list is made a dropzone')
+
+  const coords = pointerUtils.newCoords() as MockCoords
+  const event = pointerUtils.coordsToEvent(coords)
+  const getOrder = (list) => Array.from(list.children).map((el: Element) => el.id || 'placeholder')
+
+  function drag (item: Element, path: Interact.Point[]) {
+    const interaction = scope.interactions.new({})
+
+    coords.page = { ...path[0] }
+    coords.client = { ...path[0] }
+    interaction.pointerDown(event, event, item)
+    interaction.start({ name: 'drag' }, itemsInteractable, item)
+
+    for (const point of path.slice(1)) {
+      coords.page = { ...point }
+      coords.client = { ...point }
+      interaction.pointerMove(event, event, item)
+    }
+
+    interaction.pointerUp(event, event, item, item)
+
+    return interaction
+  }
+
+  // move a0 below a1 within the first list
+  const interaction = scope.interactions.new({})
+
+  coords.page = { x: 50, y: 50 }
+  coords.client = { x: 50, y: 50 }
+  interaction.pointerDown(event, event, items[0])
+  interaction.start({ name: 'drag' }, itemsInteractable, items[0])
+
+  t.deepEqual(
+    events.map((e) => [e.type, e.target, e.item, e.oldIndex]),
+    [['sortstart', lists[0], items[0], 0]],
+    'sortstart is fired on the list with the item index')
+
+  coords.page = { x: 50, y: 210 }
+  coords.client = { x: 50, y: 210 }
+  interaction.pointerMove(event, event, items[0])
+
+  t.deepEqual(
+    [events[1].type, events[1].newIndex],
+    ['sortmove', 1],
+    'sortmove has the insertion index')
+  t.deepEqual(
+    getOrder(lists[0]),
+    ['a0', 'a1', 'placeholder', 'a2'],
+    'placeholder is inserted at the insertion index')
+  t.equal(
+    (lists[0].children[2] as HTMLElement).style.visibility,
+    'hidden',
+    'default placeholder is a hidden clone')
+
+  events.splice(0)
+  interaction.pointerUp(event, event, items[0], items[0])
+
+  t.deepEqual(
+    events.map((e) => [e.type, e.oldIndex, e.newIndex]),
+    [['sortupdate', 0, 1]],
+    'sortupdate reports the old and new indexes')
+  t.deepEqual(getOrder(lists[0]), ['a1', 'a0', 'a2'], 'item is moved and placeholder is removed')
+
+  // dropping an item at its start position doesn't update
+  events.splice(0)
+  drag(items[2], [{ x: 50, y: 250 }, { x: 50, y: 260 }])
+
+  t.deepEqual(events.map((e) => e.type), ['sortstart', 'sortmove'], 'no sortupdate without a change')
+
+  // lists aren't connected by default
+  events.splice(0)
+  drag(items[1], [{ x: 50, y: 50 }, { x: 250, y: 50 }])
+
+  t.deepEqual(events.map((e) => e.type), ['sortstart'], 'items are not moved into unconnected lists')
+  t.deepEqual(getOrder(lists[1]), ['b0'], 'unconnected list is unchanged')
+
+  // move a2 into the second list before b0
+  listInteractables[0].sortable({ connectWith: lists[1] })
+  events.splice(0)
+  drag(items[2], [{ x: 50, y: 250 }, { x: 250, y: 20 }])
+
+  t.deepEqual(
+    events.map((e) => [e.type, e.target, e.from, e.to, e.oldIndex, e.newIndex]),
+    [
+      ['sortstart', lists[0], lists[0], lists[0], 2, 2],
+      ['sortmove', lists[1], lists[0], lists[1], 2, 0],
+      ['sortupdate', lists[1], lists[0], lists[1], 2, 0],
+      ['sortupdate', lists[0], lists[0], lists[1], 2, 0],
+    ],
+    'items can be moved into connected lists')
+  t.deepEqual(
+    [getOrder(lists[0]), getOrder(lists[1])],
+    [['a1', 'a0'], ['a2', 'b0']],
+    'item is moved into the connected list')
+
+  // checkers of the list's dropzone are kept and get the result of the sort check
+  const checkerResults = []
+
+  listInteractables[1]
+    .dropzone({ checker: (_dragEvent, _event, dropped) => { checkerResults.push(dropped); return false } })
+    .sortable({ onend: logEvent })
+  events.splice(0)
+  drag(items[1], [{ x: 50, y: 50 }, { x: 250, y: 50 }])
+
+  t.ok(checkerResults.length && checkerResults.every((dropped) => dropped), 'dropzone checker is called')
+  t.deepEqual(
+    [events.filter((e) => e.type === 'sortupdate'), getOrder(lists[1])],
+    [[], ['a2', 'b0']],
+    'items are not moved into lists that the dropzone checker rejects')
+  t.notOk(listInteractables[1].events.types.sortend, 'onend is not added as a sortend listener')
+
+  t.equal(scope.interactions.list.every((i) => !i.sortState), true, 'sortState is cleared on stop')
+
+  for (const interactable of [...listInteractables, itemsInteractable]) {
+    interactable.unset()
+  }
+
+  root.parentNode.removeChild(root)
+
+  t.end()
+
+  function logEvent (e) {
+    events.push(e)
+  }
+})
+
+test('sortable insertion index', (t) => {
+  const scope: Interact.Scope = helpers.mockScope()
+  scope.interact = {} as any
+  scope.usePlugin(sortable)
+
+  const { document: doc } = scope
+  const list = doc.createElement('div')
+  const rects = new Map<Element, Interact.Rect>()
+
+  // a 2x2 grid of 100px items
+  for (let i = 0; i < 4; i++) {
+    const item = doc.createElement('div')
+    const left = (i % 2) * 100
+    const top = Math.floor(i / 2) * 100
+
+    item.className = 'grid-item'
+    list.appendChild(item)
+    rects.set(item, { left, top, right: left + 100, bottom: top + 100 })
+  }
+
+  rects.set(list, { left: 0, top: 0, right: 200, bottom: 200 })
+  doc.body.appendChild(list)
+
+  const listInteractable = scope.interactables.new(list).sortable({ items: '.grid-item', placeholder: false })
+  const itemsInteractable = scope.interactables.get('.grid-item', { context: doc })
+
+  for (const interactable of [listInteractable, itemsInteractable]) {
+    interactable.rectChecker((element) => ({ ...rects.get(element) }))
+  }
+
+  const newIndexes = []
+  const coords = pointerUtils.newCoords() as MockCoords
+  const event = pointerUtils.coordsToEvent(coords)
+  const item = list.children[0]
+  const interaction = scope.interactions.new({})
+
+  listInteractable.on('sortmove', (e) => newIndexes.push(e.newIndex))
+
+  coords.page = coords.client = { x: 50, y: 50 }
+  interaction.pointerDown(event, event, item)
+  interaction.start({ name: 'drag' }, itemsInteractable, item)
+
+  const checkPoints = (axis, points, expected, message) => {
+    listInteractable.sortable({ axis })
+    newIndexes.splice(0)
+
+    for (const point of points) {
+      coords.page = coords.client = point
+      interaction.pointerMove(event, event, item)
+    }
+
+    t.deepEqual(newIndexes, expected, message)
+  }
+
+  // the other items are [1, 2, 3] at (100, 0), (0, 100) and (100, 100)
+  checkPoints(
+    'xy',
+    [{ x: 120, y: 20 }, { x: 180, y: 20 }, { x: 20, y: 120 }, { x: 180, y: 180 }],
+    [0, 1, 1, 3],
+    'grid index uses rows then columns')
+  checkPoints(
+    'x',
+    [{ x: 20, y: 150 }, { x: 180, y: 20 }],
+    [0, 3],
+    'x axis index uses horizontal centers')
+  checkPoints(
+    'y',
+    [{ x: 170, y: 20 }, { x: 20, y: 180 }],
+    [0, 3],
+    'y axis index uses vertical centers')
+
+  t.equal(list.children.length, 4, 'no placeholder with placeholder: false')
+
+  interaction.pointerUp(event, event, item, item)
+  listInteractable.unset()
+  itemsInteractable.unset()
+  list.parentNode.removeChild(list)
+
+  t.end()
+})
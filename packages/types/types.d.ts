@@ -11,6 +11,7 @@ import * as iEvent from '@interactjs/core/InteractEvent'
 import * as interaction from '@interactjs/core/Interaction'
 import * as scope from '@interactjs/core/scope'
 import interact from '@interactjs/interact/interact'
+import * as matrix from '@interactjs/utils/matrix'
 import * as signals from '@interactjs/utils/Signals'
 
 declare namespace Interact {
@@ -40,6 +41,8 @@ declare namespace Interact {
   export type DragEvent = actions.DragEvent
   export type ResizeEvent = actions.ResizeEvent
   export type GestureEvent = actions.GestureEvent
+  export type RotateEvent = actions.RotateEvent
+  export type SelectEvent = actions.SelectEvent
 
   export interface Point {
     x: number
@@ -105,6 +108,15 @@ declare namespace Interact {
   }
   export type AutoScrollOptions = AutoScrollOption | boolean
 
+  export interface KeyboardOption {
+    enabled?: boolean
+    // the distance in pixels that each arrow key press moves the pointer
+    step?: number
+    // the edges to resize from when a resize is started with the keyboard
+    edges?: EdgeOptions
+  }
+  export type KeyboardOptions = KeyboardOption | boolean
+
   export type CSSSelector = string
   export type DOMElement = any
 
@@ -147,20 +159,55 @@ declare namespace Interact {
   export interface DraggableOptions extends Options {
     startAxis?: 'x' | 'y' | 'xy'
     lockAxis?: 'x' | 'y' | 'xy' | 'start'
+    followers?: CSSSelector | DOMElement[] | ((interaction: Interaction, element: DOMElement) => DOMElement[])
+    preview?: DragPreviewOptions | boolean
+    revert?: DragRevertOptions | boolean
+    data?: any
+    dataType?: string | string[]
     oninertiastart?: ListenersArg
     onstart?: Interact.ListenersArg
     onmove?: Interact.ListenersArg
     onend?: Interact.ListenersArg
   }
 
+  export interface DragPreviewOptions {
+    enabled?: boolean
+    // the element to move instead of the draggable. A clone by default
+    element?: 'clone' | DOMElement | ((element: DOMElement, interaction: Interaction) => DOMElement)
+    // the element that the preview is appended to. The document body by default
+    container?: CSSSelector | DOMElement
+  }
+
+  export interface DragRevertOptions {
+    enabled?: boolean
+    // the duration of the animation in milliseconds
+    duration?: number
+    // allow resuming the drag while it's being reverted
+    allowResume?: boolean
+  }
+
   export interface DropzoneOptions extends Options {
-    accept?: string | Element | (({ dropzone, draggableElement }: {
+    accept?: string | Element | { types: string[] } | (({ dropzone, draggableElement, data, dataTransfer }: {
       dropzone: Interact.Interactable,
-      draggableElement: Element
+      draggableElement: Element,
+      data: any,                  // the draggable's `data`
+      dataTransfer: DataTransfer, // set for native HTML5 drags
     }) => boolean)
     // How the overlap is checked on the drop zone
     overlap?: 'pointer' | 'center' | number
     checker?: DropFunctionChecker
+    // also accept native HTML5 drags
+    native?: boolean
+    // how the drop target is chosen from nested dropzones that a drag is over
+    nested?: 'deepest' | 'shallowest' | 'priority' | ((drops: Array<{
+      dropzone: Interact.Interactable,
+      element: Element,
+      rect: Interact.Rect,
+    }>) => { dropzone: Interact.Interactable, element: Element })
+    // the priority of the dropzone with `nested: 'priority'`
+    priority?: number
+    // also fire events when the drag is over a nested dropzone
+    nestedEvents?: boolean
 
     ondropactivate?: Interact.ListenersArg
     ondropdeactivate?: Interact.ListenersArg
@@ -189,6 +236,7 @@ declare namespace Interact {
     //
     invert?: 'none' | 'negate' | 'reposition'
     margin?: number,
+    transformed?: boolean
     squareResize?: boolean
     oninertiastart?: ListenersArg
     onstart?: Interact.ListenersArg
@@ -196,7 +244,90 @@ declare namespace Interact {
     onend?: Interact.ListenersArg
   }
 
+  export interface RotatableOptions extends Options {
+    // a CSS selector or element which must be pressed to start rotating
+    handle?: CSSSelector | DOMElement
+    onstart?: Interact.ListenersArg
+    onmove?: Interact.ListenersArg
+    onend?: Interact.ListenersArg
+  }
+
+  export interface SelectableOptions extends Options {
+    // CSS selector of the elements in the target that can be selected
+    items?: CSSSelector
+    // how much of an item the selection rect must cover
+    overlap?: 'touch' | 'pointer' | 'center' | number
+    // the current selection which is kept by additive selections
+    selected?: CSSSelector | Element[] | ((interactable: Interactable, element: Element) => CSSSelector | Element[])
+    onstart?: Interact.ListenersArg
+    onmove?: Interact.ListenersArg
+    onend?: Interact.ListenersArg
+  }
+
+  export interface SortableOptions extends Options {
+    // CSS selector of the list items that can be sorted
+    items?: CSSSelector
+    // 'y' for vertical lists, 'x' for horizontal lists and 'xy' for grids
+    axis?: 'x' | 'y' | 'xy'
+    // show an element where the dragged item would be inserted
+    placeholder?: boolean | ((item: Element) => Element)
+    // other lists that items can be moved into
+    connectWith?: CSSSelector | DOMElement
+    onstart?: Interact.ListenersArg
+    onmove?: Interact.ListenersArg
+    onupdate?: Interact.ListenersArg
+  }
+
+  export interface SimulatePointer {
+    pointerId?: number
+    // page coords. The pointer's last position or the center of the target
+    // is used if they're not given
+    x?: number
+    y?: number
+    // the points of a move step. time is from the start of the simulation
+    path?: Array<{ x: number, y: number, time?: number }>
+  }
+
+  export interface SimulateStep extends SimulatePointer {
+    type: 'down' | 'move' | 'up' | 'cancel' | 'hold'
+    // of the move along the path or of the hold. Holds also wait in real time
+    duration?: number
+    // for steps of more than one pointer at a time
+    pointers?: SimulatePointer[]
+  }
+
+  export interface SimulateOptions {
+    pointerType?: 'mouse' | 'touch' | 'pen'
+    // the clock time at the start of the simulation
+    startTime?: number
+    frameDuration?: number
+    // the max time to run animation frames for after the last step
+    settleDuration?: number
+  }
+
+  export interface GesturePartOptions {
+    enabled?: boolean
+    // the change needed before the part of the gesture is applied to events
+    threshold?: number
+  }
+
+  export interface GestureWheelOptions {
+    enabled?: boolean
+    // the change in log scale per pixel of ctrl+wheel delta
+    zoomSpeed?: number
+    // plain wheel events pan the gesture
+    pan?: boolean
+    // the time in milliseconds without input before the gesture is ended
+    endDelay?: number
+  }
+
   export interface GesturableOptions extends Options {
+    pinch?: GesturePartOptions | boolean    // threshold is the change in scale
+    rotation?: GesturePartOptions | boolean // threshold in degrees
+    pan?: GesturePartOptions | boolean      // threshold in pixels
+    minPointers?: number
+    maxPointers?: number
+    wheel?: GestureWheelOptions | boolean   // mouse wheel and trackpad input
     onstart?: Interact.ListenersArg
     onmove?: Interact.ListenersArg
     onend?: Interact.ListenersArg
@@ -212,6 +343,9 @@ declare namespace Interact {
 
   export type OriginFunction = (target: DOMElement)  => 'self' | 'parent' | Rect | Point | CSSSelector | DOMElement
 
+  export type Matrix = matrix.Matrix
+  export type CoordinateSpace = Matrix | DOMElement | ((interactable: Interactable, element: DOMElement) => Matrix | DOMElement)
+
   export interface PointerEventsOptions {
     holdDuration?: number
     allowFrom?: string
@@ -237,6 +371,8 @@ declare namespace Interact {
     'dragstart'
     | 'dragmove'
     | 'draginertiastart'
+    | 'dragrevertstart'
+    | 'dragrevertend'
     | 'dragend'
     | 'resizestart'
     | 'resizemove'
@@ -245,6 +381,12 @@ declare namespace Interact {
     | 'gesturestart'
     | 'gesturemove'
     | 'gestureend'
+    | 'rotatestart'
+    | 'rotatemove'
+    | 'rotateend'
+    | 'selectstart'
+    | 'selectmove'
+    | 'selectend'
     // drop
     | 'dropactivate'
     | 'dropdeactivate'
@@ -252,6 +394,10 @@ declare namespace Interact {
     | 'dragleave'
     | 'dropmove'
     | 'drop'
+    // sortable
+    | 'sortstart'
+    | 'sortmove'
+    | 'sortupdate'
     // pointer events
     | 'down'
     | 'move'
@@ -265,6 +411,8 @@ declare namespace Interact {
     dragstart?: ListenersArg
     dragmove?: ListenersArg
     draginertiastart?: ListenersArg
+    dragrevertstart?: ListenersArg
+    dragrevertend?: ListenersArg
     dragend?: ListenersArg
     resizestart?: ListenersArg
     resizemove?: ListenersArg
@@ -273,6 +421,12 @@ declare namespace Interact {
     gesturestart?: ListenersArg
     gesturemove?: ListenersArg
     gestureend?: ListenersArg
+    rotatestart?: ListenersArg
+    rotatemove?: ListenersArg
+    rotateend?: ListenersArg
+    selectstart?: ListenersArg
+    selectmove?: ListenersArg
+    selectend?: ListenersArg
     // drop
     dropactivate?: ListenersArg
     dropdeactivate?: ListenersArg
@@ -280,6 +434,10 @@ declare namespace Interact {
     dragleave?: ListenersArg
     dropmove?: ListenersArg
     drop?: ListenersArg
+    // sortable
+    sortstart?: ListenersArg
+    sortmove?: ListenersArg
+    sortupdate?: ListenersArg
     // pointer events
     down?: ListenersArg
     move?: ListenersArg
@@ -51,6 +51,7 @@ export { default as events } from './events'
 export { default as extend } from './extend'
 export { default as getOriginXY } from './getOriginXY'
 export { default as hypot } from './hypot'
+export { default as matrix } from './matrix'
 export { default as normalizeListeners } from './normalizeListeners'
 export { default as pointer } from './pointerUtils'
 export { default as raf } from './raf'
@@ -0,0 +1,40 @@
+import test from '@interactjs/_dev/test/test'
+import * as matrix from './matrix'
+
+test('utils/matrix', (t) => {
+  const rotate90 = { a: 0, b: 1, c: -1, d: 0, e: 10, f: 20 }
+
+  t.deepEqual(matrix.fromString('matrix(0, 1, -1, 0, 10, 20)'), rotate90, 'parses matrix()')
+  t.deepEqual(
+    matrix.fromString('matrix3d(0, 1, 0, 0, -1, 0, 0, 0, 0, 0, 1, 0, 10, 20, 0, 1)'),
+    rotate90,
+    'parses the 2D part of matrix3d()')
+  t.equal(matrix.fromString('none'), null, 'returns null for "none"')
+
+  t.deepEqual(matrix.applyToPoint(rotate90, { x: 1, y: 2 }), { x: 8, y: 21 }, 'applyToPoint')
+  t.deepEqual(matrix.applyToVector(rotate90, { x: 1, y: 2 }), { x: -2, y: 1 }, 'applyToVector ignores translation')
+  t.deepEqual(
+    matrix.multiply(rotate90, matrix.invert(rotate90)),
+    matrix.identity(),
+    'a matrix multiplied by its inverse is the identity')
+  t.equal(matrix.invert({ a: 0, b: 0, c: 0, d: 0, e: 0, f: 0 }), null, 'non-invertible matrix')
+
+  t.deepEqual(
+    matrix.applyToRect(rotate90, { left: 0, top: 0, right: 20, bottom: 10 }),
+    { left: 0, top: 20, right: 10, bottom: 40, width: 10, height: 20 },
+    'applyToRect returns the bounds of the transformed rect')
+
+  const scale = { a: 0.5, b: 0, c: 0, d: 0.5, e: 0, f: 0 }
+
+  t.deepEqual(
+    matrix.getCoordinateSpace(scale),
+    { matrix: { a: 2, b: 0, c: 0, d: 2, e: 0, f: 0 }, inverse: scale },
+    'coordinateSpace matrix maps page coords to local coords')
+  t.deepEqual(
+    matrix.getCoordinateSpace(() => scale),
+    matrix.getCoordinateSpace(scale),
+    'coordinateSpace function')
+  t.equal(matrix.getCoordinateSpace(null), null, 'null coordinateSpace is the page space')
+
+  t.end()
+})
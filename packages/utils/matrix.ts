@@ -0,0 +1,191 @@
+import { getElementRect } from './domUtils'
+import extend from './extend'
+import * as is from './is'
+import win from './window'
+
+// a 2D affine matrix with the same components as a CSS `matrix(a, b, c, d, e, f)`
+export interface Matrix {
+  a: number
+  b: number
+  c: number
+  d: number
+  e: number
+  f: number
+}
+
+export interface Transform {
+  matrix: Matrix        // maps local coords to page coords
+  inverse: Matrix       // maps page coords to local coords
+}
+
+export interface ElementTransform extends Transform {
+  rect: Interact.Rect & Interact.Size // the untransformed rect in local coords
+}
+
+export function identity (): Matrix {
+  return { a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 }
+}
+
+// parse the computed value of a CSS transform
+export function fromString (value: string): Matrix {
+  const match = value && /^matrix(3d)?\(([^)]+)\)$/.exec(value.trim())
+
+  if (!match) { return null }
+
+  const v = match[2].split(',').map(parseFloat)
+
+  return match[1]
+    ? { a: v[0], b: v[1], c: v[4], d: v[5], e: v[12], f: v[13] }
+    : { a: v[0], b: v[1], c: v[2], d: v[3], e: v[4], f: v[5] }
+}
+
+// the matrix which applies m2 and then m1
+export function multiply (m1: Matrix, m2: Matrix): Matrix {
+  return {
+    a: m1.a * m2.a + m1.c * m2.b,
+    b: m1.b * m2.a + m1.d * m2.b,
+    c: m1.a * m2.c + m1.c * m2.d,
+    d: m1.b * m2.c + m1.d * m2.d,
+    e: m1.a * m2.e + m1.c * m2.f + m1.e,
+    f: m1.b * m2.e + m1.d * m2.f + m1.f,
+  }
+}
+
+export function invert (m: Matrix): Matrix {
+  const det = m.a * m.d - m.b * m.c
+
+  if (!det) { return null }
+
+  return {
+    a:  m.d / det,
+    b: -m.b / det,
+    c: -m.c / det,
+    d:  m.a / det,
+    e: (m.c * m.f - m.d * m.e) / det,
+    f: (m.b * m.e - m.a * m.f) / det,
+  }
+}
+
+export function applyToPoint (m: Matrix, { x, y }: Interact.Point) {
+  return {
+    x: m.a * x + m.c * y + m.e,
+    y: m.b * x + m.d * y + m.f,
+  }
+}
+
+// apply the matrix without its translation, e.g. to a delta
+export function applyToVector (m: Matrix, { x, y }: Interact.Point) {
+  return {
+    x: m.a * x + m.c * y,
+    y: m.b * x + m.d * y,
+  }
+}
+
+// the bounding rect of the transformed corners of a rect
+export function applyToRect (m: Matrix, rect: Interact.Rect) {
+  const corners = [
+    applyToPoint(m, { x: rect.left,  y: rect.top }),
+    applyToPoint(m, { x: rect.right, y: rect.top }),
+    applyToPoint(m, { x: rect.left,  y: rect.bottom }),
+    applyToPoint(m, { x: rect.right, y: rect.bottom }),
+  ]
+  const xs = corners.map((c) => c.x)
+  const ys = corners.map((c) => c.y)
+  const left = Math.min(...xs)
+  const top = Math.min(...ys)
+  const right = Math.max(...xs)
+  const bottom = Math.max(...ys)
+
+  return { left, top, right, bottom, width: right - left, height: bottom - top }
+}
+
+export function isMatrix (value: any): value is Matrix {
+  return is.object(value) && ['a', 'b', 'c', 'd', 'e', 'f'].every((key) => is.number(value[key]))
+}
+
+function parseOrigin (value: string, size: number) {
+  const number = parseFloat(value)
+
+  if (isNaN(number)) { return size / 2 }
+
+  return /%$/.test(value) ? number * size / 100 : number
+}
+
+/**
+ * Get the CSS transform of an HTML element as a page coordinate matrix and the
+ * rect of the element before it was transformed. Only the transform of the
+ * element itself is used. Returns null if the element isn't transformed.
+ */
+export function getElementTransform (element: Element): ElementTransform {
+  if (!is.element(element) || !is.number((element as HTMLElement).offsetWidth)) { return null }
+
+  const style = win.getWindow(element).getComputedStyle(element)
+  const transform = fromString(style.transform)
+  const bounds = transform && getElementRect(element)
+
+  if (!bounds || !invert(transform)) { return null }
+
+  const width = (element as HTMLElement).offsetWidth
+  const height = (element as HTMLElement).offsetHeight
+  const originValues = (style.transformOrigin || '').split(' ')
+  const origin = {
+    x: parseOrigin(originValues[0], width),
+    y: parseOrigin(originValues[1], height),
+  }
+
+  // the center of the bounds is the transformed center of the element so
+  // the untransformed position can be found from it
+  const centerOffset = applyToVector(transform, { x: width / 2 - origin.x, y: height / 2 - origin.y })
+  const left = (bounds.left + bounds.right) / 2 - origin.x - centerOffset.x - transform.e
+  const top = (bounds.top + bounds.bottom) / 2 - origin.y - centerOffset.y - transform.f
+
+  // transform around the transform-origin in page coords
+  const pageOrigin = { x: left + origin.x, y: top + origin.y }
+  const matrix = multiply(
+    { a: 1, b: 0, c: 0, d: 1, e: pageOrigin.x, f: pageOrigin.y },
+    multiply(transform, { a: 1, b: 0, c: 0, d: 1, e: -pageOrigin.x, f: -pageOrigin.y }))
+
+  return {
+    matrix,
+    inverse: invert(matrix),
+    rect: { left, top, right: left + width, bottom: top + height, width, height },
+  }
+}
+
+/**
+ * Resolve a `coordinateSpace` option value to a transform between page coords
+ * and the local coords of the space. The value can be a matrix which maps page
+ * coords to local coords, a transformed Element whose untransformed space is
+ * used or a function which returns either of those. Returns null for the page
+ * coordinate space.
+ */
+export function getCoordinateSpace (
+  value: Interact.CoordinateSpace,
+  interactable?: Interact.Interactable,
+  element?: Element,
+): Transform {
+  const space = is.func(value) ? value(interactable, element) : value
+
+  if (isMatrix(space)) {
+    const matrix = invert(space)
+
+    return matrix && { matrix, inverse: extend({}, space) }
+  }
+
+  const transform = is.element(space) ? getElementTransform(space) : null
+
+  return transform && { matrix: transform.matrix, inverse: transform.inverse }
+}
+
+export default {
+  identity,
+  fromString,
+  multiply,
+  invert,
+  applyToPoint,
+  applyToVector,
+  applyToRect,
+  isMatrix,
+  getElementTransform,
+  getCoordinateSpace,
+}
@@ -164,11 +164,12 @@ const pointerUtils = {
       return null
     }
 
-    const touches = pointerUtils.getTouchPair(event)
-    const minX = Math.min(touches[0].pageX, touches[1].pageX)
-    const minY = Math.min(touches[0].pageY, touches[1].pageY)
-    const maxX = Math.max(touches[0].pageX, touches[1].pageX)
-    const maxY = Math.max(touches[0].pageY, touches[1].pageY)
+    // all of the pointers in an array are enclosed
+    const touches = is.array(event) ? event as any[] : pointerUtils.getTouchPair(event)
+    const minX = Math.min(...touches.map((touch) => touch.pageX))
+    const minY = Math.min(...touches.map((touch) => touch.pageY))
+    const maxX = Math.max(...touches.map((touch) => touch.pageX))
+    const maxY = Math.max(...touches.map((touch) => touch.pageY))
 
     return {
       x: minX,
@@ -0,0 +1,94 @@
+export interface SnapperOptions {
+  range?: number
+  limits?: Interact.Rect
+  offset?: Interact.Point
+}
+
+export type SnapTarget = Interact.Point & { range?: number }
+
+export interface AxisFields<T> {
+  x?: T
+  y?: T
+  left?: T
+  top?: T
+  right?: T
+  bottom?: T
+  width?: T
+  height?: T
+}
+
+const axisFields = [
+  ['x', 'y'],
+  ['left', 'top'],
+  ['right', 'bottom'],
+  ['width', 'height'],
+]
+
+const noLimits = {
+  left  : -Infinity,
+  right :  Infinity,
+  top   : -Infinity,
+  bottom:  Infinity,
+}
+
+/**
+ * Create a snap target function which snaps each of the x/y, left/top,
+ * right/bottom and width/height props that `grid` has separately by calling
+ * `snapValue` with the coordinate relative to the offset, the grid prop value
+ * and the prop name
+ */
+export function createAxisSnapper<T> (
+  grid: AxisFields<T> & SnapperOptions,
+  snapValue: (value: number, gridValue: T, field: string) => number,
+) {
+  const coordFields = axisFields.filter(([xField, yField]) => xField in grid || yField in grid)
+
+  return function (x: number, y: number) {
+    const {
+      range,
+      limits = noLimits,
+      offset = { x: 0, y: 0 },
+    } = grid
+
+    const result: AxisFields<number> & { range?: number } = { range }
+
+    for (const [xField, yField] of coordFields) {
+      result[xField] = clamp(snapValue(x - offset.x, grid[xField], xField) + offset.x, limits.left, limits.right)
+      result[yField] = clamp(snapValue(y - offset.y, grid[yField], yField) + offset.y, limits.top, limits.bottom)
+    }
+
+    return result
+  }
+}
+
+/**
+ * Create a snap target function which snaps x and y together by calling
+ * `snapPoint` with the coordinates relative to the offset and the interaction.
+ * `snapPoint` can return a target with its own range or `null` for no target
+ */
+export function createPointSnapper (
+  options: SnapperOptions,
+  snapPoint: (x: number, y: number, interaction?: Interact.Interaction) => SnapTarget,
+) {
+  return function (x: number, y: number, interaction?: Interact.Interaction) {
+    const {
+      range,
+      limits = noLimits,
+      offset = { x: 0, y: 0 },
+    } = options
+
+    const point = snapPoint(x - offset.x, y - offset.y, interaction)
+
+    if (!point) { return null }
+
+    return {
+      x: clamp(point.x + offset.x, limits.left, limits.right),
+      y: clamp(point.y + offset.y, limits.top, limits.bottom),
+      range: 'range' in point ? point.range : range,
+    }
+  }
+}
+
+function clamp (value: number, min: number, max: number) {
+  return Math.max(min, Math.min(max, value))
+}
@@ -1,3 +1,17 @@
 import grid from './grid'
+import isometric from './isometric'
+import logGrid from './logGrid'
+import nonUniformGrid from './nonUniformGrid'
+import path from './path'
+import points from './points'
+import polar from './polar'
 
-export { grid }
+export {
+  grid,
+  isometric,
+  logGrid,
+  nonUniformGrid,
+  path,
+  points,
+  polar,
+}
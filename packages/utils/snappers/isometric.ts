@@ -0,0 +1,43 @@
+import hypot from '../hypot'
+import { createPointSnapper, SnapperOptions } from './base'
+
+/**
+ * Create an isometric grid of rhombuses with sides of length `size` which are
+ * at `angle` degrees (30 by default) above and below the horizontal. The grid
+ * has a corner at the offset
+ *
+ * interact.snappers.isometric({ size: 40 })
+ */
+function createIsometric (grid: SnapperOptions & { size: number, angle?: number }) {
+  return createPointSnapper(grid, (x, y) => {
+    const { size } = grid
+    const angle = (grid.angle === undefined ? 30 : grid.angle) * Math.PI / 180
+    // the grid axes are u = (w, h) and v = (w, -h)
+    const w = size * Math.cos(angle)
+    const h = size * Math.sin(angle)
+
+    if (!w || !h) { return { x, y } }
+
+    const u = (x / w + y / h) / 2
+    const v = (x / w - y / h) / 2
+    let closest: Interact.Point = null
+    let closestDistance = Infinity
+
+    // the closest corner of the rhombus which contains the point
+    for (const i of [Math.floor(u), Math.ceil(u)]) {
+      for (const j of [Math.floor(v), Math.ceil(v)]) {
+        const corner = { x: (i + j) * w, y: (i - j) * h }
+        const distance = hypot(corner.x - x, corner.y - y)
+
+        if (distance < closestDistance) {
+          closest = corner
+          closestDistance = distance
+        }
+      }
+    }
+
+    return closest
+  })
+}
+
+export default createIsometric
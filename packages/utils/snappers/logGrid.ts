@@ -0,0 +1,26 @@
+import { AxisFields, createAxisSnapper, SnapperOptions } from './base'
+
+/**
+ * Create a grid with lines at the powers of a base in each direction from the
+ * offset. `divisions` adds lines between the powers so that there are that
+ * many lines per power of the base
+ *
+ * interact.snappers.logGrid({ x: 10, y: 2, offset: { x: 100, y: 100 } })
+ */
+function createLogGrid (grid: AxisFields<number> & SnapperOptions & { divisions?: number }) {
+  return createAxisSnapper<number>(grid, (value, base) => {
+    const divisions = grid.divisions || 1
+    const distance = Math.abs(value)
+
+    if (!distance || !(base > 1)) { return value }
+
+    const exponent = Math.log(distance) / Math.log(base) * divisions
+    const lower = Math.pow(base, Math.floor(exponent) / divisions)
+    const upper = Math.pow(base, Math.ceil(exponent) / divisions)
+    const closest = distance - lower <= upper - distance ? lower : upper
+
+    return value < 0 ? -closest : closest
+  })
+}
+
+export default createLogGrid
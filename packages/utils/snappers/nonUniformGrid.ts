@@ -0,0 +1,46 @@
+import * as is from '../is'
+import { AxisFields, createAxisSnapper, SnapperOptions } from './base'
+
+/**
+ * Create a grid with lines at the given positions instead of at regular
+ * intervals
+ *
+ * interact.snappers.nonUniformGrid({ x: [0, 10, 30, 70, 150], y: [0, 50] })
+ */
+function createNonUniformGrid (grid: AxisFields<number[]> & SnapperOptions) {
+  const sorted = {}
+
+  for (const field in grid) {
+    if (is.array(grid[field])) {
+      sorted[field] = grid[field].slice().sort((a, b) => a - b)
+    }
+  }
+
+  return createAxisSnapper<number[]>(grid, (value, _lines, field) => getClosest(value, sorted[field] || []))
+}
+
+// binary search for the closest of the sorted lines
+function getClosest (value: number, lines: number[]) {
+  if (!lines.length) { return value }
+
+  let low = 0
+  let high = lines.length - 1
+
+  while (low < high) {
+    const mid = (low + high) >> 1
+
+    if (lines[mid] < value) {
+      low = mid + 1
+    }
+    else {
+      high = mid
+    }
+  }
+
+  const next = lines[low]
+  const prev = low > 0 ? lines[low - 1] : next
+
+  return value - prev <= next - value ? prev : next
+}
+
+export default createNonUniformGrid
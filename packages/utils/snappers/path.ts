@@ -0,0 +1,184 @@
+import { getScrollXY } from '../domUtils'
+import hypot from '../hypot'
+import * as is from '../is'
+import { applyToPoint, Transform } from '../matrix'
+import { getWindow } from '../window'
+import { createPointSnapper, SnapperOptions } from './base'
+
+export interface PathOptions {
+  // an SVG shape element or a list of points of a polyline
+  path: Element | Interact.Point[]
+  // join the last point of a polyline to the first. `true` for <polygon>s
+  closed?: boolean
+  // the number of points to sample from SVG paths and shapes
+  samples?: number
+}
+
+export interface Path {
+  points: Interact.Point[]
+  lengths: number[]  // the length of the path up to each point
+  length: number
+}
+
+export interface PathPoint extends Interact.Point {
+  distance: number   // the distance from the given point
+  progress: number   // the length of the path up to this point from 0 to 1
+}
+
+const DEFAULT_SAMPLES = 100
+
+/**
+ * Create a snap target function which snaps to the closest point on an SVG
+ * path or shape or on a polyline. The points are in page coordinates and the
+ * points of SVG elements are read when the snapper is first called. They're
+ * converted to the coordinate space of interactions with a `localTransform`
+ *
+ * interact.snappers.path({ path: document.querySelector('#track') })
+ * interact.snappers.path({ path: [{ x: 0, y: 0 }, { x: 100, y: 50 }], closed: true })
+ */
+function createPath (grid: PathOptions & SnapperOptions) {
+  let path: Path = null
+  // the path in the local space of the last transformed interaction
+  let local: { transform: Transform, path: Path } = null
+
+  return createPointSnapper(grid, (x, y, interaction) => {
+    path = path || getPath(grid)
+
+    const transform = interaction && interaction.localTransform
+
+    if (transform && (!local || local.transform !== transform)) {
+      local = {
+        transform,
+        path: getPath({ path: path.points.map((point) => applyToPoint(transform.inverse, point)) }),
+      }
+    }
+
+    const closest = getClosestPoint(transform ? local.path : path, { x, y })
+
+    return closest && { x: closest.x, y: closest.y }
+  })
+}
+
+/**
+ * Get the points and lengths of a path option
+ */
+export function getPath ({ path, closed, samples }: PathOptions): Path {
+  const points = is.array(path)
+    ? path.map(({ x, y }) => ({ x, y }))
+    : getElementPoints(path, samples || DEFAULT_SAMPLES)
+
+  if (closed === undefined && !is.array(path)) {
+    closed = path.nodeName.toLowerCase() === 'polygon'
+  }
+
+  if (closed && points.length > 1) {
+    points.push(points[0])
+  }
+
+  const lengths = []
+  let length = 0
+
+  for (let i = 0; i < points.length; i++) {
+    length += i ? hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y) : 0
+    lengths.push(length)
+  }
+
+  return { points, lengths, length }
+}
+
+/**
+ * Find the point on the path which is closest to the given point
+ */
+export function getClosestPoint ({ points, lengths, length }: Path, point: Interact.Point): PathPoint {
+  let closest: PathPoint = null
+
+  for (let i = 0; i < points.length; i++) {
+    const start = points[i]
+    const end = points[i + 1] || start
+    const dx = end.x - start.x
+    const dy = end.y - start.y
+    const segmentLength = hypot(dx, dy)
+    // the position of the projected point along the segment from 0 to 1
+    const t = segmentLength
+      ? Math.max(0, Math.min(1, ((point.x - start.x) * dx + (point.y - start.y) * dy) / (segmentLength * segmentLength)))
+      : 0
+    const x = start.x + dx * t
+    const y = start.y + dy * t
+    const distance = hypot(point.x - x, point.y - y)
+
+    if (!closest || distance < closest.distance) {
+      closest = {
+        x,
+        y,
+        distance,
+        progress: length ? (lengths[i] + segmentLength * t) / length : 0,
+      }
+    }
+  }
+
+  return closest
+}
+
+/**
+ * Get the point at a fraction of the length of the path
+ */
+export function getPointAtProgress ({ points, lengths, length }: Path, progress: number): Interact.Point {
+  if (!points.length) { return null }
+
+  const target = Math.max(0, Math.min(1, progress)) * length
+  let i = 0
+
+  while (i < points.length - 2 && lengths[i + 1] < target) { i++ }
+
+  const start = points[i]
+  const end = points[i + 1] || start
+  const segmentLength = lengths[i + 1] - lengths[i]
+  const t = segmentLength ? (target - lengths[i]) / segmentLength : 0
+
+  return {
+    x: start.x + (end.x - start.x) * t,
+    y: start.y + (end.y - start.y) * t,
+  }
+}
+
+function getElementPoints (element: Element, samples: number) {
+  const shape = element as any
+  const points: Interact.Point[] = []
+
+  // <polyline> and <polygon>
+  if (shape.points && is.number(shape.points.numberOfItems)) {
+    for (let i = 0; i < shape.points.numberOfItems; i++) {
+      const { x, y } = shape.points.getItem(i)
+
+      points.push({ x, y })
+    }
+  }
+  else if (is.func(shape.getTotalLength)) {
+    const totalLength = shape.getTotalLength()
+
+    for (let i = 0; i <= samples; i++) {
+      const { x, y } = shape.getPointAtLength(totalLength * i / samples)
+
+      points.push({ x, y })
+    }
+  }
+
+  return toPage(element, points)
+}
+
+// convert points in the user space of an SVG element to page coordinates
+function toPage (element: Element, points: Interact.Point[]) {
+  const matrix = is.func((element as any).getScreenCTM) && (element as any).getScreenCTM()
+
+  if (!matrix) { return points }
+
+  const scroll = getScrollXY(getWindow(element))
+
+  return points.map((point) => {
+    const { x, y } = applyToPoint(matrix, point)
+
+    return { x: x + scroll.x, y: y + scroll.y }
+  })
+}
+
+export default createPath
@@ -0,0 +1,28 @@
+import hypot from '../hypot'
+import { createPointSnapper, SnapperOptions, SnapTarget } from './base'
+
+/**
+ * Create a snap target function which snaps to the closest of a list of
+ * points. Each point can have its own `range`
+ *
+ * interact.snappers.points({ points: [{ x: 0, y: 0 }, { x: 100, y: 50, range: 20 }] })
+ */
+function createPoints (grid: SnapperOptions & { points: SnapTarget[] }) {
+  return createPointSnapper(grid, (x, y) => {
+    let closest: SnapTarget = null
+    let closestDistance = Infinity
+
+    for (const point of grid.points) {
+      const distance = hypot(point.x - x, point.y - y)
+
+      if (distance < closestDistance) {
+        closest = point
+        closestDistance = distance
+      }
+    }
+
+    return closest
+  })
+}
+
+export default createPoints
@@ -0,0 +1,34 @@
+import hypot from '../hypot'
+import { createPointSnapper, SnapperOptions } from './base'
+
+/**
+ * Create a polar grid around the offset with circles every `radius` and rays
+ * every `angle` degrees. Without a `radius` only the angle is snapped and
+ * without an `angle` only the distance from the center is snapped
+ *
+ * interact.snappers.polar({ radius: 50, angle: 45, offset: { x: 200, y: 200 } })
+ */
+function createPolar (grid: SnapperOptions & { radius?: number, angle?: number }) {
+  return createPointSnapper(grid, (x, y) => {
+    const { radius, angle } = grid
+    let distance = hypot(x, y)
+    let theta = Math.atan2(y, x)
+
+    if (radius) {
+      distance = Math.round(distance / radius) * radius
+    }
+
+    if (angle) {
+      const step = angle * Math.PI / 180
+
+      theta = Math.round(theta / step) * step
+    }
+
+    return {
+      x: distance * Math.cos(theta),
+      y: distance * Math.sin(theta),
+    }
+  })
+}
+
+export default createPolar
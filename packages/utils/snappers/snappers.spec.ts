@@ -0,0 +1,115 @@
+import test from '@interactjs/_dev/test/test'
+import * as snappers from './index'
+import { getClosestPoint, getPath, getPointAtProgress } from './path'
+
+function round ({ x, y, range }: any) {
+  return { x: Math.round(x * 100) / 100, y: Math.round(y * 100) / 100, range }
+}
+
+test('utils/snappers', (t) => {
+  const limits = { left: -Infinity, right: 25, top: -Infinity, bottom: Infinity }
+
+  t.deepEqual(
+    snappers.grid({ x: 10, y: 10, offset: { x: 5, y: 0 }, range: 3 })(22, 14),
+    { range: 3, x: 25, y: 10 },
+    'grid')
+
+  t.deepEqual(
+    snappers.nonUniformGrid({ x: [0, 100, 10, 30], y: [50], range: 5 })(22, 80),
+    { range: 5, x: 30, y: 50 },
+    'nonUniformGrid snaps to the closest line of each axis')
+  t.deepEqual(
+    snappers.nonUniformGrid({ x: [0, 100, 10, 30], y: [50], limits })(22, 80),
+    { range: undefined, x: 25, y: 50 },
+    'nonUniformGrid limits')
+  t.deepEqual(
+    snappers.nonUniformGrid({ left: [0, 10], top: [20], offset: { x: 100, y: 0 } })(107, 0),
+    { range: undefined, left: 110, top: 20 },
+    'nonUniformGrid edges and offset')
+
+  t.deepEqual(
+    snappers.logGrid({ x: 10, y: 2, offset: { x: 100, y: 100 } })(160, 95),
+    { range: undefined, x: 200, y: 96 },
+    'logGrid snaps to powers of the base on both sides of the offset')
+  t.deepEqual(
+    snappers.logGrid({ x: 4, y: 4, divisions: 2 })(5, 0),
+    { range: undefined, x: 4, y: 0 },
+    'logGrid divisions')
+
+  t.deepEqual(
+    round(snappers.polar({ radius: 50, angle: 90, offset: { x: 100, y: 100 }, range: 20 })(160, 120)),
+    { x: 150, y: 100, range: 20 },
+    'polar snaps the radius and the angle around the offset')
+  t.deepEqual(
+    round(snappers.polar({ angle: 90 })(-5, 70)),
+    { x: 0, y: 70.18, range: undefined },
+    'polar without a radius snaps only the angle')
+
+  const points = snappers.points({
+    points: [{ x: 0, y: 0 }, { x: 100, y: 50, range: 20 }],
+    range: 10,
+  })
+
+  t.deepEqual(points(90, 45), { x: 100, y: 50, range: 20 }, 'points snaps to the closest point with its range')
+  t.deepEqual(points(5, 5), { x: 0, y: 0, range: 10 }, 'points use the snapper range by default')
+
+  t.deepEqual(
+    round(snappers.isometric({ size: 20, offset: { x: 10, y: 10 } })(10 + 18, 10 + 8)),
+    { x: 27.32, y: 20, range: undefined },
+    'isometric snaps to the closest corner')
+  t.deepEqual(
+    snappers.isometric({ size: 20, limits })(70, 0),
+    { x: 25, y: 0, range: undefined },
+    'isometric limits')
+
+  const polyline = [{ x: 0, y: 0 }, { x: 100, y: 0 }, { x: 100, y: 100 }]
+
+  t.deepEqual(snappers.path({ path: polyline })(50, 10), { x: 50, y: 0, range: undefined }, 'path snaps to the closest segment')
+  t.deepEqual(
+    snappers.path({ path: polyline, closed: true, offset: { x: 10, y: 0 } })(50, 60),
+    { x: 60, y: 50, range: undefined },
+    'closed path and offset')
+
+  const localTransform = {
+    matrix: { a: 2, b: 0, c: 0, d: 2, e: 0, f: 0 },
+    inverse: { a: 0.5, b: 0, c: 0, d: 0.5, e: 0, f: 0 },
+  }
+
+  t.deepEqual(
+    snappers.path({ path: polyline })(60, 10, { localTransform } as any),
+    { x: 50, y: 10, range: undefined },
+    'path is converted to the local space of the interaction')
+
+  const path = getPath({ path: polyline })
+
+  t.equal(getClosestPoint(path, { x: 120, y: 50 }).progress, 0.75, 'closest point progress')
+  t.deepEqual(getPointAtProgress(path, 0.25), { x: 50, y: 0 }, 'point at progress')
+
+  const ownerDocument = { defaultView: { scrollX: 5, scrollY: 7 } }
+  const polygon: any = {
+    nodeName: 'polygon',
+    ownerDocument,
+    points: {
+      numberOfItems: 3,
+      getItem: (i: number) => polyline[i],
+    },
+  }
+  const svgPath: any = {
+    nodeName: 'path',
+    ownerDocument,
+    getTotalLength: () => 100,
+    getPointAtLength: (length: number) => ({ x: length, y: 0 }),
+    getScreenCTM: () => ({ a: 1, b: 0, c: 0, d: 1, e: 10, f: 20 }),
+  }
+
+  t.deepEqual(
+    getPath({ path: polygon }).points,
+    polyline.concat(polyline[0]),
+    'points of <polygon>s are read and closed')
+  t.deepEqual(
+    getPath({ path: svgPath, samples: 4 }).points,
+    [0, 25, 50, 75, 100].map((x) => ({ x: x + 15, y: 27 })),
+    'SVG paths are sampled in page coordinates')
+
+  t.end()
+})